@@ -99,7 +99,8 @@ describe('AWS Tutorial Compliance: EdgeRunner Fidelity', () => {
             };
         `);
 
-        runner = new EdgeRunner(testHooksDir, { watch: false });
+        // Chains with the functions of the previous tests, in file name order
+        runner = new EdgeRunner(testHooksDir, { watch: false, strictEvents: false });
         const result = await runner.runRequestHook({ url: '/test' });
 
         expect(result.uri).toBe('/traced/test');
@@ -0,0 +1,241 @@
+'use strict';
+
+const { bake, bakeCode, loadBakeProfile } = require('../src/bake');
+const { EdgeRunner } = require('../src/edgeRunner');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal reader for the archives bake() writes: { name: contents }
+function readZip(file) {
+    const buf = fs.readFileSync(file);
+    const entries = {};
+    let offset = 0;
+    while (buf.readUInt32LE(offset) === 0x04034b50) {
+        const size = buf.readUInt32LE(offset + 18);
+        const nameLength = buf.readUInt16LE(offset + 26);
+        const name = buf.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength;
+        entries[name] = zlib.inflateRawSync(buf.subarray(start, start + size)).toString('utf8');
+        offset = start + size;
+    }
+    return entries;
+}
+
+/**
+ * BAKE
+ * `cloudfrontize bake` mirrors a function tree into an output directory with
+ * every __VAR__ placeholder replaced, and packages each function.
+ */
+describe('Bake: deployable output per source file', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'bake');
+    const srcDir = path.join(rootDir, 'edge');
+    const outDir = path.join(rootDir, 'out');
+    const zipDir = path.join(rootDir, 'zips');
+    const vars = { API_KEY: 'live-123', GREETING: 'hello' };
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(srcDir, 'lib'), { recursive: true });
+
+        fs.writeFileSync(path.join(srcDir, 'auth.js'), `
+            const { greeting } = require('./lib/util');
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                request.headers['x-api-key'] = [{ key: 'X-Api-Key', value: "__API_KEY__" }];
+                request.headers['x-greeting'] = [{ key: 'X-Greeting', value: greeting() }];
+                return request;
+            };
+        `);
+        fs.writeFileSync(path.join(srcDir, 'headers.js'), `
+            exports.hookType = 'viewer-response';
+            exports.handler = async (event) => event.Records[0].cf.response;
+        `);
+        fs.writeFileSync(path.join(srcDir, 'lib', 'util.js'), 'exports.greeting = () => "__GREETING__";');
+        fs.writeFileSync(path.join(srcDir, 'lib', 'routes.json'), '{"home":"/"}');
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+        fs.rmSync(zipDir, { recursive: true, force: true });
+    });
+
+    test('1. bakeCode replaces known placeholders and reports the rest with line numbers', () => {
+        const { code, unresolved } = bakeCode('const a = "__A__";\nconst b = "__B__";', { A: '1' });
+        expect(code).toBe('const a = "1";\nconst b = "__B__";');
+        expect(unresolved).toEqual([{ name: 'B', line: 2 }]);
+    });
+
+    test('2. Values are escaped for the string literal they land in', () => {
+        const value = 'it\'s "quoted"\nand `ticked` ${x}';
+        const { code } = bakeCode('module.exports = ["__V__", \'__V__\', `__V__`, __N__];', { V: value, N: '42' });
+        expect(eval(code.replace('module.exports = ', ''))).toEqual([value, value, value, 42]);
+    });
+
+    test('3. Mirrors the tree with one baked file per source file', async () => {
+        const report = await bake(srcDir, { outputDir: outDir, vars });
+
+        expect(report.errors).toEqual([]);
+        expect(fs.readFileSync(path.join(outDir, 'auth.js'), 'utf8')).toContain('"live-123"');
+        expect(fs.readFileSync(path.join(outDir, 'headers.js'), 'utf8')).toContain("'viewer-response'");
+        expect(fs.readFileSync(path.join(outDir, 'lib', 'util.js'), 'utf8')).toContain('"hello"');
+        expect(fs.readFileSync(path.join(outDir, 'lib', 'routes.json'), 'utf8')).toBe('{"home":"/"}');
+        expect(report.functions.map(f => f.handler)).toEqual(['auth.handler', 'headers.handler']);
+    });
+
+    test('4. Reports used, unused and missing variables per function', async () => {
+        const report = await bake(srcDir, { outputDir: outDir, vars: { ...vars, DEBUG: 'true' } });
+        const [auth, headers] = report.functions.map(f => f.variables);
+
+        // auth.js uses GREETING through ./lib/util
+        expect(auth).toEqual({ used: ['API_KEY', 'GREETING'], unused: ['DEBUG'], missing: [] });
+        expect(headers).toEqual({ used: [], unused: ['API_KEY', 'DEBUG', 'GREETING'], missing: [] });
+
+        const partial = await bake(srcDir, { outputDir: outDir, vars: { API_KEY: 'x' } });
+        expect(partial.functions[0].variables.missing).toEqual(['GREETING']);
+    });
+
+    test('5. Unresolved placeholders are errors and nothing is written', async () => {
+        const report = await bake(srcDir, { outputDir: outDir, vars: { API_KEY: 'live-123' } });
+
+        expect(report.errors).toEqual([expect.stringMatching(/lib[\\/]util\.js:1 unresolved placeholder __GREETING__/)]);
+        expect(fs.existsSync(outDir)).toBe(false);
+    });
+
+    test('6. Writes one zip per function with the local files it requires', async () => {
+        await bake(srcDir, { outputDir: outDir, vars, zipDir });
+
+        const auth = readZip(path.join(zipDir, 'auth.zip'));
+        expect(Object.keys(auth).sort()).toEqual(['auth.js', 'lib/util.js']);
+        expect(auth['lib/util.js']).toContain('"hello"');
+        expect(Object.keys(readZip(path.join(zipDir, 'headers.zip')))).not.toContain('auth.js');
+    });
+
+    test('7. --bundle inlines (and bakes) local requires into a single-file package', async () => {
+        await bake(srcDir, { outputDir: outDir, vars, bundle: true, zipDir });
+
+        const auth = readZip(path.join(zipDir, 'auth.zip'));
+        expect(Object.keys(auth)).toEqual(['auth.js']);
+        expect(auth['auth.js']).toContain('"hello"');
+        expect(auth['auth.js']).toContain('"live-123"');
+
+        const runner = new EdgeRunner(path.join(outDir, 'auth.js'), { watch: false });
+        const result = await runner.runRequestHook({ method: 'GET', url: '/', headers: {} });
+        expect(result.headers['x-greeting'][0].value).toBe('hello');
+    });
+
+    test('8. EdgeRunner --output writes one baked file per function instead of overwriting', () => {
+        new EdgeRunner(srcDir, { outputPath: outDir, watch: false });
+
+        expect(fs.existsSync(path.join(outDir, 'auth.js'))).toBe(true);
+        expect(fs.existsSync(path.join(outDir, 'headers.js'))).toBe(true);
+        expect(() => new EdgeRunner(srcDir, { outputPath: path.join(outDir, 'single.js'), watch: false }))
+            .toThrow(/2 functions are loaded/);
+    });
+
+    test('9. Stage profiles layer over the base file', () => {
+        const base = path.join(rootDir, 'bake.env');
+        fs.writeFileSync(base, 'API_KEY=dev-key\nGREETING=hello\n');
+        fs.writeFileSync(path.join(rootDir, 'bake.prod.env'), 'API_KEY=prod-key\n');
+
+        expect(loadBakeProfile(base).vars).toEqual({ API_KEY: 'dev-key', GREETING: 'hello' });
+        const prod = loadBakeProfile(base, { stage: 'prod' });
+        expect(prod.vars).toEqual({ API_KEY: 'prod-key', GREETING: 'hello' });
+        expect(prod.files).toEqual([base, path.join(rootDir, 'bake.prod.env')]);
+        expect(() => loadBakeProfile(base, { stage: 'qa' })).toThrow(/Bake profile "qa" not found/);
+
+        const runner = new EdgeRunner(srcDir, { bakePath: base, stage: 'prod', watch: false });
+        expect(runner.bakeVars.API_KEY).toBe('prod-key');
+    });
+
+    test('10. --strict-bake refuses functions with leftover placeholders', () => {
+        const base = path.join(rootDir, 'partial.env');
+        fs.writeFileSync(base, 'API_KEY=dev-key\n');
+
+        expect(() => new EdgeRunner(srcDir, { bakePath: base, watch: false })).not.toThrow();
+        expect(() => new EdgeRunner(path.join(srcDir, 'lib', 'util.js'), { bakePath: base, strictBake: true, watch: false }))
+            .toThrow(/Unresolved placeholders in .*util\.js: __GREETING__/);
+    });
+
+    test('11. TypeScript functions are baked, report the variables of what they import, and bundle to .js', async () => {
+        const tsDir = path.join(rootDir, 'ts');
+        fs.mkdirSync(path.join(tsDir, 'lib'), { recursive: true });
+        fs.writeFileSync(path.join(tsDir, 'geo.ts'), `
+            import { region } from './lib/region';
+            export const hookType = 'viewer-request';
+            export const handler = async (event: any) => {
+                const request = event.Records[0].cf.request;
+                request.headers['x-region'] = [{ key: 'X-Region', value: region + ':__API_KEY__' }];
+                return request;
+            };
+        `);
+        fs.writeFileSync(path.join(tsDir, 'lib', 'region.ts'), 'export const region: string = "__REGION__";');
+        fs.writeFileSync(path.join(tsDir, 'types.d.ts'), 'export type Region = string;');
+
+        const report = await bake(tsDir, { outputDir: outDir, vars: { ...vars, REGION: 'eu' } });
+        expect(report.errors).toEqual([]);
+        expect(report.functions.map(f => f.handler)).toEqual(['geo.handler']);
+        expect(report.functions[0].variables).toEqual({ used: ['API_KEY', 'REGION'], unused: ['GREETING'], missing: [] });
+        expect(report.warnings).toEqual(['geo.ts is TypeScript, which the Lambda runtime can\'t load; use --bundle']);
+        expect(fs.readFileSync(path.join(outDir, 'lib', 'region.ts'), 'utf8')).toContain('"eu"');
+
+        const missing = await bake(tsDir, { outputDir: outDir, vars });
+        expect(missing.errors).toEqual([expect.stringMatching(/lib[\\/]region\.ts:1 unresolved placeholder __REGION__/)]);
+
+        fs.rmSync(outDir, { recursive: true, force: true });
+        const bundled = await bake(tsDir, { outputDir: outDir, vars: { ...vars, REGION: 'eu' }, bundle: true, zipDir });
+        expect(bundled.functions[0].output).toBe(path.join(outDir, 'geo.js'));
+        expect(Object.keys(readZip(path.join(zipDir, 'geo.zip')))).toEqual(['geo.js']);
+
+        const runner = new EdgeRunner(path.join(outDir, 'geo.js'), { watch: false });
+        const result = await runner.runRequestHook({ method: 'GET', url: '/', headers: {} });
+        expect(result.headers['x-region'][0].value).toBe('eu:live-123');
+    });
+
+    test('12. The bake file is neither mirrored nor packaged, even inside the tree', async () => {
+        const base = path.join(srcDir, 'bake.env');
+        fs.writeFileSync(base, 'API_KEY=live-123\nGREETING=hello\n');
+        try {
+            const profile = loadBakeProfile(base);
+            const report = await bake(srcDir, { outputDir: outDir, vars: profile.vars, zipDir, exclude: profile.files });
+
+            expect(report.errors).toEqual([]);
+            expect(fs.existsSync(path.join(outDir, 'bake.env'))).toBe(false);
+            expect(fs.existsSync(path.join(outDir, 'lib', 'routes.json'))).toBe(true);
+            expect(Object.keys(readZip(path.join(zipDir, 'headers.zip')))).toEqual(['headers.js']);
+        } finally {
+            fs.rmSync(base);
+        }
+    });
+
+    test('13. No stage profile is mirrored or packaged, whichever stage is baked', async () => {
+        const base = path.join(srcDir, 'bake.env');
+        const profiles = ['bake.env', 'bake.prod.env', 'bake.dev.env'];
+        fs.writeFileSync(base, 'API_KEY=dev-key\nGREETING=hello\n');
+        fs.writeFileSync(path.join(srcDir, 'bake.prod.env'), 'API_KEY=prodsecret\n');
+        fs.writeFileSync(path.join(srcDir, 'bake.dev.env'), 'API_KEY=devsecret\n');
+        try {
+            const profile = loadBakeProfile(base, { stage: 'prod' });
+            expect(profile.profiles.map(f => path.basename(f)).sort()).toEqual([...profiles].sort());
+
+            const report = await bake(srcDir, { outputDir: outDir, vars: profile.vars, zipDir, exclude: profile.profiles });
+            expect(report.errors).toEqual([]);
+
+            const written = report.files.map(f => path.basename(f));
+            const zipped = fs.readdirSync(zipDir).flatMap(z => Object.keys(readZip(path.join(zipDir, z))));
+            for (const name of profiles) {
+                expect(written).not.toContain(name);
+                expect(zipped).not.toContain(name);
+                expect(fs.existsSync(path.join(outDir, name))).toBe(false);
+            }
+            expect(fs.readFileSync(path.join(outDir, 'auth.js'), 'utf8')).toContain('"prodsecret"');
+        } finally {
+            profiles.forEach(name => fs.rmSync(path.join(srcDir, name)));
+        }
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { EdgeCache } = require('../src/cache');
+const { startServer } = require('../src/index');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * EDGE CACHE SIMULATION
+ * Verifies TTL rules, cache keys, X-Cache / Age headers and which hooks are
+ * skipped on a cache hit.
+ */
+describe('Edge Cache: Hits, misses and TTLs', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'cache');
+    const publicDir = path.join(rootDir, 'public');
+    const hooksDir = path.join(rootDir, 'hooks');
+    const port = 9102;
+    let server;
+
+    beforeAll(async () => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+        fs.writeFileSync(path.join(publicDir, 'a.txt'), 'A');
+        fs.writeFileSync(path.join(publicDir, 'nostore.txt'), 'N');
+
+        // Module scope survives between invocations, so it counts origin-response runs
+        fs.writeFileSync(path.join(hooksDir, 'originResponse.js'), `
+            let runs = 0;
+            exports.hookType = 'origin-response';
+            exports.handler = async (event) => {
+                const { request, response } = event.Records[0].cf;
+                runs++;
+                response.headers['x-origin-runs'] = [{ key: 'X-Origin-Runs', value: String(runs) }];
+                if (request.uri === '/nostore.txt') {
+                    response.headers['cache-control'] = [{ key: 'Cache-Control', value: 'no-store' }];
+                }
+                return response;
+            };
+        `);
+
+        fs.writeFileSync(path.join(hooksDir, 'viewerRequest.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (request.uri === '/generated') return { status: '200', body: 'hi' };
+                return request;
+            };
+        `);
+
+        const runner = new EdgeRunner(hooksDir, { watch: false });
+        server = startServer({ port, directory: publicDir, edgeRunner: runner, cache: true, noRequestLogging: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Serves the second request from cache and skips origin-response', async () => {
+        const first = await fetch(`http://localhost:${port}/a.txt`);
+        const second = await fetch(`http://localhost:${port}/a.txt`);
+
+        expect(first.headers.get('x-cache')).toBe('Miss from cloudfront');
+        expect(first.headers.get('age')).toBeNull();
+        expect(second.headers.get('x-cache')).toBe('Hit from cloudfront');
+        expect(second.headers.get('age')).toBe('0');
+        expect(second.headers.get('x-origin-runs')).toBe(first.headers.get('x-origin-runs'));
+        expect(await second.text()).toBe('A');
+    });
+
+    test('2. Query strings are part of the default cache key', async () => {
+        const res = await fetch(`http://localhost:${port}/a.txt?v=2`);
+        expect(res.headers.get('x-cache')).toBe('Miss from cloudfront');
+    });
+
+    test('3. Honors Cache-Control: no-store with a zero minimum TTL', async () => {
+        await fetch(`http://localhost:${port}/nostore.txt`);
+        const again = await fetch(`http://localhost:${port}/nostore.txt`);
+        expect(again.headers.get('x-cache')).toBe('Miss from cloudfront');
+    });
+
+    test('4. Flags viewer-request generated responses', async () => {
+        const res = await fetch(`http://localhost:${port}/generated`);
+        expect(res.headers.get('x-cache')).toBe('LambdaGeneratedResponse from cloudfront');
+    });
+
+    test('5. Computes TTLs with CloudFront precedence and clamping', () => {
+        const cache = new EdgeCache({ minTTL: 60, defaultTTL: 300, maxTTL: 3600 });
+
+        expect(cache.computeTTL(200, {})).toBe(300);
+        expect(cache.computeTTL(200, { 'Cache-Control': 'max-age=10' })).toBe(60);
+        expect(cache.computeTTL(200, { 'Cache-Control': 'max-age=99999' })).toBe(3600);
+        expect(cache.computeTTL(200, { 'Cache-Control': 'max-age=100, s-maxage=200' })).toBe(200);
+        expect(cache.computeTTL(200, { 'Cache-Control': 'private' })).toBe(60);
+        expect(cache.computeTTL(404, {})).toBe(10);
+        expect(cache.computeTTL(302, {})).toBe(0);
+    });
+
+    test('6. Builds cache keys from the configured headers, cookies and query strings', () => {
+        const cache = new EdgeCache({ headers: ['Accept-Language'], cookies: ['session'], queryStrings: ['page'] });
+        const record = (lang, cookie, qs) => ({
+            uri: '/x',
+            querystring: qs,
+            headers: {
+                'accept-language': [{ key: 'Accept-Language', value: lang }],
+                cookie: [{ key: 'Cookie', value: cookie }]
+            }
+        });
+
+        const base = cache.buildKey(record('en', 'session=1; theme=dark', 'page=1&utm=a'));
+        expect(cache.buildKey(record('en', 'theme=light; session=1', 'utm=b&page=1'))).toBe(base);
+        expect(cache.buildKey(record('fr', 'session=1', 'page=1'))).not.toBe(base);
+        expect(cache.buildKey(record('en', 'session=2', 'page=1'))).not.toBe(base);
+        expect(cache.buildKey(record('en', 'session=1', 'page=2'))).not.toBe(base);
+    });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * CLOUDFRONT FUNCTIONS (cloudfront-js runtime)
+ * Verifies the CloudFront Functions event shape, runtime restrictions and
+ * cloudfront.kvs() support.
+ */
+describe('CloudFront Functions: cloudfront-js runtime', () => {
+    let runners = [];
+    const hooksDir = path.resolve(__dirname, '..', 'tmp_test', 'cloudfront_functions');
+
+    beforeAll(() => {
+        if (fs.existsSync(hooksDir)) fs.rmSync(hooksDir, { recursive: true, force: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(hooksDir)) fs.rmSync(hooksDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        runners.forEach(r => r.close());
+        runners = [];
+    });
+
+    const writeFn = (name, code) => {
+        const file = path.join(hooksDir, name);
+        fs.writeFileSync(file, code);
+        return file;
+    };
+
+    test('1. Runs the AWS index.html rewrite sample', async () => {
+        const runner = new EdgeRunner('./samples/cloudfront-functions/addIndexHtml.js', { watch: false });
+        runners.push(runner);
+
+        expect((await runner.runRequestHook({ url: '/docs/', headers: {} })).uri).toBe('/docs/index.html');
+        expect((await runner.runRequestHook({ url: '/docs', headers: {} })).uri).toBe('/docs/index.html');
+        expect((await runner.runRequestHook({ url: '/app.js', headers: {} })).uri).toBe('/app.js');
+    });
+
+    test('2. Builds the CloudFront Functions event structure', async () => {
+        const file = writeFn('shape.js', `
+            // @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-request
+            function handler(event) {
+                var req = event.request;
+                req.headers['x-shape'] = {
+                    value: [
+                        event.version,
+                        event.context.eventType,
+                        req.querystring.tag.multiValue.map(function (t) { return t.value; }).join('+'),
+                        req.cookies.session.value,
+                        req.headers['user-agent'].value
+                    ].join('|')
+                };
+                req.querystring = { page: { value: '2' } };
+                req.cookies.theme = { value: 'dark' };
+                return req;
+            }
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        runners.push(runner);
+
+        const res = await runner.runRequestHook({
+            url: '/list?tag=a&tag=b',
+            headers: { 'user-agent': 'jest', cookie: 'session=abc' }
+        });
+
+        expect(res['x-shape']).toBe('1.0|viewer-request|a+b|abc|jest');
+        expect(res.querystring).toBe('page=2');
+        expect(res.headers.cookie[0].value).toBe('session=abc; theme=dark');
+    });
+
+    test('3. Converts generated responses and viewer-response cookies', async () => {
+        const file = writeFn('respond.js', `
+            // @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-response
+            function handler(event) {
+                var res = event.response;
+                res.headers['x-status-seen'] = { value: String(res.statusCode) };
+                res.cookies.id = { value: '42', attributes: 'Secure; Path=/' };
+                return res;
+            }
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        runners.push(runner);
+
+        const res = await runner.runResponseHook({ url: '/', headers: {} }, { status: 200, headers: {} });
+
+        expect(res['x-status-seen']).toBe('200');
+        expect(res.headers['set-cookie'][0].value).toBe('id=42; Secure; Path=/');
+    });
+
+    test('4. Enforces runtime restrictions', async () => {
+        const timers = writeFn('timers.js', `
+            // @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-request
+            function handler(event) {
+                var status = [typeof setTimeout, typeof fetch, typeof process, typeof require('crypto').createHash].join(',');
+                event.request.headers['x-runtime'] = { value: status };
+                try { require('http'); } catch (e) { event.request.headers['x-http'] = { value: 'blocked' }; }
+                return event.request;
+            }
+        `);
+        const runner = new EdgeRunner(timers, { watch: false });
+        runners.push(runner);
+
+        const res = await runner.runRequestHook({ url: '/', headers: {} });
+        expect(res['x-runtime']).toBe('undefined,undefined,undefined,function');
+        expect(res['x-http']).toBe('blocked');
+
+        const originFn = writeFn('origin.js', `
+            // @cloudfrontize runtime=cloudfront-js-2.0 hookType=origin-request
+            function handler(event) { return event.request; }
+        `);
+        expect(() => new EdgeRunner(originFn, { watch: false })).toThrow(/only run on viewer events/);
+
+        const asyncV1 = writeFn('async.js', `
+            // @cloudfrontize runtime=cloudfront-js-1.0 hookType=viewer-request
+            async function handler(event) { return event.request; }
+        `);
+        const v1 = new EdgeRunner(asyncV1, { watch: false });
+        runners.push(v1);
+        await expect(v1.runRequestHook({ url: '/', headers: {} })).rejects.toThrow(/must be synchronous/);
+    });
+
+    test('5. Serves cloudfront.kvs() lookups from a local JSON file', async () => {
+        const kvsPath = path.join(hooksDir, 'kvs.json');
+        fs.writeFileSync(kvsPath, JSON.stringify({ '/old': '/new' }));
+
+        const runner = new EdgeRunner('./samples/cloudfront-functions/kvsRedirects.js', { watch: false, kvsPath });
+        runners.push(runner);
+
+        const redirect = await runner.runRequestHook({ url: '/old', headers: {} });
+        expect(redirect.status).toBe('301');
+        expect(redirect.location).toBe('/new');
+
+        const passthrough = await runner.runRequestHook({ url: '/other', headers: {} });
+        expect(passthrough.uri).toBe('/other');
+    });
+
+    test('6. Aborts a synchronous busy loop after a short timeout', async () => {
+        const loop = writeFn('loop.js', `
+            // @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-request
+            function handler(event) { while (true) {} }
+        `);
+        const runner = new EdgeRunner(loop, { watch: false });
+        runners.push(runner);
+
+        const started = Date.now();
+        const error = await runner.runRequestHook({ url: '/', headers: {} }).catch(e => e);
+        expect(error.errorType).toBe('LambdaExecutionError');
+        expect(error.message).toMatch(/timed out after 0\.10 seconds/);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+});
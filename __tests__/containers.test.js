@@ -0,0 +1,156 @@
+'use strict';
+
+const { ContainerPool } = require('../src/containers');
+const { createEdgeTestClient } = require('../src/testing');
+const { formatTrace } = require('../src/trace');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * CONTAINER SIMULATION
+ * Module scope runs once per container; warm invocations share its state.
+ * Pools can be capped, expire idle containers and force cold starts.
+ */
+describe('Containers: cold starts and container reuse', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'containers');
+    let clients = [];
+    let logSpy;
+
+    const client = (file, options = {}) => {
+        const c = createEdgeTestClient({ edge: path.join(rootDir, 'edge', file), directory: path.join(rootDir, 'www'), ...options });
+        clients.push(c);
+        return c;
+    };
+    const reports = () => logSpy.mock.calls.map(args => args.join(' ')).filter(l => l.includes('REPORT'));
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge'), { recursive: true });
+
+        // A memoized "secret": the classic stale-global bug
+        fs.writeFileSync(path.join(rootDir, 'edge', 'memo.js'), `
+            exports.hookType = 'viewer-request';
+            let secret = null;
+            let invocations = 0;
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (!secret) secret = request.querystring || 'none';
+                invocations++;
+                if (request.uri === '/slow') await new Promise(r => setTimeout(r, 50));
+                if (request.uri === '/hang') await new Promise(() => {});
+                return { status: '200', headers: {}, body: JSON.stringify({ secret, invocations }) };
+            };
+        `);
+    });
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. The pool reuses the most recently used idle container and caps concurrency', () => {
+        let created = 0;
+        const pool = new ContainerPool(() => ({ n: ++created }), { maxContainers: 2 });
+
+        const a = pool.acquire();
+        expect(a).toMatchObject({ coldStart: true, container: { id: 1 } });
+        expect(a.initDurationMs).toBeGreaterThanOrEqual(0);
+        const b = pool.acquire();
+        expect(b).toMatchObject({ coldStart: true, container: { id: 2 } });
+        // Both busy and at the cap: throttled
+        expect(pool.acquire()).toBeNull();
+
+        pool.release(a.container);
+        pool.release(b.container);
+        expect(pool.acquire()).toMatchObject({ coldStart: false, container: { id: 2, invocations: 1 } });
+        expect(created).toBe(2);
+    });
+
+    test('2. Idle containers expire and a cold-start rate recycles warm ones', () => {
+        const pool = new ContainerPool(() => ({}), { idleTimeout: 60 });
+        const first = pool.acquire();
+        pool.release(first.container);
+        first.container.lastUsed -= 61 * 1000;
+        expect(pool.acquire()).toMatchObject({ coldStart: true, container: { id: 2 } });
+        expect(pool.containers.map(c => c.id)).toEqual([2]);
+
+        const draws = [0.9, 0.1];
+        const forced = new ContainerPool(() => ({}), { coldStartRate: 0.5, random: () => draws.shift() });
+        forced.release(forced.acquire().container);
+        expect(forced.acquire()).toMatchObject({ coldStart: false, container: { id: 1 } });
+        forced.release(forced.containers[0]);
+        expect(forced.acquire()).toMatchObject({ coldStart: true, container: { id: 2 } });
+        expect(forced.containers).toHaveLength(1);
+    });
+
+    test('3. Warm invocations keep module state; forced cold starts reset it', async () => {
+        const warm = client('memo.js', { containers: 1 });
+        expect((await warm.get('/?first')).json()).toEqual({ secret: 'first', invocations: 1 });
+        // The secret memoized by the first request leaks into the next one
+        expect((await warm.get('/?second')).json()).toEqual({ secret: 'first', invocations: 2 });
+
+        const cold = client('memo.js', { coldStartRate: 1 });
+        await cold.get('/?first');
+        expect((await cold.get('/?second')).json()).toEqual({ secret: 'second', invocations: 1 });
+    });
+
+    test('4. Concurrent requests get their own containers, up to the cap', async () => {
+        const pooled = client('memo.js', { containers: 2 });
+        const [a, b, c] = await Promise.all([pooled.get('/slow?a'), pooled.get('/slow?b'), pooled.get('/slow?c')]);
+
+        expect(a.json()).toEqual({ secret: 'a', invocations: 1 });
+        expect(b.json()).toEqual({ secret: 'b', invocations: 1 });
+        expect(c.status).toBe(503);
+        expect(c.trace[0].error.errorType).toBe('LambdaLimitExceeded');
+
+        // Afterwards the warm container that finished last is reused
+        expect((await pooled.get('/?d')).json().invocations).toBe(2);
+    });
+
+    test('5. Reports init and handler durations in the terminal and the trace', async () => {
+        const pooled = client('memo.js', { containers: 1 });
+        const first = await pooled.get('/');
+        const second = await pooled.get('/');
+
+        const [cold, warm] = reports();
+        expect(cold).toMatch(/^\[CloudFrontize\] REPORT viewer-request memo\.js container #1 Duration: [\d.]+ ms Init Duration: [\d.]+ ms$/);
+        expect(warm).toMatch(/^\[CloudFrontize\] REPORT viewer-request memo\.js container #1 Duration: [\d.]+ ms$/);
+
+        expect(first.trace[0].container).toMatchObject({ id: 1, coldStart: true });
+        expect(first.trace[0].container.initDurationMs).toBeGreaterThan(0);
+        expect(second.trace[0].container).toMatchObject({ id: 1, coldStart: false, initDurationMs: 0 });
+
+        const tree = formatTrace({ method: 'GET', url: '/', status: 200, cache: null, durationMs: 1, functions: first.trace });
+        expect(tree).toMatch(/container #1, cold start \(init [\d.]+ ms\)/);
+    });
+
+    test('6. A timed-out invocation takes its container down with it', async () => {
+        const pooled = client('memo.js', { containers: 1, timeout: 0.1 });
+        expect((await pooled.get('/hang')).status).toBe(503);
+
+        const next = await pooled.get('/?after');
+        expect(next.json()).toEqual({ secret: 'after', invocations: 1 });
+        expect(next.trace[0].container).toMatchObject({ id: 2, coldStart: true });
+    });
+
+    test('7. Without container options one shared context serves every request', async () => {
+        const shared = client('memo.js');
+        await shared.get('/?first');
+        const res = await shared.get('/?second');
+        expect(res.json()).toEqual({ secret: 'first', invocations: 2 });
+        expect(res.trace[0].container).toBeUndefined();
+        expect(reports()).toEqual([]);
+
+        expect(() => client('memo.js', { coldStartRate: 2 })).toThrow('The cold start rate must be between 0 and 1 (got 2)');
+    });
+});
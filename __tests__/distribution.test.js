@@ -0,0 +1,109 @@
+'use strict';
+
+const { Distribution, compilePathPattern } = require('../src/distribution');
+const { startServer } = require('../src/index');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * MULTI-BEHAVIOR DISTRIBUTIONS
+ * Verifies CloudFront path-pattern matching, behavior ordering, per-behavior
+ * function associations and allowed methods.
+ */
+describe('Distribution: Cache behaviors with path patterns', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'distribution');
+    const port = 9101;
+    let server, distribution;
+
+    beforeAll(async () => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www', 'api'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'www', 'images'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge'), { recursive: true });
+
+        fs.writeFileSync(path.join(rootDir, 'www', 'index.txt'), 'home');
+        fs.writeFileSync(path.join(rootDir, 'www', 'api', 'users.json'), '[]');
+        fs.writeFileSync(path.join(rootDir, 'www', 'images', 'cat.jpg'), 'jpg');
+        fs.writeFileSync(path.join(rootDir, 'www', 'images', 'cat.png'), 'png');
+
+        // No hookType: the association comes from the config
+        const tagger = (value) => `
+            exports.handler = async (event) => {
+                const response = event.Records[0].cf.response;
+                response.headers['x-behavior'] = [{ key: 'X-Behavior', value: '${value}' }];
+                return response;
+            };
+        `;
+        fs.writeFileSync(path.join(rootDir, 'edge', 'api.js'), tagger('api'));
+        fs.writeFileSync(path.join(rootDir, 'edge', 'images.js'), tagger('images'));
+        fs.writeFileSync(path.join(rootDir, 'edge', 'default.js'), tagger('default'));
+
+        fs.writeFileSync(path.join(rootDir, 'distribution.yaml'), [
+            'origins:',
+            '  site:',
+            '    directory: ./www',
+            'behaviors:',
+            '  - pathPattern: /api/*',
+            '    allowedMethods: [GET, HEAD, POST]',
+            '    functions:',
+            '      origin-response: ./edge/api.js',
+            '  - pathPattern: /images/*.jpg',
+            '    functions:',
+            '      viewer-response: ./edge/images.js',
+            'defaultBehavior:',
+            '  functions:',
+            '    viewer-response: ./edge/default.js',
+            ''
+        ].join('\n'));
+
+        distribution = Distribution.fromFile(path.join(rootDir, 'distribution.yaml'), { watch: false });
+        server = startServer({ port, distribution, noRequestLogging: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Compiles CloudFront path patterns', () => {
+        expect(compilePathPattern('/images/*.jpg').test('/images/a/b.jpg')).toBe(true);
+        expect(compilePathPattern('/images/*.jpg').test('/images/a.JPG')).toBe(false);
+        expect(compilePathPattern('images/?.png').test('/images/a.png')).toBe(true);
+        expect(compilePathPattern('images/?.png').test('/images/ab.png')).toBe(false);
+        expect(compilePathPattern('*').test('/anything')).toBe(true);
+    });
+
+    test('2. Picks the first matching behavior, falling back to the default', () => {
+        expect(distribution.match('/api/users.json?x=1').pathPattern).toBe('/api/*');
+        expect(distribution.match('/images/cat.jpg').pathPattern).toBe('/images/*.jpg');
+        expect(distribution.match('/images/cat.png').pathPattern).toBe('*');
+    });
+
+    test('3. Routes each request through its behavior pipeline', async () => {
+        const api = await fetch(`http://localhost:${port}/api/users.json`);
+        const jpg = await fetch(`http://localhost:${port}/images/cat.jpg`);
+        const png = await fetch(`http://localhost:${port}/images/cat.png`);
+
+        expect(api.headers.get('x-behavior')).toBe('api');
+        expect(jpg.headers.get('x-behavior')).toBe('images');
+        expect(png.headers.get('x-behavior')).toBe('default');
+        expect(await png.text()).toBe('png');
+    });
+
+    test('4. Rejects methods the behavior does not allow with a 403', async () => {
+        const allowed = await fetch(`http://localhost:${port}/api/users.json`, { method: 'POST', body: '{}' });
+        const denied = await fetch(`http://localhost:${port}/index.txt`, { method: 'POST', body: '{}' });
+
+        expect(allowed.status).not.toBe(403);
+        expect(denied.status).toBe(403);
+    });
+
+    test('5. Reports config errors clearly', () => {
+        expect(() => new Distribution({ origins: { a: { directory: '.' } } })).toThrow(/defaultBehavior/);
+        expect(() => new Distribution({
+            origins: { a: { directory: '.' } },
+            defaultBehavior: { origin: 'b' }
+        })).toThrow(/unknown origin "b"/);
+    });
+});
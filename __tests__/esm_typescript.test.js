@@ -0,0 +1,256 @@
+'use strict';
+
+const { createEdgeTestClient } = require('../src/testing');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * ES MODULES & TYPESCRIPT
+ * .mjs/.ts/.mts functions (and .js in a "type": "module" package) are bundled
+ * with their local imports and run in the same sandbox as CommonJS ones.
+ */
+describe('ESM & TypeScript: module functions', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'esm');
+    let clients = [];
+    let errorSpy;
+
+    const write = (file, code) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), code);
+    };
+    const client = (edge, options = {}) => {
+        const c = createEdgeTestClient({ edge: path.join(rootDir, edge), directory: path.join(rootDir, 'www'), ...options });
+        clients.push(c);
+        return c;
+    };
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        write('www/index.html', '<h1>Home</h1>');
+        write('bake.env', 'GREETING=Hello');
+
+        write('ts/lib/greet.ts', `
+            export interface Greeting { text: string; }
+            export const greet = (name: string): Greeting => ({ text: '__GREETING__ ' + name });
+        `);
+        write('ts/auth.ts', `
+            import { greet } from './lib/greet';
+            import { createHash } from 'crypto';
+            import zlib from 'node:zlib';
+            import * as querystring from 'querystring';
+
+            export const hookType = 'viewer-request';
+
+            export const handler = async (event: any) => {
+                const request = event.Records[0].cf.request;
+                const params = querystring.parse(request.querystring);
+                return {
+                    status: '200',
+                    headers: {},
+                    body: JSON.stringify({
+                        ...greet(String(params.name)),
+                        hash: createHash('sha256').update('x').digest('hex').length,
+                        gzip: typeof zlib.gzipSync,
+                        file: import.meta.url.endsWith('/ts/auth.ts'),
+                        commonjs: typeof module
+                    })
+                };
+            };
+        `);
+
+        // One directory mixing CommonJS, .mjs, .mts and declaration files
+        write('mixed/request.js', `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                request.headers['x-commonjs'] = [{ key: 'X-CommonJS', value: 'yes' }];
+                return request;
+            };
+        `);
+        write('mixed/response.mjs', `
+            export const hookType = 'viewer-response';
+            export async function handler(event) {
+                const response = event.Records[0].cf.response;
+                response.headers['x-esm'] = [{ key: 'X-ESM', value: 'mjs' }];
+                return response;
+            }
+        `);
+        write('mixed/origin.mts', `
+            import type { CloudFrontResponseEvent } from './types';
+            export const hookType = 'origin-response';
+            export const handler = async (event: CloudFrontResponseEvent) => {
+                const { response } = event.Records[0].cf;
+                response.headers['x-mts'] = [{ key: 'X-MTS', value: 'mts' }];
+                return response;
+            };
+        `);
+        write('mixed/types.d.ts', 'export type CloudFrontResponseEvent = any;');
+
+        write('pkg/package.json', '{ "type": "module" }');
+        write('pkg/fn.js', `
+            export const hookType = 'viewer-request';
+            export const handler = async () => ({ status: '200', body: typeof exports });
+        `);
+        write('pkg/legacy.ts', `
+            exports.hookType = 'viewer-request';
+            exports.handler = async () => ({ status: '200', body: 'commonjs' });
+        `);
+
+        // Top-level await delays the first invocation, as Lambda's init phase does
+        write('tla/config.mjs', `
+            let loads = 0;
+            export const hookType = 'viewer-request';
+            const config = await new Promise(resolve => setTimeout(() => resolve({ loads: ++loads, at: Date.now() }), 50));
+            export const handler = async () => ({ status: '200', body: JSON.stringify(config) });
+        `);
+        write('tla/broken.mjs', `
+            export const hookType = 'viewer-request';
+            await Promise.resolve();
+            throw new Error('secret store unreachable');
+            export const handler = async () => ({ status: '200' });
+        `);
+
+        write('sandbox/forbidden.mjs', `
+            import fs from 'fs';
+            export const hookType = 'viewer-request';
+            export const handler = async () => ({ status: '200', body: typeof fs.readFileSync });
+        `);
+        write('sandbox/sdk.mts', `
+            export const hookType = 'viewer-request';
+            export const handler = async () => {
+                const { S3Client } = await import('@aws-sdk/client-s3');
+                return { status: '200', body: typeof new S3Client({}).send };
+            };
+        `);
+
+        write('stack/lib/parse.ts', `
+            type Token = { value: string };
+
+            export function parseToken(header: string): Token {
+                if (!header) {
+                    throw new Error('missing token');
+                }
+                return { value: header };
+            }
+        `);
+        write('stack/fn.ts', `
+            import { parseToken } from './lib/parse';
+            export const hookType = 'viewer-request';
+            export const handler = async (event: any) => {
+                const request = event.Records[0].cf.request;
+                try {
+                    parseToken('');
+                } catch (e: any) {
+                    if (request.uri === '/caught') return { status: '200', body: e.stack };
+                    throw e;
+                }
+            };
+        `);
+
+        // Lines of a template literal that read like import and export statements
+        const literals = [
+            'const sql = `',
+            'import fs from "fs";',
+            'export { secret };',
+            'export * from "./missing";',
+            'export default require_secret();',
+            '`;',
+            `const lowered = '__toESM(__require("fs"))';`,
+            'export const text = { sql, lowered };'
+        ].join('\n');
+        write('literals/lib/text.mjs', literals);
+        const literalFunction = `
+            import { text } from './lib/text.mjs';
+            export const hookType = 'viewer-request';
+            export const handler = async () => ({ status: '200', body: JSON.stringify(text) });
+        `;
+        write('literals/fn.mjs', literalFunction);
+        write('literals/tla.mjs', `${literalFunction}\nawait Promise.resolve();`);
+    });
+
+    beforeEach(() => {
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        errorSpy.mockRestore();
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. A TypeScript function imports local modules, built-ins and import.meta; local files are baked', async () => {
+        const res = await client('ts/auth.ts', { bakePath: path.join(rootDir, 'bake.env') }).get('/?name=edge');
+
+        expect(res.json()).toEqual({
+            text: 'Hello edge',
+            hash: 64,
+            gzip: 'function',
+            file: true,
+            commonjs: 'undefined'
+        });
+    });
+
+    test('2. A directory loads .js, .mjs and .mts functions side by side, skipping declarations', async () => {
+        const res = await client('mixed').get('/');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-esm']).toBe('mjs');
+        expect(res.headers['x-mts']).toBe('mts');
+        expect(res.trace.map(t => path.basename(t.file))).toEqual(['request.js', 'origin.mts', 'response.mjs']);
+    });
+
+    test('3. .js in a "type": "module" package is an ES module; CommonJS .ts exposes its exports', async () => {
+        expect((await client('pkg/fn.js').get('/')).text).toBe('undefined');
+        expect((await client('pkg/legacy.ts').get('/')).text).toBe('commonjs');
+    });
+
+    test('4. Top-level await runs once per container, before the first invocation', async () => {
+        const warm = client('tla/config.mjs');
+        const [a, b] = await Promise.all([warm.get('/'), warm.get('/')]);
+        expect(a.json()).toEqual(b.json());
+        expect(a.json().loads).toBe(1);
+
+        const cold = client('tla/config.mjs', { coldStart: true });
+        const first = (await cold.get('/')).json();
+        const second = (await cold.get('/')).json();
+        expect(second.at).toBeGreaterThan(first.at);
+
+        const broken = await client('tla/broken.mjs').get('/');
+        expect(broken.status).toBe(503);
+        expect(broken.trace[0].error.message).toBe('secret store unreachable');
+    });
+
+    test('5. Imports go through the sandbox: the allow-list and the AWS SDK stub apply', async () => {
+        expect(() => client('sandbox/forbidden.mjs')).toThrow('Forbidden: fs (not available to Lambda@Edge functions; allow it with --allow-module fs)');
+        expect((await client('sandbox/forbidden.mjs', { allowModules: ['fs'] }).get('/')).status).toBe(200);
+        expect((await client('sandbox/sdk.mts').get('/')).text).toBe('function');
+    });
+
+    test('6. Stack traces point at the original TypeScript lines', async () => {
+        const parseFile = path.join(rootDir, 'stack', 'lib', 'parse.ts');
+        const fnFile = path.join(rootDir, 'stack', 'fn.ts');
+        const stack = (await client('stack/fn.ts').get('/caught')).text;
+
+        expect(stack.split('\n')[0]).toBe('Error: missing token');
+        expect(stack).toContain(`at parseToken (${parseFile}:6:27)`);
+        expect(stack).toContain(`(${fnFile}:7:21)`);
+
+        const res = await client('stack/fn.ts').get('/thrown');
+        expect(res.status).toBe(503);
+        const logged = errorSpy.mock.calls.map(args => args.join(' '));
+        expect(logged).toContainEqual(`     at parseToken (${parseFile}:6:27)`);
+    });
+
+    test('7. Text that reads like import or export statements inside string literals is left as is', async () => {
+        const expected = {
+            sql: '\nimport fs from "fs";\nexport { secret };\nexport * from "./missing";\nexport default require_secret();\n',
+            lowered: '__toESM(__require("fs"))'
+        };
+        expect((await client('literals/fn.mjs').get('/')).json()).toEqual(expected);
+        expect((await client('literals/tla.mjs').get('/')).json()).toEqual(expected);
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { startServer } = require('../src/index');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * EVENT RECORD
+ * cf.config (distribution, eventType, requestId), clientIp and the origin
+ * block are populated the way CloudFront populates them.
+ */
+describe('Event Record: config, clientIp and origin', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'event_record');
+    const publicDir = path.join(rootDir, 'public');
+    const hooksDir = path.join(rootDir, 'hooks');
+    const port = 9105;
+    let runner;
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+        fs.writeFileSync(path.join(publicDir, 'index.html'), 'home');
+
+        const tagRequest = (hookType, name) => `
+            exports.hookType = '${hookType}';
+            exports.handler = async (event) => {
+                const { config, request } = event.Records[0].cf;
+                if (request.uri === '/whoami') {
+                    return { status: '200', body: JSON.stringify({ config, clientIp: request.clientIp, origin: request.origin || null }) };
+                }
+                request.headers['${name}'] = [{ key: '${name}', value: config.eventType + '|' + config.requestId }];
+                return request;
+            };
+        `;
+        const tagResponse = (hookType, name) => `
+            exports.hookType = '${hookType}';
+            exports.handler = async (event) => {
+                const { config, request, response } = event.Records[0].cf;
+                response.headers['${name}'] = [{ key: '${name}', value: config.eventType + '|' + config.requestId }];
+                if (request.origin) {
+                    response.headers['${name}-origin'] = [{ key: '${name}-origin', value: Object.keys(request.origin)[0] }];
+                }
+                return response;
+            };
+        `;
+        fs.writeFileSync(path.join(hooksDir, 'vreq.js'), tagRequest('viewer-request', 'x-vreq'));
+        fs.writeFileSync(path.join(hooksDir, 'oreq.js'), tagRequest('origin-request', 'x-oreq'));
+        fs.writeFileSync(path.join(hooksDir, 'ores.js'), tagResponse('origin-response', 'x-ores'));
+        fs.writeFileSync(path.join(hooksDir, 'vres.js'), tagResponse('viewer-response', 'x-vres'));
+
+        runner = new EdgeRunner(hooksDir, {
+            watch: false,
+            distributionId: 'E2QWRUHAPOMQZL',
+            distributionDomainName: 'd123.cloudfront.net'
+        });
+    });
+
+    afterAll(() => {
+        runner.close();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. All four events share one request ID and report their own eventType', async () => {
+        const req = { url: '/page', headers: {} };
+        const request = await runner.runRequestHook(req);
+        const response = await runner.runResponseHook(req, { status: 200, headers: {} });
+
+        const [vreqType, requestId] = request['x-vreq'].split('|');
+        expect(vreqType).toBe('viewer-request');
+        expect(requestId).toMatch(/^[A-Za-z0-9_=-]{56}$/);
+        expect(request['x-oreq']).toBe(`origin-request|${requestId}`);
+        expect(response['x-ores']).toBe(`origin-response|${requestId}`);
+        expect(response['x-vres']).toBe(`viewer-response|${requestId}`);
+
+        // Another viewer request gets a new ID
+        const other = await runner.runRequestHook({ url: '/page', headers: {} });
+        expect(other['x-vreq'].split('|')[1]).not.toBe(requestId);
+    });
+
+    test('2. Origin-facing events carry the origin block', async () => {
+        const req = { url: '/page', headers: {} };
+        const request = await runner.runRequestHook(req);
+        const response = await runner.runResponseHook(req, { status: 200, headers: {} });
+
+        expect(request.origin.s3.domainName).toBeDefined();
+        expect(response['x-ores-origin']).toBe('s3');
+        expect(response['x-vres-origin']).toBeUndefined();
+
+        const custom = { custom: { domainName: 'api.example.com', port: 443, protocol: 'https', path: '', customHeaders: {} } };
+        const proxied = await runner.runResponseHook({ url: '/', headers: {} }, { status: 200, headers: {} }, { origin: custom });
+        expect(proxied['x-ores-origin']).toBe('custom');
+    });
+
+    test('3. Reports the distribution and the socket client IP', async () => {
+        const server = startServer({ port, directory: publicDir, edgeRunner: runner, noRequestLogging: true, noCompression: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        try {
+            const res = await fetch(`http://127.0.0.1:${port}/whoami`);
+            const body = await res.json();
+
+            expect(body.config).toEqual({
+                distributionDomainName: 'd123.cloudfront.net',
+                distributionId: 'E2QWRUHAPOMQZL',
+                eventType: 'viewer-request',
+                requestId: expect.any(String)
+            });
+            expect(body.clientIp).toBe('127.0.0.1');
+            expect(body.origin).toBeNull();
+        } finally {
+            await server.closeGracefully();
+        }
+    });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { EdgeFunctionError } = require('../src/errors');
+const { startServer, createRequestHandler } = require('../src/index');
+const { CapturedResponse, createViewerRequest } = require('../src/origin');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * EXECUTION LIMITS
+ * Timeouts, getRemainingTimeInMillis and the memory ceiling, plus the 503
+ * CloudFront sends when a function fails.
+ */
+describe('Execution Limits: timeouts and memory', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'execution_limits');
+    const publicDir = path.join(rootDir, 'public');
+    const port = 9103;
+    let runners = [];
+
+    const writeHook = (name, code) => {
+        const file = path.join(rootDir, name);
+        fs.writeFileSync(file, code);
+        return file;
+    };
+
+    beforeAll(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.writeFileSync(path.join(publicDir, 'index.html'), 'home');
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        runners.forEach(r => r.close());
+        runners = [];
+    });
+
+    test('1. getRemainingTimeInMillis counts down in real time', async () => {
+        const file = writeHook('remaining.js', `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event, context) => {
+                const before = context.getRemainingTimeInMillis();
+                await new Promise(r => setTimeout(r, 100));
+                const request = event.Records[0].cf.request;
+                request.headers['x-before'] = [{ key: 'X-Before', value: String(before) }];
+                request.headers['x-after'] = [{ key: 'X-After', value: String(context.getRemainingTimeInMillis()) }];
+                return request;
+            };
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        runners.push(runner);
+
+        const res = await runner.runRequestHook({ url: '/', headers: {} });
+        const before = parseInt(res['x-before']);
+        const after = parseInt(res['x-after']);
+
+        expect(before).toBeLessThanOrEqual(5000);
+        expect(before).toBeGreaterThan(4800);
+        expect(before - after).toBeGreaterThanOrEqual(90);
+    });
+
+    test('2. Aborts hung async handlers after the timeout', async () => {
+        const file = writeHook('hung.js', `
+            exports.hookType = 'viewer-request';
+            exports.handler = () => new Promise(() => { });
+        `);
+        const runner = new EdgeRunner(file, { watch: false, timeout: 0.2 });
+        runners.push(runner);
+
+        const error = await runner.runRequestHook({ url: '/', headers: {} }).catch(e => e);
+        expect(error).toBeInstanceOf(EdgeFunctionError);
+        expect(error.errorType).toBe('LambdaExecutionError');
+        expect(error.status).toBe(503);
+        expect(error.message).toMatch(/Task timed out after 0.20 seconds/);
+    });
+
+    test('3. Interrupts synchronous busy loops', async () => {
+        const file = writeHook('busy.js', `
+            exports.hookType = 'origin-request';
+            exports.handler = (event) => { while (true) { } };
+        `);
+        const runner = new EdgeRunner(null, {
+            watch: false,
+            functions: [{ eventType: 'origin-request', path: file, timeout: 0.2 }]
+        });
+        runners.push(runner);
+
+        await expect(runner.runRequestHook({ url: '/', headers: {} })).rejects.toThrow(/timed out/);
+    });
+
+    test('4. Fails functions that exceed the memory size', async () => {
+        const file = writeHook('leak.js', `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                global.leak = Array.from({ length: 32 }, () => new Array(256 * 1024).fill(Math.random()));
+                return event.Records[0].cf.request;
+            };
+        `);
+        const runner = new EdgeRunner(file, { watch: false, memorySize: 1 });
+        runners.push(runner);
+
+        await expect(runner.runRequestHook({ url: '/', headers: {} })).rejects.toThrow(/memory size of 1 MB exceeded/);
+    });
+
+    test('5. Answers 503 with the CloudFront error page', async () => {
+        const file = writeHook('throws.js', `
+            exports.hookType = 'viewer-request';
+            exports.handler = async () => { throw new Error('boom'); };
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        const server = startServer({
+            port,
+            directory: publicDir,
+            edgeRunner: runner,
+            cache: true,
+            noRequestLogging: true,
+            noCompression: true
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        try {
+            const res = await fetch(`http://localhost:${port}/`);
+            expect(res.status).toBe(503);
+            expect(res.headers.get('x-cache')).toBe('LambdaExecutionError from cloudfront');
+            expect(await res.text()).toContain('The request could not be satisfied');
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('boom'));
+        } finally {
+            await server.closeGracefully();
+        }
+    });
+
+    test('6. An unexpected error in the pipeline is logged and answered with a 500', async () => {
+        const handler = createRequestHandler({
+            directory: publicDir,
+            // A runner failing outside any function
+            edgeRunner: {
+                modules: { 'viewer-request': [{}], 'origin-request': [], 'origin-response': [], 'viewer-response': [] },
+                runRequestHook: async () => { throw new TypeError('simulator bug'); },
+                close: () => {}
+            },
+            noCompression: true
+        });
+        const res = new CapturedResponse();
+        const finished = new Promise(resolve => res.on('finish', resolve));
+
+        await handler(createViewerRequest({ url: '/' }), res);
+        await finished;
+
+        expect(res.toResult().status).toBe(500);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Internal error for /: TypeError: simulator bug'));
+    });
+
+    test('7. A fault at any stage outside the functions is logged and answered, never thrown', async () => {
+        const serve = async (options, res = new CapturedResponse()) => {
+            const handler = createRequestHandler({ directory: publicDir, noCompression: true, ...options });
+            const done = new Promise(resolve => {
+                res.on('finish', () => resolve('finished'));
+                res.on('error', err => resolve(err));
+            });
+            try {
+                await handler(createViewerRequest({ url: '/' }), res);
+                return { res, outcome: await done };
+            } finally {
+                handler.close();
+            }
+        };
+
+        // Behavior selection
+        const matched = await serve({
+            distribution: { behaviors: [], match: () => { throw new TypeError('match bug'); }, close: () => {} }
+        });
+        expect(matched.res.toResult().status).toBe(500);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Internal error for /: TypeError: match bug'));
+
+        // Tracing, after the response is built
+        const traced = await serve({ traceFile: rootDir });
+        expect(traced.res.toResult().status).toBe(500);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('EISDIR'));
+
+        // Delivery, before the status line: the half-set headers are dropped
+        const beforeHead = new CapturedResponse();
+        const writeHead = beforeHead.writeHead.bind(beforeHead);
+        beforeHead.writeHead = (status, ...rest) => {
+            if (status !== 500) throw new TypeError('writeHead bug');
+            return writeHead(status, ...rest);
+        };
+        const head = await serve({}, beforeHead);
+        expect(head.res.toResult()).toMatchObject({ status: 500, headers: {} });
+
+        // Delivery, after the status line: the response is cut short
+        const afterHead = new CapturedResponse();
+        afterHead.end = () => { throw new TypeError('end bug'); };
+        const cut = await serve({}, afterHead);
+        expect(cut.res.toResult().status).toBe(200);
+        expect(cut.outcome).toBeInstanceOf(TypeError);
+        expect(cut.outcome.message).toBe('end bug');
+    });
+});
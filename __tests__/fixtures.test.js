@@ -0,0 +1,208 @@
+const {
+    EventBuilder,
+    cloudFrontFunctionEvent,
+    originRequestEvent,
+    originResponseEvent,
+    viewerRequestEvent,
+    viewerResponseEvent
+} = require('../src/fixtures');
+const { buildRequestRecord } = require('../src/edgeRunner');
+
+const CONFIG = {
+    distributionDomainName: 'd111111abcdef8.cloudfront.net',
+    distributionId: 'EDFDVBD6EXAMPLE',
+    requestId: '4TyzHTaYWb1GX1qTfsHhEqV6HUDd_BzoBZnwfnvQc_1oF26ClkoUSEQ=='
+};
+
+const ORIGIN_REQUEST_HEADERS = {
+    'x-forwarded-for': [{ key: 'X-Forwarded-For', value: '203.0.113.178' }],
+    'user-agent': [{ key: 'User-Agent', value: 'Amazon CloudFront' }],
+    via: [{ key: 'Via', value: '2.0 2afae0d44e2540f472c0635ab62c232b.cloudfront.net (CloudFront)' }],
+    host: [{ key: 'Host', value: 'example.org' }],
+    'cache-control': [{ key: 'Cache-Control', value: 'no-cache' }]
+};
+
+const ORIGIN = {
+    custom: {
+        customHeaders: {},
+        domainName: 'example.org',
+        keepaliveTimeout: 5,
+        path: '',
+        port: 443,
+        protocol: 'https',
+        readTimeout: 30,
+        sslProtocols: ['TLSv1', 'TLSv1.1', 'TLSv1.2']
+    }
+};
+
+describe('Event fixtures', () => {
+    test('1. Default builders reproduce the documented request examples', () => {
+        expect(viewerRequestEvent().build()).toEqual({
+            Records: [{
+                cf: {
+                    config: { ...CONFIG, eventType: 'viewer-request' },
+                    request: {
+                        clientIp: '203.0.113.178',
+                        headers: {
+                            host: [{ key: 'Host', value: 'd111111abcdef8.cloudfront.net' }],
+                            'user-agent': [{ key: 'User-Agent', value: 'curl/7.66.0' }],
+                            accept: [{ key: 'accept', value: '*/*' }]
+                        },
+                        method: 'GET',
+                        querystring: '',
+                        uri: '/'
+                    }
+                }
+            }]
+        });
+
+        expect(originRequestEvent().build()).toEqual({
+            Records: [{
+                cf: {
+                    config: { ...CONFIG, eventType: 'origin-request' },
+                    request: {
+                        clientIp: '203.0.113.178',
+                        headers: ORIGIN_REQUEST_HEADERS,
+                        method: 'GET',
+                        origin: ORIGIN,
+                        querystring: '',
+                        uri: '/'
+                    }
+                }
+            }]
+        });
+    });
+
+    test('2. Default builders reproduce the documented response examples', () => {
+        const originResponse = originResponseEvent().build().Records[0].cf;
+        expect(originResponse.config.eventType).toBe('origin-response');
+        expect(originResponse.request.headers).toEqual(ORIGIN_REQUEST_HEADERS);
+        expect(originResponse.response).toEqual({
+            status: '200',
+            statusDescription: 'OK',
+            headers: {
+                'access-control-allow-credentials': [{ key: 'Access-Control-Allow-Credentials', value: 'true' }],
+                'access-control-allow-origin': [{ key: 'Access-Control-Allow-Origin', value: '*' }],
+                date: [{ key: 'Date', value: 'Mon, 13 Jan 2020 20:12:38 GMT' }],
+                'referrer-policy': [{ key: 'Referrer-Policy', value: 'no-referrer-when-downgrade' }],
+                server: [{ key: 'Server', value: 'ExampleCustomOriginServer' }],
+                'x-content-type-options': [{ key: 'X-Content-Type-Options', value: 'nosniff' }],
+                'x-frame-options': [{ key: 'X-Frame-Options', value: 'DENY' }],
+                'x-xss-protection': [{ key: 'X-XSS-Protection', value: '1; mode=block' }],
+                'content-type': [{ key: 'Content-Type', value: 'text/html; charset=utf-8' }],
+                'content-length': [{ key: 'Content-Length', value: '9593' }]
+            }
+        });
+
+        const viewerResponse = viewerResponseEvent().build().Records[0].cf;
+        expect(viewerResponse.request.origin).toBeUndefined();
+        expect(viewerResponse.request.headers.host[0].value).toBe('d111111abcdef8.cloudfront.net');
+        expect(viewerResponse.response.headers.age).toEqual([{ key: 'Age', value: '2402' }]);
+        expect(viewerResponse.response.headers.date[0].value).toBe('Mon, 13 Jan 2020 20:14:56 GMT');
+    });
+
+    test('3. Fluent helpers set headers, cookies, query strings, body and origin', () => {
+        const { cf } = originRequestEvent()
+            .method('post')
+            .uri('/api/items')
+            .query('q', 'a b')
+            .query('page', '2')
+            .header('host', 'api.example.com')
+            .header('X-Custom', 'yes')
+            .removeHeader('Cache-Control')
+            .cookie('session', 'abc')
+            .cookie('theme', 'dark')
+            .body('{"id":1}')
+            .origin('http://localhost:3000/v1', { 'X-Origin-Key': 'k' })
+            .requestId('req-1')
+            .build().Records[0];
+
+        expect(cf.config.requestId).toBe('req-1');
+        expect(cf.request.method).toBe('POST');
+        expect(cf.request.uri).toBe('/api/items');
+        expect(cf.request.querystring).toBe('q=a%20b&page=2');
+        // Other casings of a header are replaced
+        expect(cf.request.headers.host).toEqual([{ key: 'host', value: 'api.example.com' }]);
+        expect(cf.request.headers['x-custom']).toEqual([{ key: 'X-Custom', value: 'yes' }]);
+        expect(cf.request.headers['cache-control']).toBeUndefined();
+        expect(cf.request.headers.cookie).toEqual([{ key: 'Cookie', value: 'session=abc; theme=dark' }]);
+        expect(cf.request.body).toEqual({
+            inputTruncated: false,
+            action: 'read-only',
+            encoding: 'base64',
+            data: Buffer.from('{"id":1}').toString('base64')
+        });
+        expect(cf.request.origin.custom).toMatchObject({
+            domainName: 'localhost',
+            port: 3000,
+            protocol: 'http',
+            path: '/v1',
+            customHeaders: { 'x-origin-key': [{ key: 'X-Origin-Key', value: 'k' }] }
+        });
+    });
+
+    test('4. Response helpers set the status and headers; request events refuse them', () => {
+        const { response } = viewerResponseEvent()
+            .status(404, 'Not Found')
+            .responseHeader('content-type', 'application/json')
+            .responseHeaders({ 'X-Extra': '1' })
+            .build().Records[0].cf;
+
+        expect(response.status).toBe('404');
+        expect(response.statusDescription).toBe('Not Found');
+        expect(response.headers['content-type']).toEqual([{ key: 'content-type', value: 'application/json' }]);
+        expect(response.headers['x-extra']).toEqual([{ key: 'X-Extra', value: '1' }]);
+
+        expect(() => viewerRequestEvent().status(200)).toThrow('viewer-request events have no response');
+        // A body is only part of request events
+        expect(originResponseEvent().body('x').build().Records[0].cf.request.body).toBeUndefined();
+    });
+
+    test('5. CloudFront Functions events use the function event shape', () => {
+        const event = cloudFrontFunctionEvent()
+            .url('/shop?color=red')
+            .cookie('id', '42')
+            .build();
+
+        expect(event).toEqual({
+            version: '1.0',
+            context: { ...CONFIG, eventType: 'viewer-request' },
+            viewer: { ip: '203.0.113.178' },
+            request: {
+                method: 'GET',
+                uri: '/shop',
+                querystring: { color: { value: 'red' } },
+                headers: {
+                    host: { value: 'd111111abcdef8.cloudfront.net' },
+                    'user-agent': { value: 'curl/7.66.0' },
+                    accept: { value: '*/*' }
+                },
+                cookies: { id: { value: '42' } }
+            }
+        });
+
+        const response = cloudFrontFunctionEvent('viewer-response').status(302).build();
+        expect(response.response.statusCode).toBe(302);
+        expect(() => cloudFrontFunctionEvent('origin-request')).toThrow('only run on viewer events');
+    });
+
+    test('6. Request records match what the live pipeline builds', () => {
+        const headers = { Host: 'localhost:3000', 'Accept-Language': 'en', 'X-Multi': ['a', 'b'] };
+        const live = buildRequestRecord({
+            method: 'PUT',
+            url: '/path/to?x=1&y=2',
+            headers,
+            socket: { remoteAddress: '::ffff:10.0.0.1' }
+        });
+        const fixture = new EventBuilder('viewer-request')
+            .method('PUT')
+            .url('/path/to?x=1&y=2')
+            .removeHeader('User-Agent')
+            .removeHeader('accept')
+            .headers(headers)
+            .clientIp('10.0.0.1')
+            .build().Records[0].cf.request;
+
+        expect(fixture).toEqual(live);
+    });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const { createEdgeTestClient } = require('../src/testing');
+const { EdgeRunner } = require('../src/edgeRunner');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * FUNCTION ORDER & TOGGLES
+ * CloudFront runs one function per event and cache behavior. Several functions
+ * for an event only load when declared as a chain, which runs in manifest
+ * order; undeclared ones are an error, or run by file name with a warning
+ * under `strictEvents: false`. Each function can be switched off and on while
+ * serving.
+ */
+describe('Function selection: one function per event, chains and toggles', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'function_selection');
+    const api = '/__cloudfrontize/api/functions';
+    let clients = [];
+    let warnSpy;
+
+    const write = (file, code) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), code);
+    };
+    const client = (options) => {
+        const c = createEdgeTestClient({ directory: path.join(rootDir, 'www'), baseDir: rootDir, ...options });
+        clients.push(c);
+        return c;
+    };
+    // A viewer-response function appending its name to X-Chain
+    const link = (name) => `
+        exports.hookType = 'viewer-response';
+        exports.handler = async (event) => {
+            const response = event.Records[0].cf.response;
+            const chain = response.headers['x-chain'] ? response.headers['x-chain'][0].value + ',' : '';
+            response.headers['x-chain'] = [{ key: 'X-Chain', value: chain + '${name}' }];
+            return response;
+        };
+    `;
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        write('www/index.html', '<h1>Home</h1>');
+
+        // Created out of name order
+        write('discovered/c.js', link('c'));
+        write('discovered/a.js', link('a'));
+        write('discovered/b.js', link('b'));
+
+        write('declared/a.js', link('a'));
+        write('declared/b.js', link('b'));
+        write('declared/c.js', link('c'));
+        write('declared/cloudfrontize.json', JSON.stringify({
+            functions: {
+                'viewer-response': ['./c.js', './a.js', { path: './b.js', enabled: false }]
+            }
+        }));
+    });
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Without strictEvents, discovered functions for one event chain in file name order, with a warning', async () => {
+        const res = await client({ edge: 'discovered', strictEvents: false }).get('/');
+
+        expect(res.headers['x-chain']).toBe('a,b,c');
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining(
+            'viewer-response has 3 functions (a.js, b.js, c.js), but CloudFront runs one per event and cache behavior'
+        ));
+    });
+
+    test('2. An undeclared chain fails to load by default; a manifest list declares one, in its order', async () => {
+        expect(() => client({ edge: 'discovered' }))
+            .toThrow(/viewer-response has 3 functions .*declare the chain in cloudfrontize\.json or with --hook/);
+
+        const res = await client({ edge: 'declared' }).get('/');
+        expect(res.headers['x-chain']).toBe('c,a');
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('3. Functions are listed with ids, and toggled at runtime; toggles survive reloads', async () => {
+        const runner = new EdgeRunner(path.join(rootDir, 'declared'), { watch: false });
+        try {
+            expect(runner.listFunctions().map(f => [f.id, f.enabled, f.declared])).toEqual([
+                ['viewer-response:c.js', true, true],
+                ['viewer-response:a.js', true, true],
+                ['viewer-response:b.js', false, true]
+            ]);
+
+            runner.setFunctionEnabled('viewer-response:b.js', true);
+            runner.setFunctionEnabled('viewer-response:c.js', false);
+            runner._load();
+            expect(runner.modules['viewer-response'].map(m => path.basename(m.file))).toEqual(['a.js', 'b.js']);
+
+            expect(() => runner.setFunctionEnabled('viewer-request:nope.js', true)).toThrow('Unknown function "viewer-request:nope.js"');
+        } finally {
+            runner.close();
+        }
+    });
+
+    test('4. A toggle that would create an undeclared chain is refused and undone', () => {
+        write('growing/a.js', link('a'));
+        const runner = new EdgeRunner(path.join(rootDir, 'growing'), { watch: false });
+        try {
+            runner.setFunctionEnabled('viewer-response:a.js', false);
+            write('growing/b.js', link('b'));
+            runner._load();
+
+            expect(() => runner.setFunctionEnabled('viewer-response:a.js', true)).toThrow('viewer-response has 2 functions (a.js, b.js)');
+            expect(runner.listFunctions().map(f => [f.id, f.enabled])).toEqual([
+                ['viewer-response:a.js', false],
+                ['viewer-response:b.js', true]
+            ]);
+            expect(runner.modules['viewer-response'].map(m => path.basename(m.file))).toEqual(['b.js']);
+        } finally {
+            runner.close();
+        }
+    });
+
+    test('5. A hot reload with an undeclared chain is logged and keeps the previous functions', async () => {
+        write('watched/a.js', link('a'));
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const runner = new EdgeRunner(path.join(rootDir, 'watched'));
+        try {
+            write('watched/b.js', link('b'));
+            for (let i = 0; i < 50 && !errorSpy.mock.calls.length; i++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+
+            expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining(
+                'Reload failed, keeping the previous functions: viewer-response has 2 functions (a.js, b.js)'
+            ));
+            expect(runner.modules['viewer-response'].map(m => path.basename(m.file))).toEqual(['a.js']);
+            expect(runner.listFunctions().map(f => f.id)).toEqual(['viewer-response:a.js']);
+        } finally {
+            runner.close();
+            errorSpy.mockRestore();
+        }
+    });
+
+    test('6. The inspector lists functions and toggles them without a restart', async () => {
+        const inspected = client({ edge: 'discovered', strictEvents: false, inspect: true });
+
+        const fns = (await inspected.get(api)).json();
+        expect(fns.map(f => [f.key, f.behavior, f.eventType, f.enabled])).toEqual([
+            ['0/viewer-response:a.js', '*', 'viewer-response', true],
+            ['0/viewer-response:b.js', '*', 'viewer-response', true],
+            ['0/viewer-response:c.js', '*', 'viewer-response', true]
+        ]);
+
+        const off = await inspected.post(`${api}/${encodeURIComponent('0/viewer-response:b.js')}/disable`);
+        expect(off.status).toBe(200);
+        expect(off.json().find(f => f.id === 'viewer-response:b.js').enabled).toBe(false);
+        expect((await inspected.get('/')).headers['x-chain']).toBe('a,c');
+
+        await inspected.post(`${api}/${encodeURIComponent('0/viewer-response:b.js')}/enable`);
+        expect((await inspected.get('/')).headers['x-chain']).toBe('a,b,c');
+
+        expect((await inspected.post(`${api}/${encodeURIComponent('0/viewer-response:x.js')}/enable`)).status).toBe(404);
+        expect((await inspected.get(`${api}/${encodeURIComponent('0/viewer-response:a.js')}/enable`)).status).toBe(405);
+    });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { startServer } = require('../src/index');
+const path = require('path');
+const http = require('http');
+const fs = require('fs');
+
+/**
+ * Helper that keeps the raw reason phrase (fetch() does not expose it reliably)
+ */
+function get(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { agent: false, headers: { Connection: 'close' } }, (res) => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                statusMessage: res.statusMessage,
+                headers: res.headers,
+                body: Buffer.concat(chunks)
+            }));
+        }).on('error', reject);
+    });
+}
+
+describe('Generated Responses: status, statusDescription and body', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'generated_responses');
+    const publicDir = path.join(rootDir, 'public');
+    const hooksDir = path.join(rootDir, 'hooks');
+    const port = 9097;
+    let server;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+        fs.writeFileSync(path.join(publicDir, 'page.txt'), '<p>origin</p>');
+
+        fs.writeFileSync(path.join(hooksDir, 'viewerRequest.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (request.uri === '/private') {
+                    return {
+                        status: '401',
+                        statusDescription: 'Go Away',
+                        headers: { 'content-type': [{ key: 'Content-Type', value: 'application/json' }] },
+                        body: JSON.stringify({ error: 'unauthorized' })
+                    };
+                }
+                if (request.uri === '/pixel.gif') {
+                    return {
+                        status: '200',
+                        headers: { 'content-type': [{ key: 'Content-Type', value: 'image/gif' }] },
+                        bodyEncoding: 'base64',
+                        body: Buffer.from('GIF89a').toString('base64')
+                    };
+                }
+                return request;
+            };
+        `);
+
+        fs.writeFileSync(path.join(hooksDir, 'originRequest.js'), `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (request.uri === '/maintenance') {
+                    return { status: '503', statusDescription: 'Service Unavailable', body: '<h1>Back soon</h1>' };
+                }
+                return request;
+            };
+        `);
+
+        fs.writeFileSync(path.join(hooksDir, 'originResponse.js'), `
+            exports.hookType = 'origin-response';
+            exports.handler = async (event) => {
+                const response = event.Records[0].cf.response;
+                if (event.Records[0].cf.request.uri === '/page.txt') {
+                    response.body = '<p>replaced at the edge</p>';
+                }
+                return response;
+            };
+        `);
+
+        fs.writeFileSync(path.join(hooksDir, 'viewerResponse.js'), `
+            exports.hookType = 'viewer-response';
+            exports.handler = async (event) => {
+                const response = event.Records[0].cf.response;
+                response.headers['x-viewer-response'] = [{ key: 'X-Viewer-Response', value: 'fired' }];
+                response.body = 'viewer-response bodies are not allowed';
+                return response;
+            };
+        `);
+
+        const runner = new EdgeRunner(hooksDir, { watch: false });
+        server = startServer({ port, directory: publicDir, edgeRunner: runner, noRequestLogging: true, noCompression: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Viewer-request responses send body and statusDescription', async () => {
+        const res = await get(`http://localhost:${port}/private`);
+
+        expect(res.status).toBe(401);
+        expect(res.statusMessage).toBe('Go Away');
+        expect(res.headers['content-type']).toBe('application/json');
+        expect(JSON.parse(res.body.toString())).toEqual({ error: 'unauthorized' });
+        // Responses generated by viewer-request never reach viewer-response
+        expect(res.headers['x-viewer-response']).toBeUndefined();
+    });
+
+    test('2. Decodes base64 bodies', async () => {
+        const res = await get(`http://localhost:${port}/pixel.gif`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.toString()).toBe('GIF89a');
+    });
+
+    test('3. Origin-request responses skip the origin but not viewer-response (below 400)', async () => {
+        const res = await get(`http://localhost:${port}/maintenance`);
+
+        expect(res.status).toBe(503);
+        expect(res.body.toString()).toBe('<h1>Back soon</h1>');
+        // viewer-response does not run for statuses >= 400
+        expect(res.headers['x-viewer-response']).toBeUndefined();
+    });
+
+    test('4. Origin-response may replace the body, viewer-response may not', async () => {
+        const res = await get(`http://localhost:${port}/page.txt`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-viewer-response']).toBe('fired');
+        expect(res.body.toString()).toBe('<p>replaced at the edge</p>');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('cannot modify the response body'));
+    });
+});
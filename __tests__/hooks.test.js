@@ -0,0 +1,188 @@
+'use strict';
+
+const { createEdgeTestClient } = require('../src/testing');
+const { parseHookFlag, resolveHandlerSpec, eventTypeFromFileName } = require('../src/hooks');
+const { invokeFunction, buildEvent } = require('../src/invoke');
+const { EdgeRunner } = require('../src/edgeRunner');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * HANDLER DISCOVERY
+ * Functions without exports.hookType find their event through a manifest,
+ * --hook associations or their file name, and `file.exportName` picks one of
+ * several handlers a module exports.
+ */
+describe('Hooks: associating functions without hookType', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'hooks');
+    const cli = path.resolve(__dirname, '..', 'bin', 'cli.js');
+    let clients = [];
+
+    const write = (file, code) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), code);
+    };
+    const client = (options) => {
+        const c = createEdgeTestClient({ directory: path.join(rootDir, 'www'), baseDir: rootDir, ...options });
+        clients.push(c);
+        return c;
+    };
+    // A handler tagging the response (or the request it generates) with its name
+    const tagger = (name) => `async (event) => {
+        const cf = event.Records[0].cf;
+        if (!cf.response) return { status: '200', headers: { 'x-by': [{ key: 'X-By', value: '${name}' }] } };
+        cf.response.headers['x-by'] = [{ key: 'X-By', value: '${name}' }];
+        return cf.response;
+    }`;
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        write('www/index.html', '<h1>Home</h1>');
+
+        // Production modules: no CloudFrontize-only exports
+        write('named/viewer-request.js', `
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                request.headers['x-seen'] = [{ key: 'X-Seen', value: 'yes' }];
+                return request;
+            };
+        `);
+        write('named/headers.viewer-response.ts', `export const handler = ${tagger('headers.viewer-response.ts')};`);
+        write('named/util.js', 'exports.handler = async () => { throw new Error("never associated"); };');
+        // hookType wins over the name
+        write('named/origin-response.js', `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => event.Records[0].cf.request;
+        `);
+
+        // One module, several triggers
+        write('multi/index.js', `
+            let calls = 0;
+            exports.viewerRequest = async (event) => {
+                calls++;
+                return event.Records[0].cf.request;
+            };
+            exports.viewerResponse = async (event) => {
+                const response = event.Records[0].cf.response;
+                response.headers['x-calls'] = [{ key: 'X-Calls', value: String(++calls) }];
+                return response;
+            };
+        `);
+        write('multi/cloudfrontize.json', JSON.stringify({
+            functions: {
+                'viewer-request': './index.viewerRequest',
+                'viewer-response': { path: './index.js', handler: 'viewerResponse' }
+            }
+        }));
+
+        write('flags/auth.mjs', `export const check = ${tagger('auth.check')};`);
+        write('flags/headers.js', `exports.handler = ${tagger('headers.js')};`);
+    });
+
+    afterEach(() => {
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. File names name the event: viewer-request.js and *.viewer-response.ts', async () => {
+        const res = await client({ edge: 'named' }).get('/');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-by']).toBe('headers.viewer-response.ts');
+        expect(res.trace.map(t => [t.eventType, path.basename(t.file)])).toEqual([
+            ['viewer-request', 'viewer-request.js'],
+            ['origin-request', 'origin-response.js'],
+            ['viewer-response', 'headers.viewer-response.ts']
+        ]);
+
+        expect(eventTypeFromFileName('/x/origin-request.mts')).toBe('origin-request');
+        expect(eventTypeFromFileName('/x/auth.viewer-request.js')).toBe('viewer-request');
+        expect(eventTypeFromFileName('/x/my-viewer-request.js')).toBeNull();
+    });
+
+    test('2. An edge directory manifest maps one module\'s exports to several events', async () => {
+        const multi = client({ edge: 'multi' });
+        const res = await multi.get('/');
+
+        expect(res.trace.map(t => t.eventType)).toEqual(['viewer-request', 'viewer-response']);
+        // Each association is its own function, with its own module scope
+        expect(res.headers['x-calls']).toBe('1');
+    });
+
+    test('3. hooks (like --hook) associate files and file.exportName handlers', async () => {
+        const res = await client({
+            hooks: { 'viewer-request': 'flags/auth.check' }
+        }).get('/');
+        expect(res.headers['x-by']).toBe('auth.check');
+
+        const both = await client({
+            edge: 'flags/headers.js',
+            hooks: { 'viewer-response': 'flags/headers.js' }
+        }).get('/');
+        expect(both.trace.map(t => t.eventType)).toEqual(['viewer-response']);
+        expect(both.headers['x-by']).toBe('headers.js');
+
+        expect(parseHookFlag('viewer-request=./auth.check', path.join(rootDir, 'flags'))).toEqual({
+            eventType: 'viewer-request',
+            path: path.join(rootDir, 'flags', 'auth.mjs'),
+            handler: 'check'
+        });
+        expect(() => parseHookFlag('./auth.js')).toThrow(/Invalid --hook "\.\/auth\.js"/);
+        expect(() => parseHookFlag('viewer-requests=./auth.js')).toThrow(/Invalid --hook/);
+    });
+
+    test('4. Handler specs resolve like Lambda\'s: file, or file without extension plus export', () => {
+        const flags = path.join(rootDir, 'flags');
+        expect(resolveHandlerSpec('./headers.js', flags)).toEqual({ path: path.join(flags, 'headers.js'), handler: undefined });
+        expect(resolveHandlerSpec('./headers.handler', flags)).toEqual({ path: path.join(flags, 'headers.js'), handler: 'handler' });
+        expect(() => resolveHandlerSpec('./missing.handler', flags)).toThrow('Cannot find function "./missing.handler"');
+    });
+
+    test('5. Distribution behaviors accept file.exportName; a missing export fails loading', async () => {
+        const res = await client({
+            defaultBehavior: { functions: { 'viewer-response': './multi/index.viewerResponse' } }
+        }).get('/');
+        expect(res.headers['x-calls']).toBe('1');
+
+        expect(() => client({ hooks: { 'viewer-request': 'multi/index.nope' } }))
+            .toThrow('index.js has no "nope" export');
+    });
+
+    test('6. invoke runs file.exportName', async () => {
+        const report = await invokeFunction(path.join(rootDir, 'multi', 'index.viewerResponse'), buildEvent('viewer-response'));
+        expect(report.error).toBeNull();
+        expect(report.eventType).toBe('viewer-response');
+        expect(report.result.headers['x-calls']).toEqual([{ key: 'X-Calls', value: '1' }]);
+
+        const run = spawnSync(process.execPath, [cli, 'invoke', path.join(rootDir, 'flags', 'auth.check'), '-t', 'viewer-request', '--json'], { encoding: 'utf8', timeout: 30000 });
+        expect(run.status).toBe(0);
+        expect(JSON.parse(run.stdout).result.headers['x-by']).toEqual([{ key: 'X-By', value: 'auth.check' }]);
+    });
+
+    test('7. With --edge and --hook, the edge directory and the hooked files are both watched', async () => {
+        write('watched/edge/viewer-request.js', 'exports.handler = async (event) => event.Records[0].cf.request;');
+        write('watched/auth.js', `exports.handler = ${tagger('v1')};`);
+        const runner = new EdgeRunner(path.join(rootDir, 'watched', 'edge'), {
+            functions: [parseHookFlag('viewer-response=./watched/auth.js', rootDir)]
+        });
+        const waitFor = async (check) => {
+            for (let i = 0; i < 50 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 50));
+            return check();
+        };
+        try {
+            write('watched/edge/origin-response.js', 'exports.handler = async (event) => event.Records[0].cf.response;');
+            expect(await waitFor(() => runner.modules['origin-response'].length === 1)).toBe(true);
+
+            const before = runner.modules['viewer-response'][0];
+            write('watched/auth.js', `exports.handler = ${tagger('v2')};`);
+            expect(await waitFor(() => runner.modules['viewer-response'][0] !== before)).toBe(true);
+        } finally {
+            runner.close();
+        }
+    });
+});
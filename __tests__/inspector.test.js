@@ -0,0 +1,161 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { Inspector } = require('../src/inspector');
+const { startServer } = require('../src/index');
+const { createEdgeTestClient } = require('../src/testing');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * WEB INSPECTOR
+ * With --inspect, /__cloudfrontize/ lists recent requests with the functions
+ * that handled them (records, logs, timing, cache) and replays them through
+ * the current function code.
+ */
+describe('Inspector: dashboard of recent requests with replay', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'inspector');
+    const port = 9108;
+    const base = `http://localhost:${port}/__cloudfrontize`;
+    const greeter = path.join(rootDir, 'edge', 'greeter.js');
+    let server;
+    let runner;
+    let logSpy;
+
+    const writeGreeter = (greeting) => fs.writeFileSync(greeter, `
+        exports.hookType = 'viewer-request';
+        exports.handler = async (event) => {
+            const request = event.Records[0].cf.request;
+            const body = request.body ? Buffer.from(request.body.data, 'base64').toString() : '';
+            console.log('greeting', request.uri);
+            return {
+                status: '200',
+                headers: { 'content-type': [{ key: 'Content-Type', value: 'text/plain' }] },
+                body: '${greeting} ' + (request.headers['x-name'] ? request.headers['x-name'][0].value : 'nobody') + ' ' + body
+            };
+        };
+        exports.includeBody = true;
+    `);
+
+    beforeAll(async () => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'slow'), { recursive: true });
+        writeGreeter('Hello');
+        fs.writeFileSync(path.join(rootDir, 'slow', 'slow.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                console.log('start', request.uri);
+                await new Promise(r => setTimeout(r, request.uri === '/a' ? 40 : 5));
+                console.log('end', request.uri);
+                return request;
+            };
+        `);
+
+        runner = new EdgeRunner(greeter, { watch: false });
+        server = startServer({
+            port,
+            directory: path.join(rootDir, 'www'),
+            edgeRunner: runner,
+            inspect: true,
+            noRequestLogging: true
+        });
+        await new Promise(resolve => server.on('listening', resolve));
+    });
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => logSpy.mockRestore());
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Serves the dashboard on the reserved path, outside the pipeline', async () => {
+        const res = await fetch(`${base}/`);
+        expect(res.status).toBe(200);
+        expect(res.headers.get('content-type')).toContain('text/html');
+        expect(await res.text()).toContain('CloudFrontize Inspector');
+
+        // Dashboard calls are never recorded
+        const list = await (await fetch(`${base}/api/requests`)).json();
+        expect(list).toEqual([]);
+    });
+
+    test('2. Lists recent requests and details every function with its records and logs', async () => {
+        await fetch(`http://localhost:${port}/first`);
+        await fetch(`http://localhost:${port}/second`, { headers: { 'X-Name': 'Ana' } });
+
+        const list = await (await fetch(`${base}/api/requests`)).json();
+        expect(list.map(r => r.url)).toEqual(['/second', '/first']);
+        expect(list[0]).toMatchObject({ method: 'GET', status: 200, cache: null, replayOf: null });
+        expect(list[0].durationMs).toBeGreaterThan(0);
+        expect(list[0].functions).toEqual([
+            expect.objectContaining({ eventType: 'viewer-request', file: greeter, generated: true, error: null })
+        ]);
+        expect(list[0].viewer).toBeUndefined();
+
+        const detail = await (await fetch(`${base}/api/requests/${list[0].id}`)).json();
+        const [fn] = detail.functions;
+        expect(fn.input.uri).toBe('/second');
+        expect(fn.input.headers['x-name'][0].value).toBe('Ana');
+        expect(fn.output.body).toBe('Hello Ana ');
+        expect(fn.logs).toEqual([{ level: 'log', message: 'greeting /second' }]);
+        expect(detail.viewer).toMatchObject({ method: 'GET', url: '/second' });
+
+        expect((await fetch(`${base}/api/requests/999`)).status).toBe(404);
+    });
+
+    test('3. Replays a captured request through the current (reloaded) code', async () => {
+        await fetch(`http://localhost:${port}/post`, { method: 'POST', headers: { 'X-Name': 'Bo' }, body: 'payload' });
+        const [original] = await (await fetch(`${base}/api/requests`)).json();
+
+        writeGreeter('Bonjour');
+        runner._load();
+
+        const res = await fetch(`${base}/api/requests/${original.id}/replay`, { method: 'POST' });
+        expect(res.status).toBe(200);
+        const replayed = await res.json();
+
+        expect(replayed.id).toBeGreaterThan(original.id);
+        expect(replayed.replayOf).toBe(original.id);
+        expect(replayed).toMatchObject({ method: 'POST', url: '/post', status: 200 });
+        // Same viewer request (headers and body), new code
+        expect(replayed.functions[0].output.body).toBe('Bonjour Bo payload');
+
+        const list = await (await fetch(`${base}/api/requests`)).json();
+        expect(list[0].id).toBe(replayed.id);
+        expect((await fetch(`${base}/api/requests/${original.id}/replay`)).status).toBe(405);
+    });
+
+    test('4. Without --inspect the reserved path is an ordinary request', async () => {
+        const client = createEdgeTestClient({ directory: path.join(rootDir, 'www') });
+        const res = await client.get('/__cloudfrontize/');
+        client.close();
+        expect(res.status).toBe(404);
+    });
+
+    test('5. Logs of overlapping invocations stay with their own invocation', async () => {
+        const client = createEdgeTestClient({ edge: path.join(rootDir, 'slow'), directory: path.join(rootDir, 'www') });
+        const [a, b] = await Promise.all([client.get('/a'), client.get('/b')]);
+        client.close();
+
+        expect(a.trace[0].logs.map(l => l.message)).toEqual(['start /a', 'end /a']);
+        expect(b.trace[0].logs.map(l => l.message)).toEqual(['start /b', 'end /b']);
+        // Still printed to the terminal
+        expect(logSpy).toHaveBeenCalledWith('end', '/a');
+    });
+
+    test('6. Keeps only the most recent requests', () => {
+        const inspector = new Inspector({ limit: 2 });
+        [1, 2, 3].forEach(n => inspector.record({ url: `/${n}`, functions: [] }, {}));
+        expect(inspector.records.map(r => r.url)).toEqual(['/2', '/3']);
+        expect(inspector.get(1)).toBeNull();
+        expect(inspector.get(3).url).toBe('/3');
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { buildEvent, invokeFunction } = require('../src/invoke');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * HEADLESS INVOKE
+ * `cloudfrontize invoke` runs a single function against an event, with no
+ * server, and reports the result, logs, duration and validation errors.
+ */
+describe('Invoke: headless single-function runs', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'invoke');
+    const cli = path.resolve(__dirname, '..', 'bin', 'cli.js');
+    const file = (name) => path.join(rootDir, name);
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(rootDir, { recursive: true });
+
+        fs.writeFileSync(file('rewrite.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                console.log('rewriting', request.uri);
+                request.uri = request.uri.replace(/\\/$/, '/index.html');
+                return request;
+            };
+        `);
+        fs.writeFileSync(file('invalid.js'), `
+            exports.hookType = 'viewer-response';
+            exports.handler = async (event) => ({ ...event.Records[0].cf.response, status: 200 });
+        `);
+        fs.writeFileSync(file('throws.js'), `
+            exports.hookType = 'origin-request';
+            exports.handler = async () => { throw new Error('boom'); };
+        `);
+        fs.writeFileSync(file('noHook.js'), `
+            exports.handler = async (event) => event.Records[0].cf.response;
+        `);
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. buildEvent turns a method/URL/headers shorthand into a CloudFront event', () => {
+        const event = buildEvent('origin-response', { method: 'post', url: '/a?b=1', headers: { 'X-Test': '1' }, status: 404 });
+        const { config, request, response } = event.Records[0].cf;
+
+        expect(config.eventType).toBe('origin-response');
+        expect(request).toMatchObject({ method: 'POST', uri: '/a', querystring: 'b=1' });
+        expect(request.headers['x-test']).toEqual([{ key: 'X-Test', value: '1' }]);
+        expect(response.status).toBe('404');
+        expect(buildEvent('viewer-request').Records[0].cf.response).toBeUndefined();
+    });
+
+    test('2. Reports the result, logs and duration of a successful run', async () => {
+        const report = await invokeFunction(file('rewrite.js'), buildEvent(undefined, { url: '/docs/' }));
+
+        expect(report.eventType).toBe('viewer-request');
+        expect(report.result.uri).toBe('/docs/index.html');
+        expect(report.logs).toEqual([{ level: 'log', message: 'rewriting /docs/' }]);
+        expect(report.durationMs).toBeGreaterThan(0);
+        expect(report.errors).toEqual([]);
+        expect(report.error).toBeNull();
+    });
+
+    test('3. Reports validation errors and execution failures', async () => {
+        const invalid = await invokeFunction(file('invalid.js'), buildEvent('viewer-response'));
+        expect(invalid.errors).toEqual([expect.stringContaining('"status" must be a string')]);
+
+        const thrown = await invokeFunction(file('throws.js'), buildEvent('origin-request'));
+        expect(thrown.error).toEqual({ errorType: 'LambdaExecutionError', message: 'boom' });
+    });
+
+    test('4. --event-type runs a module that does not export hookType', async () => {
+        const missing = await invokeFunction(file('noHook.js'), buildEvent());
+        expect(missing.error.message).toMatch(/No handler found/);
+
+        const report = await invokeFunction(file('noHook.js'), buildEvent(), { eventType: 'viewer-response' });
+        expect(report.eventType).toBe('viewer-response');
+        expect(report.result.status).toBe('200');
+    });
+
+    test('5. The CLI reads the event from stdin and exits non-zero on failure', () => {
+        const event = JSON.stringify(buildEvent('viewer-request', { url: '/guide/' }));
+        const ok = spawnSync(process.execPath, [cli, 'invoke', file('rewrite.js'), '--event', '-', '--json'], { input: event, encoding: 'utf8', timeout: 20000 });
+        expect(ok.status).toBe(0);
+        expect(JSON.parse(ok.stdout).result.uri).toBe('/guide/index.html');
+
+        const bad = spawnSync(process.execPath, [cli, 'invoke', file('invalid.js')], { encoding: 'utf8', timeout: 20000 });
+        expect(bad.status).toBe(1);
+        expect(bad.stderr).toContain('LambdaValidationError');
+    });
+});
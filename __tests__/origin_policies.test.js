@@ -0,0 +1,147 @@
+'use strict';
+
+const { Distribution } = require('../src/distribution');
+const { startServer } = require('../src/index');
+const { applyOriginRequestPolicy, resolveCachePolicy, resolveOriginRequestPolicy } = require('../src/policies');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * CACHE & ORIGIN REQUEST POLICIES
+ * Between viewer-request and origin-request, CloudFront only keeps what the
+ * cache key and the origin request policy name; everything else the viewer
+ * sent never reaches origin-request functions or the origin.
+ */
+describe('Policies: cache and origin request policies', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'origin_policies');
+    const port = 9107;
+    let server;
+
+    const send = (urlPath, headers = {}) => fetch(`http://localhost:${port}${urlPath}`, { headers });
+    const echo = async (urlPath, headers = {}) => (await send(urlPath, headers)).json();
+
+    beforeAll(async () => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www', 'static'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge'), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, 'www', 'static', 'app.js'), 'console.log("app");');
+
+        // Echo what the origin-request function received back to the test
+        fs.writeFileSync(path.join(rootDir, 'edge', 'echo.js'), `
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                const headers = {};
+                for (const [name, values] of Object.entries(request.headers)) headers[name] = values[0].value;
+                return {
+                    status: '200',
+                    headers: { 'content-type': [{ key: 'Content-Type', value: 'application/json' }] },
+                    body: JSON.stringify({ querystring: request.querystring, headers })
+                };
+            };
+        `);
+
+        fs.writeFileSync(path.join(rootDir, 'session-policy.json'), JSON.stringify({
+            headers: ['Accept-Language'],
+            cookies: ['session'],
+            queryStrings: { allExcept: ['utm_source'] }
+        }));
+
+        const echoFn = { 'origin-request': './edge/echo.js' };
+        const distribution = new Distribution({
+            origins: { site: { directory: './www' } },
+            behaviors: [
+                { pathPattern: '/s3/*', originRequestPolicy: 'CORS-S3Origin', functions: echoFn },
+                { pathPattern: '/all/*', originRequestPolicy: 'AllViewer', functions: echoFn },
+                { pathPattern: '/optimized/*', cachePolicy: 'CachingOptimized', functions: echoFn },
+                { pathPattern: '/custom/*', originRequestPolicy: './session-policy.json', functions: echoFn },
+                { pathPattern: '/static/*', cachePolicy: 'CachingOptimized' },
+                { pathPattern: '/nocache/*', cachePolicy: 'CachingDisabled', functions: echoFn }
+            ],
+            defaultBehavior: { functions: echoFn }
+        }, { baseDir: rootDir, watch: false });
+
+        server = startServer({ port, distribution, noRequestLogging: true, noCompression: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. CORS-S3Origin drops Authorization, cookies and query strings before origin-request', async () => {
+        const seen = await echo('/s3/file?v=1', {
+            'Authorization': 'Bearer secret',
+            'Cookie': 'session=abc',
+            'Origin': 'https://app.example.com'
+        });
+        expect(seen.headers.authorization).toBeUndefined();
+        expect(seen.headers.cookie).toBeUndefined();
+        expect(seen.headers.origin).toBe('https://app.example.com');
+        expect(seen.querystring).toBe('');
+    });
+
+    test('2. AllViewer forwards every viewer header, cookie and query string', async () => {
+        const seen = await echo('/all/file?v=1&lang=en', {
+            'Authorization': 'Bearer secret',
+            'Cookie': 'session=abc; theme=dark',
+            'User-Agent': 'policy-test'
+        });
+        expect(seen.headers.authorization).toBe('Bearer secret');
+        expect(seen.headers.cookie).toBe('session=abc; theme=dark');
+        expect(seen.headers['user-agent']).toBe('policy-test');
+        expect(seen.querystring).toBe('v=1&lang=en');
+    });
+
+    test('3. CachingOptimized alone strips query strings and replaces the User-Agent', async () => {
+        const seen = await echo('/optimized/file?v=1', { 'User-Agent': 'policy-test', 'Accept-Language': 'de' });
+        expect(seen.querystring).toBe('');
+        expect(seen.headers['user-agent']).toBe('Amazon CloudFront');
+        expect(seen.headers['accept-language']).toBeUndefined();
+        expect(seen.headers.host).toBeDefined();
+    });
+
+    test('4. A custom policy file keeps only the whitelisted cookies and headers', async () => {
+        const seen = await echo('/custom/file?utm_source=mail&page=2', {
+            'Cookie': 'session=abc; tracking=xyz',
+            'Accept-Language': 'fr',
+            'X-Debug': '1'
+        });
+        expect(seen.headers.cookie).toBe('session=abc');
+        expect(seen.headers['accept-language']).toBe('fr');
+        expect(seen.headers['x-debug']).toBeUndefined();
+        expect(seen.querystring).toBe('page=2');
+    });
+
+    test('5. CachingOptimized caches origin objects; CachingDisabled never does', async () => {
+        const first = await send('/static/app.js');
+        expect(first.headers.get('x-cache')).toBe('Miss from cloudfront');
+        const second = await send('/static/app.js');
+        expect(second.headers.get('x-cache')).toBe('Hit from cloudfront');
+
+        await send('/nocache/file');
+        const again = await send('/nocache/file');
+        expect(again.headers.get('x-cache')).not.toBe('Hit from cloudfront');
+    });
+
+    test('6. Behaviors without policies pass the viewer request through unchanged', async () => {
+        const seen = await echo('/plain?v=1', { 'Cookie': 'a=1', 'User-Agent': 'policy-test', 'X-Debug': '1' });
+        expect(seen.headers.cookie).toBe('a=1');
+        expect(seen.headers['user-agent']).toBe('policy-test');
+        expect(seen.headers['x-debug']).toBe('1');
+        expect(seen.querystring).toBe('v=1');
+    });
+
+    test('7. Policies resolve from managed names and inline objects', () => {
+        expect(resolveCachePolicy('CachingDisabled').maxTTL).toBe(0);
+        expect(() => resolveOriginRequestPolicy('NoSuchPolicy')).toThrow(/Unknown origin request policy/);
+
+        const { request, dropped } = applyOriginRequestPolicy({
+            uri: '/', querystring: 'a=1&b=2',
+            headers: { 'x-one': [{ key: 'X-One', value: '1' }], 'x-two': [{ key: 'X-Two', value: '2' }] }
+        }, { originRequestPolicy: resolveOriginRequestPolicy({ headers: ['x-one'], queryStrings: ['b'] }) });
+        expect(Object.keys(request.headers)).toEqual(['x-one', 'user-agent']);
+        expect(request.querystring).toBe('b=2');
+        expect(dropped).toEqual({ headers: ['x-two'], cookies: [], queryStrings: ['a'] });
+    });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { startServer } = require('../src/index');
+const { parseOriginUrl } = require('../src/origin');
+const { createEdgeTestClient } = require('../src/testing');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * CUSTOM ORIGIN (PROXY) MODE
+ * Verifies forwarding to an upstream origin, origin.custom exposure and
+ * dynamic origin selection from origin-request functions.
+ */
+describe('Proxy Origin: Forwarding to custom origins', () => {
+    const hooksDir = path.resolve(__dirname, '..', 'tmp_test', 'proxy_origin');
+    const port = 9098;
+    const apiPort = 9099;
+    const altPort = 9100;
+    let server, api, alt;
+
+    // Tiny upstreams that echo what they received
+    const echo = (name) => http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            if (req.url.endsWith('/missing')) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end('nope');
+            }
+            if (req.url.endsWith('/login')) {
+                res.writeHead(200, { 'Set-Cookie': ['a=1; Path=/', 'b=2; Path=/'] });
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json', 'X-Upstream': name });
+            res.end(JSON.stringify({
+                method: req.method,
+                url: req.url,
+                host: req.headers.host,
+                secret: req.headers['x-origin-secret'] || null,
+                body: Buffer.concat(chunks).toString()
+            }));
+        });
+    });
+
+    beforeAll(async () => {
+        if (fs.existsSync(hooksDir)) fs.rmSync(hooksDir, { recursive: true, force: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+
+        fs.writeFileSync(path.join(hooksDir, 'selectOrigin.js'), `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (request.uri.startsWith('/alt/')) {
+                    request.origin.custom.port = ${altPort};
+                    request.origin.custom.path = '';
+                    request.uri = request.uri.replace('/alt', '');
+                }
+                return request;
+            };
+        `);
+
+        fs.writeFileSync(path.join(hooksDir, 'originResponse.js'), `
+            exports.hookType = 'origin-response';
+            exports.handler = async (event) => {
+                const response = event.Records[0].cf.response;
+                response.headers['x-origin-status'] = [{ key: 'X-Origin-Status', value: response.status }];
+                const cookies = response.headers['set-cookie'] || [];
+                response.headers['x-cookies-seen'] = [{ key: 'X-Cookies-Seen', value: String(cookies.length) }];
+                return response;
+            };
+        `);
+
+        // A directory behavior whose API calls go to a custom origin
+        fs.mkdirSync(path.join(hooksDir, 'site', 'www'), { recursive: true });
+        fs.writeFileSync(path.join(hooksDir, 'site', 'www', 'index.html'), '<h1>Home</h1>');
+        fs.writeFileSync(path.join(hooksDir, 'site', 'toApi.js'), `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (request.uri.startsWith('/api/')) {
+                    request.origin = {
+                        custom: { domainName: 'localhost', port: ${apiPort}, protocol: 'http', path: '', customHeaders: {} }
+                    };
+                }
+                return request;
+            };
+        `);
+
+        api = echo('api').listen(apiPort);
+        alt = echo('alt').listen(altPort);
+
+        const runner = new EdgeRunner(hooksDir, { watch: false });
+        server = startServer({
+            port,
+            origin: parseOriginUrl(`http://localhost:${apiPort}/v1`, { 'X-Origin-Secret': 's3cr3t' }),
+            edgeRunner: runner,
+            noRequestLogging: true
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        await new Promise(resolve => api.close(resolve));
+        await new Promise(resolve => alt.close(resolve));
+        if (fs.existsSync(hooksDir)) fs.rmSync(hooksDir, { recursive: true, force: true });
+    });
+
+    test('1. Parses origin URLs into CloudFront origin.custom records', () => {
+        const origin = parseOriginUrl('https://api.example.com/prod/', { 'X-Api-Key': 'abc' });
+
+        expect(origin.custom.domainName).toBe('api.example.com');
+        expect(origin.custom.port).toBe(443);
+        expect(origin.custom.protocol).toBe('https');
+        expect(origin.custom.path).toBe('/prod');
+        expect(origin.custom.customHeaders['x-api-key']).toEqual([{ key: 'X-Api-Key', value: 'abc' }]);
+        expect(() => parseOriginUrl('ftp://example.com')).toThrow(/Unsupported origin protocol/);
+    });
+
+    test('2. Forwards method, path prefix, query, body and custom headers', async () => {
+        const res = await fetch(`http://localhost:${port}/users?page=2`, { method: 'POST', body: 'name=ada' });
+        const echoed = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(res.headers.get('x-upstream')).toBe('api');
+        expect(res.headers.get('x-origin-status')).toBe('200');
+        expect(echoed).toEqual({
+            method: 'POST',
+            url: '/v1/users?page=2',
+            host: 'localhost',
+            secret: 's3cr3t',
+            body: 'name=ada'
+        });
+    });
+
+    test('3. Honors dynamic origin selection from origin-request', async () => {
+        const res = await fetch(`http://localhost:${port}/alt/items`);
+        const echoed = await res.json();
+
+        expect(res.headers.get('x-upstream')).toBe('alt');
+        expect(echoed.url).toBe('/items');
+    });
+
+    test('4. Passes upstream errors through the response hooks', async () => {
+        const res = await fetch(`http://localhost:${port}/missing`);
+
+        expect(res.status).toBe(404);
+        expect(res.headers.get('x-origin-status')).toBe('404');
+    });
+
+    test('5. Keeps every Set-Cookie header through the response functions', async () => {
+        const res = await fetch(`http://localhost:${port}/login`);
+
+        expect(res.headers.get('x-cookies-seen')).toBe('2');
+        expect(res.headers.getSetCookie()).toEqual(['a=1; Path=/', 'b=2; Path=/']);
+    });
+
+    test('6. origin-request can send a directory behavior\'s request to a custom origin', async () => {
+        const client = createEdgeTestClient({
+            edge: path.join(hooksDir, 'site', 'toApi.js'),
+            directory: path.join(hooksDir, 'site', 'www')
+        });
+        try {
+            const res = await client.get('/api/users?page=2');
+            expect(res.status).toBe(200);
+            expect(res.headers['x-upstream']).toBe('api');
+            expect(res.json().url).toBe('/api/users?page=2');
+
+            expect((await client.get('/')).text).toBe('<h1>Home</h1>');
+        } finally {
+            client.close();
+        }
+    });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { startServer } = require('../src/index');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * REQUEST BODY ("Include body") FIDELITY
+ * Verifies request.body exposure, truncation limits and body replacement.
+ */
+describe('EdgeRunner: Request body exposure (includeBody)', () => {
+    let runners = [];
+    const hooksDir = path.resolve(__dirname, '..', 'tmp_test', 'request_body');
+
+    beforeAll(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        if (fs.existsSync(hooksDir)) fs.rmSync(hooksDir, { recursive: true, force: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        if (fs.existsSync(hooksDir)) fs.rmSync(hooksDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        runners.forEach(r => r.close());
+        runners = [];
+    });
+
+    const writeHook = (name, code) => {
+        const file = path.join(hooksDir, name);
+        fs.writeFileSync(file, code);
+        return file;
+    };
+
+    test('1. Rejects an invalid form and replaces the body of a valid one', async () => {
+        const runner = new EdgeRunner('./samples/medium/validateFormBody.js', { watch: false });
+        runners.push(runner);
+
+        const rejected = await runner.runRequestHook({ method: 'POST', url: '/signup', headers: {}, body: 'name=joe' });
+        expect(rejected.status).toBe('400');
+        expect(rejected.body).toBe('Missing email');
+
+        const accepted = await runner.runRequestHook({
+            method: 'POST', url: '/signup', headers: {}, body: 'email=a%40b.com&website=spam'
+        });
+        expect(accepted.status).toBeUndefined();
+        expect(accepted.body).toBeUndefined();
+        expect(accepted.rawBody.toString()).toBe('email=a%40b.com');
+    });
+
+    test('2. Exposes the body base64-encoded and truncates at the viewer-request limit', async () => {
+        const file = writeHook('inspect.js', `
+            exports.hookType = 'viewer-request';
+            exports.includeBody = true;
+            exports.handler = async (event) => {
+                const req = event.Records[0].cf.request;
+                req.headers['x-truncated'] = [{ key: 'X-Truncated', value: String(req.body.inputTruncated) }];
+                req.headers['x-action'] = [{ key: 'X-Action', value: req.body.action }];
+                req.headers['x-length'] = [{ key: 'X-Length', value: String(Buffer.from(req.body.data, req.body.encoding).length) }];
+                return req;
+            };
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        runners.push(runner);
+
+        const small = await runner.runRequestHook({ method: 'POST', url: '/', headers: {}, body: 'hello' });
+        expect(small['x-truncated']).toBe('false');
+        expect(small['x-action']).toBe('read-only');
+        expect(small['x-length']).toBe('5');
+
+        const large = await runner.runRequestHook({ method: 'POST', url: '/', headers: {}, body: Buffer.alloc(50 * 1024, 'a') });
+        expect(large['x-truncated']).toBe('true');
+        expect(large['x-length']).toBe(String(40 * 1024));
+        // Truncation only affects what the function sees, not what is forwarded
+        expect(large.rawBody.length).toBe(50 * 1024);
+    });
+
+    test('3. Hides the body from functions without includeBody and ignores their replacements', async () => {
+        const file = writeHook('noBody.js', `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => {
+                const req = event.Records[0].cf.request;
+                req.headers['x-has-body'] = [{ key: 'X-Has-Body', value: String(req.body !== undefined) }];
+                req.body = { action: 'replace', encoding: 'text', data: 'sneaky' };
+                return req;
+            };
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        runners.push(runner);
+
+        const res = await runner.runRequestHook({ method: 'POST', url: '/', headers: {}, body: 'original' });
+        expect(res['x-has-body']).toBe('false');
+        expect(res.rawBody.toString()).toBe('original');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('without "includeBody"'));
+    });
+
+    test('4. A viewer that disconnects mid-upload does not take the server down', async () => {
+        const file = writeHook('length.js', `
+            exports.hookType = 'viewer-request';
+            exports.includeBody = true;
+            exports.handler = async (event) => {
+                const body = event.Records[0].cf.request.body;
+                return { status: '200', body: String(Buffer.from(body.data, body.encoding).length) };
+            };
+        `);
+        const port = 9109;
+        const edgeRunner = new EdgeRunner(file, { watch: false });
+        const server = startServer({ port, edgeRunner, directory: hooksDir, noRequestLogging: true, noCompression: true });
+        try {
+            await new Promise(resolve => server.once('listening', resolve));
+
+            // Announce 1000 bytes, send 10, then drop the connection
+            await new Promise(resolve => {
+                const req = http.request({ port, method: 'POST', path: '/', headers: { 'Content-Length': '1000' } });
+                req.on('error', () => resolve());
+                req.write('x'.repeat(10));
+                setTimeout(() => req.destroy(), 100);
+            });
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const res = await fetch(`http://localhost:${port}/`, { method: 'POST', body: 'hello' });
+            expect(res.status).toBe(200);
+            expect(await res.text()).toBe('5');
+        } finally {
+            await server.closeGracefully();
+        }
+    });
+});
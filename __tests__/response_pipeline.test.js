@@ -0,0 +1,72 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { startServer } = require('../src/index');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * RESPONSE PIPELINE FIDELITY
+ * Verifies that origin-response / viewer-response hooks see the response the
+ * origin actually produced (status, Content-Type, ETag, 404s...).
+ */
+describe('Response Pipeline: Hooks receive the real origin response', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'response_pipeline');
+    const publicDir = path.join(rootDir, 'public');
+    const hooksDir = path.join(rootDir, 'hooks');
+    const port = 9096;
+    let server;
+
+    beforeAll(async () => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.mkdirSync(hooksDir, { recursive: true });
+
+        fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>home</h1>');
+        fs.writeFileSync(path.join(publicDir, 'data.json'), '{"ok":true}');
+
+        fs.writeFileSync(path.join(hooksDir, 'inspect.js'), `
+            exports.hookType = 'origin-response';
+            exports.handler = async (event) => {
+                const response = event.Records[0].cf.response;
+                const type = response.headers['content-type'] ? response.headers['content-type'][0].value : 'none';
+                response.headers['x-origin-status'] = [{ key: 'X-Origin-Status', value: response.status }];
+                response.headers['x-origin-type'] = [{ key: 'X-Origin-Type', value: type }];
+                response.headers['x-origin-etag'] = [{ key: 'X-Origin-ETag', value: response.headers['etag'] ? 'yes' : 'no' }];
+                if (response.status === '404') {
+                    response.status = '302';
+                    response.statusDescription = 'Found';
+                    response.headers['location'] = [{ key: 'Location', value: '/index.html' }];
+                }
+                return response;
+            };
+        `);
+
+        const runner = new EdgeRunner(hooksDir, { watch: false });
+        server = startServer({ port, directory: publicDir, edgeRunner: runner, noRequestLogging: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Exposes the real status, Content-Type and ETag to origin-response', async () => {
+        const res = await fetch(`http://localhost:${port}/data.json`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers.get('x-origin-status')).toBe('200');
+        expect(res.headers.get('x-origin-type')).toContain('application/json');
+        expect(res.headers.get('x-origin-etag')).toBe('yes');
+        expect(await res.text()).toBe('{"ok":true}');
+    });
+
+    test('2. Lets hooks branch on a real 404 from the static directory', async () => {
+        const res = await fetch(`http://localhost:${port}/missing`, { redirect: 'manual' });
+
+        expect(res.status).toBe(302);
+        expect(res.headers.get('x-origin-status')).toBe('404');
+        expect(res.headers.get('location')).toBe('/index.html');
+    });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const { createEdgeTestClient } = require('../src/testing');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * HARDENED SANDBOX
+ * Functions only get the modules the Lambda@Edge runtime offers (plus an AWS
+ * SDK v3 stub), their relative requires run in the same vm context, and
+ * --cold-start loads them afresh on every invocation.
+ */
+describe('Sandbox: require allow-list, local modules and cold starts', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'sandbox');
+    let clients = [];
+
+    // Each function answers with JSON describing what it saw
+    const writeFunction = (name, body) => fs.writeFileSync(path.join(rootDir, 'edge', name), `
+        exports.hookType = 'viewer-request';
+        const reply = (data) => ({
+            status: '200',
+            headers: { 'content-type': [{ key: 'Content-Type', value: 'application/json' }] },
+            body: JSON.stringify(data)
+        });
+        ${body}
+    `);
+
+    const get = async (file, options = {}, url = '/') => {
+        const client = createEdgeTestClient({ edge: path.join(rootDir, 'edge', file), directory: path.join(rootDir, 'www'), ...options });
+        clients.push(client);
+        return client.get(url);
+    };
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge', 'lib'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge', 'node_modules', 'shout'), { recursive: true });
+
+        writeFunction('modules.js', `
+            const tryRequire = (id) => { try { require(id); return 'ok'; } catch (e) { return e.message; } };
+            exports.handler = async () => reply(Object.fromEntries(
+                ['crypto', 'node:zlib', 'url', 'net', 'worker_threads', 'child_process', 'fs', 'os'].map(id => [id, tryRequire(id)])
+            ));
+        `);
+
+        fs.writeFileSync(path.join(rootDir, 'edge', 'lib', 'helper.js'), `
+            globalThis.loadedBy = 'helper';
+            let calls = 0;
+            exports.greeting = '__GREETING__';
+            exports.count = () => ++calls;
+            exports.net = () => { try { require('net'); return 'ok'; } catch (e) { return 'forbidden'; } };
+        `);
+        fs.writeFileSync(path.join(rootDir, 'edge', 'lib', 'routes.json'), '{ "home": "/index.html" }');
+        writeFunction('local.js', `
+            const helper = require('./lib/helper');
+            const again = require('./lib/helper.js');
+            const routes = require('./lib/routes.json');
+            exports.handler = async () => reply({
+                sameInstance: helper === again,
+                greeting: helper.greeting,
+                sharedGlobal: typeof loadedBy === 'undefined' ? null : loadedBy,
+                helperNet: helper.net(),
+                home: routes.home,
+                missing: (() => { try { require('./lib/nope'); return 'found'; } catch (e) { return e.code; } })()
+            });
+        `);
+
+        writeFunction('sdk.js', `
+            const { S3Client, GetObjectCommand, getSignedUrl } = require('@aws-sdk/client-s3');
+            const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+            exports.handler = async () => {
+                const s3 = new S3Client({ region: 'us-east-1' });
+                const result = await s3.send(new GetObjectCommand({ Bucket: 'b', Key: 'k' }));
+                const doc = DynamoDBDocumentClient.from(s3);
+                let unsupported;
+                try { getSignedUrl(); } catch (e) { unsupported = e.message; }
+                return reply({ status: result.$metadata.httpStatusCode, docRegion: doc.config.region, unsupported });
+            };
+        `);
+
+        writeFunction('counter.js', `
+            let invocations = 0;
+            exports.handler = async () => reply({ invocations: ++invocations });
+        `);
+
+        fs.writeFileSync(path.join(rootDir, 'edge', 'node_modules', 'shout', 'index.js'), 'module.exports = (s) => s.toUpperCase();');
+        writeFunction('package.js', `
+            const shout = require('shout');
+            exports.handler = async () => reply({ text: shout('hi') });
+        `);
+        writeFunction('unknown-package.js', `
+            require('left-pad-that-does-not-exist');
+            exports.handler = async () => reply({});
+        `);
+
+        // Packages run inside the sandbox, as published
+        const writePackage = (name, code) => {
+            fs.mkdirSync(path.join(rootDir, 'edge', 'node_modules', name), { recursive: true });
+            fs.writeFileSync(path.join(rootDir, 'edge', 'node_modules', name, 'index.js'), code);
+        };
+        writePackage('reader', "const fs = require('fs'); module.exports = typeof fs.readFileSync;");
+        writePackage('same-realm', 'module.exports = (value) => value instanceof Array;');
+        writePackage('unbaked', "module.exports = '__GREETING__';");
+        writeFunction('sandboxed-packages.js', `
+            const reader = require('reader');
+            exports.handler = async () => reply({ reader, sameRealm: require('same-realm')([]), unbaked: require('unbaked') });
+        `);
+        fs.writeFileSync(path.join(rootDir, 'bake.env'), 'GREETING=Hello "edge"');
+    });
+
+    afterEach(() => {
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Only the modules of the Lambda@Edge allow-list can be required', async () => {
+        const seen = (await get('modules.js')).json();
+
+        expect(seen.crypto).toBe('ok');
+        expect(seen['node:zlib']).toBe('ok');
+        expect(seen.url).toBe('ok');
+        for (const id of ['net', 'worker_threads', 'child_process', 'fs', 'os']) {
+            expect(seen[id]).toBe(`Forbidden: ${id} (not available to Lambda@Edge functions; allow it with --allow-module ${id})`);
+        }
+    });
+
+    test('2. allowModules extends the allow-list', async () => {
+        const seen = (await get('modules.js', { allowModules: ['os', 'node:net'] })).json();
+        expect(seen.os).toBe('ok');
+        expect(seen.net).toBe('ok');
+        expect(seen.fs).toMatch(/^Forbidden/);
+    });
+
+    test('3. Relative modules are loaded once, inside the same sandbox, and baked', async () => {
+        const seen = (await get('local.js', { bakePath: path.join(rootDir, 'bake.env') })).json();
+
+        expect(seen).toEqual({
+            sameInstance: true,
+            greeting: 'Hello "edge"',
+            sharedGlobal: 'helper',
+            helperNet: 'forbidden',
+            home: '/index.html',
+            missing: 'MODULE_NOT_FOUND'
+        });
+    });
+
+    test('4. @aws-sdk packages resolve to a stub that logs instead of calling AWS', async () => {
+        const res = await get('sdk.js');
+        expect(res.json()).toEqual({
+            status: 200,
+            docRegion: 'us-east-1',
+            unsupported: 'AWS SDK stub: @aws-sdk/client-s3 "getSignedUrl" is not simulated'
+        });
+        expect(res.trace[0].logs).toEqual([{
+            level: 'warn',
+            message: '[CloudFrontize] AWS SDK stub: S3Client.send(GetObjectCommand) was not sent to AWS'
+        }]);
+    });
+
+    test('5. Packages come from node_modules next to the function', async () => {
+        expect((await get('package.js')).json()).toEqual({ text: 'HI' });
+        expect(() => createEdgeTestClient({ edge: path.join(rootDir, 'edge', 'unknown-package.js') }))
+            .toThrow(/Cannot find module 'left-pad-that-does-not-exist'/);
+    });
+
+    test('6. coldStart re-creates the module scope for every invocation', async () => {
+        const warm = createEdgeTestClient({ edge: path.join(rootDir, 'edge', 'counter.js'), directory: path.join(rootDir, 'www') });
+        const cold = createEdgeTestClient({ edge: path.join(rootDir, 'edge', 'counter.js'), directory: path.join(rootDir, 'www'), coldStart: true });
+        clients.push(warm, cold);
+
+        const warmCounts = [];
+        const coldCounts = [];
+        for (let i = 0; i < 3; i++) {
+            warmCounts.push((await warm.get('/')).json().invocations);
+            coldCounts.push((await cold.get('/')).json().invocations);
+        }
+        expect(warmCounts).toEqual([1, 2, 3]);
+        expect(coldCounts).toEqual([1, 1, 1]);
+    });
+
+    test('7. Packages load inside the sandbox: their requires meet the allow-list, and they are not baked', async () => {
+        expect(() => createEdgeTestClient({ edge: path.join(rootDir, 'edge', 'sandboxed-packages.js') }))
+            .toThrow('Forbidden: fs (not available to Lambda@Edge functions; allow it with --allow-module fs)');
+
+        const seen = (await get('sandboxed-packages.js', { allowModules: ['fs'], bakePath: path.join(rootDir, 'bake.env') })).json();
+        expect(seen).toEqual({ reader: 'function', sameRealm: true, unbaked: '__GREETING__' });
+    });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { createEdgeTestClient, matchers } = require('../src/testing');
+const path = require('path');
+const fs = require('fs');
+
+expect.extend(matchers);
+
+/**
+ * TESTING API
+ * createEdgeTestClient runs the whole pipeline in-process (no port) and
+ * reports which functions ran and what each of them changed.
+ */
+describe('Testing API: in-process edge test client', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'testing');
+    const samples = path.resolve(__dirname, '..', 'samples');
+    let clients = [];
+
+    const client = (options) => {
+        const c = createEdgeTestClient({ baseDir: rootDir, directory: './www', ...options });
+        clients.push(c);
+        return c;
+    };
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www', 'docs'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge'), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, 'www', 'docs', 'v2.txt'), 'Docs v2');
+
+        fs.writeFileSync(path.join(rootDir, 'edge', 'latest-rewrite.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                if (request.uri === '/docs/latest') request.uri = '/docs/v2.txt';
+                return request;
+            };
+        `);
+        fs.writeFileSync(path.join(rootDir, 'edge', 'echo-body.js'), `
+            exports.handler = async (event) => {
+                const body = Buffer.from(event.Records[0].cf.request.body.data, 'base64').toString();
+                return { status: '200', headers: {}, body: 'got ' + body };
+            };
+        `);
+    });
+
+    afterEach(() => {
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. .get() runs the pipeline without a server and returns status, headers and body', async () => {
+        const res = await client({ edge: './edge/latest-rewrite.js' }).get('/docs/latest');
+
+        expect(res.status).toBe(200);
+        expect(res.text).toBe('Docs v2');
+        expect(res).toHaveHeader('Content-Type', /text\/plain/);
+        expect(res.trace[0].changes).toEqual([{ path: 'uri', op: 'changed', from: '/docs/latest', to: '/docs/v2.txt' }]);
+    });
+
+    test('2. The trace lists the functions that fired and what each changed', async () => {
+        const res = await client({ edge: path.join(samples, 'aws', 'security-headers.js') }).get('/docs/v2.txt');
+        const [entry] = res.trace;
+
+        expect(res.trace).toHaveLength(1);
+        expect(entry.eventType).toBe('origin-response');
+        expect(entry.changes).toContainEqual({ path: 'headers.x-frame-options', op: 'added', from: undefined, to: 'DENY' });
+        expect(res).toHaveHeader('x-frame-options', 'DENY');
+    });
+
+    test('3. behaviors route requests like a distribution config', async () => {
+        const c = client({
+            behaviors: [{
+                pathPattern: '/m/*',
+                originRequestPolicy: 'AllViewerAndCloudFrontHeaders-2022-06',
+                functions: { 'viewer-request': path.join(samples, 'aws', 'mobile-redirect.js') }
+            }]
+        });
+
+        const mobile = await c.get('/m/page', { headers: { 'User-Agent': 'Mozilla/5.0 (iPhone) Mobile/15E148' } });
+        expect(mobile).toHaveBeenRedirectedTo('https://m.example.com/m/page', 302);
+        expect(mobile.trace[0].generated).toBe(true);
+
+        const desktop = await c.get('/docs/v2.txt');
+        expect(desktop).not.toHaveBeenRedirectedTo('https://m.example.com/docs/v2.txt');
+        expect(desktop.trace).toEqual([]);
+
+        // Behaviors keep CloudFront's default GET/HEAD-only methods
+        expect((await c.post('/m/page', 'x')).status).toBe(403);
+    });
+
+    test('4. .post() sends a body to functions that include it', async () => {
+        const c = client({
+            defaultBehavior: {
+                allowedMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'PATCH', 'POST', 'DELETE'],
+                functions: { 'viewer-request': { path: './edge/echo-body.js', includeBody: true } }
+            }
+        });
+        const res = await c.post('/form', 'name=paws');
+        expect(res.text).toBe('got name=paws');
+    });
+
+    test('5. Matchers explain what they expected', () => {
+        const res = { status: 301, headers: { location: '/new' } };
+        expect(matchers.toHaveBeenRedirectedTo(res, '/other').message()).toBe('expected a 3xx redirect to /other, got 301 to /new');
+        expect(matchers.toHaveHeader(res, 'X-Missing').pass).toBe(false);
+        expect(matchers.toHaveHeader(res, 'Location').pass).toBe(true);
+    });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const { createEdgeTestClient } = require('../src/testing');
+const { formatTrace } = require('../src/trace');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * REQUEST TRACING
+ * --trace prints a tree of the functions each request ran with what they
+ * changed; --trace-file appends the same traces as JSON lines.
+ */
+describe('Request tracing: per-request function tree and JSON lines', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'trace');
+    const traceFile = path.join(rootDir, 'trace.jsonl');
+    let clients = [];
+    let logSpy;
+
+    const client = (options) => {
+        const c = createEdgeTestClient({ baseDir: rootDir, directory: './www', ...options });
+        clients.push(c);
+        return c;
+    };
+    const printed = () => logSpy.mock.calls.map(args => args.join(' ')).join('\n');
+
+    beforeAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'chain'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'gate'), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, 'www', 'new.txt'), 'New');
+
+        fs.writeFileSync(path.join(rootDir, 'chain', 'a-viewer-request.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                request.headers['x-user'] = [{ key: 'X-User', value: 'alice' }];
+                request.uri = '/new.txt';
+                request.querystring = 'v=2';
+                return request;
+            };
+        `);
+        fs.writeFileSync(path.join(rootDir, 'chain', 'b-origin-request.js'), `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                delete request.headers['x-user'];
+                return request;
+            };
+        `);
+        fs.writeFileSync(path.join(rootDir, 'chain', 'c-origin-response.js'), `
+            exports.hookType = 'origin-response';
+            exports.handler = async (event) => event.Records[0].cf.response;
+        `);
+        fs.writeFileSync(path.join(rootDir, 'chain', 'd-viewer-response.js'), `
+            exports.hookType = 'viewer-response';
+            exports.handler = async (event) => {
+                const response = event.Records[0].cf.response;
+                response.headers['x-frame-options'] = [{ key: 'X-Frame-Options', value: 'DENY' }];
+                return response;
+            };
+        `);
+        fs.writeFileSync(path.join(rootDir, 'gate', 'deny.js'), `
+            exports.hookType = 'viewer-request';
+            exports.handler = async () => ({ status: '403', statusDescription: 'Forbidden', headers: {} });
+        `);
+        fs.writeFileSync(path.join(rootDir, 'gate', 'never.js'), `
+            exports.hookType = 'origin-request';
+            exports.handler = async (event) => event.Records[0].cf.request;
+        `);
+    });
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        if (fs.existsSync(traceFile)) fs.rmSync(traceFile);
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        clients.forEach(c => c.close());
+        clients = [];
+    });
+
+    afterAll(() => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. --trace prints every hook of a four-function chain with its changes', async () => {
+        const res = await client({ edge: './chain', trace: true }).get('/old');
+        expect(res.status).toBe(200);
+
+        const output = printed();
+        expect(output).toContain('GET /old → 200');
+        const order = ['viewer-request', 'origin-request', 'origin-response', 'viewer-response'].map(t => output.indexOf(`─ ${t}`));
+        expect(order.every(i => i >= 0)).toBe(true);
+        expect([...order].sort((a, b) => a - b)).toEqual(order);
+
+        expect(output).toContain('+ headers.x-user: alice');
+        expect(output).toContain('~ uri: /old → /new.txt');
+        expect(output).toContain('~ querystring: "" → v=2');
+        expect(output).toContain('- headers.x-user: alice');
+        expect(output).toContain('(no changes)');
+        expect(output).toContain('+ headers.x-frame-options: DENY');
+        expect(output).toMatch(/└─ viewer-response {2}tmp_test\/trace\/chain\/d-viewer-response\.js {2}[\d.]+ ms/);
+    });
+
+    test('2. A generated response is marked as short-circuiting the pipeline', async () => {
+        const res = await client({ edge: './gate', trace: true }).get('/secret');
+        expect(res.status).toBe(403);
+
+        const output = printed();
+        expect(output).toContain('GET /secret → 403');
+        expect(output).toContain('⤷ generated a 403 response; the origin and later request functions were skipped');
+        expect(output).not.toContain('origin-request');
+    });
+
+    test('3. --trace-file appends one JSON line per request with the diffs but not the records', async () => {
+        const c = client({ edge: './chain', traceFile, cache: true });
+        await c.get('/old');
+        await c.get('/old');
+
+        expect(logSpy).not.toHaveBeenCalledWith(expect.stringContaining('GET /old'));
+        const lines = fs.readFileSync(traceFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+        expect(lines).toHaveLength(2);
+
+        const [miss, hit] = lines;
+        expect(miss).toMatchObject({ method: 'GET', url: '/old', status: 200, cache: 'miss' });
+        expect(miss.durationMs).toBeGreaterThan(0);
+        expect(miss.functions.map(f => f.eventType)).toEqual(['viewer-request', 'origin-request', 'origin-response', 'viewer-response']);
+        expect(miss.functions[0].changes).toEqual(expect.arrayContaining([
+            { path: 'uri', op: 'changed', from: '/old', to: '/new.txt' }
+        ]));
+        expect(miss.functions[1].changes).toEqual([{ path: 'headers.x-user', op: 'removed', from: 'alice' }]);
+        expect(miss.functions[0].input).toBeUndefined();
+        expect(miss.functions[0].output).toBeUndefined();
+
+        // Cache hits skip the origin functions
+        expect(hit.cache).toBe('hit');
+        expect(hit.functions.map(f => f.eventType)).toEqual(['viewer-request', 'viewer-response']);
+    });
+
+    test('4. JSON lines record the status of generated responses', async () => {
+        await client({ edge: './gate', traceFile }).get('/secret');
+        const [line] = fs.readFileSync(traceFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+        expect(line.functions).toEqual([
+            expect.objectContaining({ eventType: 'viewer-request', generated: true, status: '403', changes: [] })
+        ]);
+    });
+
+    test('5. formatTrace shows failures, status and body changes', () => {
+        const tree = formatTrace({
+            method: 'POST',
+            url: '/api',
+            status: 502,
+            cache: null,
+            durationMs: 3.21,
+            functions: [
+                {
+                    eventType: 'origin-response',
+                    file: path.join(process.cwd(), 'edge', 'status.js'),
+                    durationMs: 0.5,
+                    generated: false,
+                    changes: [
+                        { path: 'status', op: 'changed', from: '200', to: '404' },
+                        { path: 'headers.server', op: 'removed', from: 'nginx' },
+                        { path: 'body', op: 'added', to: 'x'.repeat(200) }
+                    ],
+                    error: null
+                },
+                {
+                    eventType: 'viewer-response',
+                    file: path.join(process.cwd(), 'edge', 'bad.js'),
+                    durationMs: 0.2,
+                    generated: false,
+                    changes: [],
+                    error: { errorType: 'LambdaValidationError', message: 'invalid response', errors: ['status must be a string'] }
+                }
+            ]
+        });
+
+        const lines = tree.split('\n');
+        expect(lines[0]).toBe('POST /api → 502 (3.2 ms)');
+        expect(lines[1]).toBe(`├─ origin-response  ${path.join('edge', 'status.js')}  0.5 ms`);
+        expect(lines[2]).toBe('│  ~ status: 200 → 404');
+        expect(lines[3]).toBe('│  - headers.server: nginx');
+        expect(lines[4]).toBe(`│  + body: ${'x'.repeat(79)}…`);
+        expect(lines[6]).toBe('   ✖ LambdaValidationError: invalid response');
+        expect(lines[7]).toBe('     • status must be a string');
+
+        expect(formatTrace({ method: 'GET', url: '/', status: 200, cache: 'hit', durationMs: 1, functions: [] }))
+            .toBe('GET / → 200 (1.0 ms, cache hit)\n└─ (no functions ran)');
+    });
+});
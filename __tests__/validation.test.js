@@ -0,0 +1,200 @@
+'use strict';
+
+const { EdgeRunner } = require('../src/edgeRunner');
+const { EdgeFunctionError } = require('../src/errors');
+const { startServer } = require('../src/index');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * RESULT VALIDATION
+ * Malformed function results are rejected with CloudFront's 502
+ * LambdaValidationError instead of leaking into the pipeline.
+ */
+describe('Result Validation: CloudFront structural rules', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'validation');
+    const publicDir = path.join(rootDir, 'public');
+    const port = 9104;
+    let runners = [];
+
+    // Load a viewer-request function returning `result` (a JS expression)
+    const runnerReturning = (name, result, hookType = 'viewer-request', options = {}) => {
+        const file = path.join(rootDir, `${name}.js`);
+        fs.writeFileSync(file, `
+            exports.hookType = '${hookType}';
+            exports.handler = async (event) => {
+                const { request, response } = event.Records[0].cf;
+                return ${result};
+            };
+        `);
+        const runner = new EdgeRunner(file, { watch: false, ...options });
+        runners.push(runner);
+        return runner;
+    };
+
+    const validationErrors = async (promise) => {
+        const error = await promise.catch(e => e);
+        expect(error).toBeInstanceOf(EdgeFunctionError);
+        expect(error.errorType).toBe('LambdaValidationError');
+        expect(error.status).toBe(502);
+        return error.errors.join('\n');
+    };
+
+    beforeAll(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(publicDir, { recursive: true });
+        fs.writeFileSync(path.join(publicDir, 'index.html'), 'home');
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        runners.forEach(r => r.close());
+        runners = [];
+    });
+
+    test('1. Rejects numeric statuses and malformed headers in generated responses', async () => {
+        const runner = runnerReturning('numeric', `{ status: 302, headers: { location: '/login' } }`);
+        const errors = await validationErrors(runner.runRequestHook({ url: '/', headers: {} }));
+
+        expect(errors).toMatch(/"status" must be a string/);
+        expect(errors).toMatch(/header "location" must be an array/);
+    });
+
+    test('2. Rejects unknown fields, missing uri and read-only changes', async () => {
+        const runner = runnerReturning('request', `{ method: 'DELETE', headers: request.headers, extra: true }`);
+        const errors = await validationErrors(runner.runRequestHook({ url: '/', headers: {} }));
+
+        expect(errors).toMatch(/unknown request field "extra"/);
+        expect(errors).toMatch(/"uri" must be a string/);
+        expect(errors).toMatch(/"method" is read-only/);
+    });
+
+    test('3. Rejects uppercase header names and non-string values', async () => {
+        const runner = runnerReturning('headers', `{
+            ...response,
+            headers: { 'X-Upper': [{ key: 'X-Upper', value: 'a' }], 'x-num': [{ key: 'X-Num', value: 42 }] }
+        }`, 'origin-response');
+        const errors = await validationErrors(runner.runResponseHook({ url: '/', headers: {} }, { status: 200, headers: {} }));
+
+        expect(errors).toMatch(/header name "X-Upper" must be lowercase/);
+        expect(errors).toMatch(/header "x-num"\[0\].value must be a string/);
+    });
+
+    test('4. Enforces the 40KB generated response limit on viewer-request', async () => {
+        const runner = runnerReturning('large', `{ status: '200', body: 'x'.repeat(41 * 1024) }`);
+        const errors = await validationErrors(runner.runRequestHook({ url: '/', headers: {} }));
+
+        expect(errors).toMatch(/over the 40KB viewer-request limit/);
+    });
+
+    test('5. Serves the 502 error page and logs a diagnostic', async () => {
+        const runner = runnerReturning('server', `undefined`);
+        const server = startServer({ port, directory: publicDir, edgeRunner: runner, noRequestLogging: true, noCompression: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        try {
+            const res = await fetch(`http://localhost:${port}/`);
+            expect(res.status).toBe(502);
+            expect(await res.text()).toContain('The Lambda function returned an invalid response');
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('LambdaValidationError (502)'));
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('expected an object, got undefined'));
+        } finally {
+            await server.closeGracefully();
+        }
+    });
+
+    test('6. Strict headers: read-only changes fail with a 502', async () => {
+        const runner = runnerReturning('strictReadOnly', `{
+            ...request,
+            headers: { ...request.headers, host: [{ key: 'Host', value: 'evil.example.com' }] }
+        }`, 'viewer-request', { strictHeaders: true });
+        const errors = await validationErrors(runner.runRequestHook({ url: '/', headers: { host: 'localhost' } }));
+
+        expect(errors).toMatch(/viewer-request modified read-only header "host"/);
+    });
+
+    test('7. Strict headers: disallowed headers fail, per event type', async () => {
+        const runner = runnerReturning('strictDisallowed', `{
+            ...response,
+            headers: { ...response.headers, 'x-edge-location': [{ key: 'X-Edge-Location', value: 'LHR' }] }
+        }`, 'viewer-response', { strictHeaders: true });
+        const errors = await validationErrors(runner.runResponseHook({ url: '/', headers: {} }, { status: 200, headers: {} }));
+        expect(errors).toMatch(/viewer-response added disallowed header "x-edge-location"/);
+
+        // Host is only read-only on viewer-request: origin-request may retarget it
+        const origin = runnerReturning('originHost', `{
+            ...request,
+            headers: { ...request.headers, host: [{ key: 'Host', value: 'api.example.com' }] }
+        }`, 'origin-request', { strictHeaders: true });
+        const res = await origin.runRequestHook({ url: '/', headers: { host: 'localhost' } });
+        expect(res.host).toBe('api.example.com');
+    });
+
+    test('8. Lenient headers: violations only warn, and disallowed headers are hidden', async () => {
+        const runner = runnerReturning('lenient', `{
+            ...request,
+            headers: {
+                ...request.headers,
+                'x-seen-connection': [{ key: 'X-Seen-Connection', value: String(Boolean(request.headers.connection)) }],
+                'content-length': [{ key: 'Content-Length', value: '1' }]
+            }
+        }`);
+        const res = await runner.runRequestHook({ url: '/', headers: { connection: 'keep-alive' } });
+
+        expect(res['x-seen-connection']).toBe('false');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('modified read-only header "content-length"'));
+    });
+
+    test('9. Rejects header names, values and status descriptions that cannot go on the wire', async () => {
+        const runner = runnerReturning('wire', `{
+            status: '200',
+            statusDescription: 'OK\\r\\nX-Injected: 1',
+            headers: {
+                'x-split': [{ key: 'X-Split', value: 'a\\nb' }],
+                'x-nul': [{ key: 'X-Nul', value: 'a\\u0000b' }],
+                'x bad': [{ key: 'X Bad', value: 'c' }]
+            }
+        }`);
+        const errors = await validationErrors(runner.runRequestHook({ url: '/', headers: {} }));
+
+        expect(errors).toMatch(/"statusDescription" contains characters not allowed/);
+        expect(errors).toMatch(/header "x-split"\[0\].value contains characters not allowed/);
+        expect(errors).toMatch(/header "x-nul"\[0\].value contains characters not allowed/);
+        expect(errors).toMatch(/header name "x bad" is not a valid HTTP header name/);
+        expect(errors).toMatch(/header "x bad"\[0\].key "X Bad" is not a valid HTTP header name/);
+    });
+
+    test('10. Serves a 502 for a CRLF header value or status description, and keeps serving', async () => {
+        const file = path.join(rootDir, 'crlf.js');
+        fs.writeFileSync(file, `
+            exports.hookType = 'viewer-request';
+            exports.handler = async (event) => {
+                const uri = event.Records[0].cf.request.uri;
+                if (uri === '/header') return { status: '200', headers: { 'x-split': [{ key: 'X-Split', value: 'a\\nb' }] } };
+                if (uri === '/status') return { status: '200', statusDescription: 'OK\\r\\nX-Injected: 1' };
+                return { status: '200', body: 'fine' };
+            };
+        `);
+        const runner = new EdgeRunner(file, { watch: false });
+        const server = startServer({ port, directory: publicDir, edgeRunner: runner, noRequestLogging: true, noCompression: true });
+        await new Promise(resolve => server.once('listening', resolve));
+
+        try {
+            expect((await fetch(`http://localhost:${port}/header`)).status).toBe(502);
+            const status = await fetch(`http://localhost:${port}/status`);
+            expect(status.status).toBe(502);
+            expect(status.headers.get('x-injected')).toBeNull();
+
+            const ok = await fetch(`http://localhost:${port}/`);
+            expect(await ok.text()).toBe('fine');
+        } finally {
+            await server.closeGracefully();
+        }
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const { Distribution } = require('../src/distribution');
+const { startServer } = require('../src/index');
+const { detectDevice } = require('../src/viewerHeaders');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * CLOUDFRONT VIEWER HEADERS
+ * CloudFront-Is-*-Viewer and CloudFront-Viewer-* headers are synthesized from
+ * the User-Agent and a geo profile, only where the origin request policy
+ * forwards them.
+ */
+describe('Viewer Headers: device detection and geolocation', () => {
+    const rootDir = path.resolve(__dirname, '..', 'tmp_test', 'viewer_headers');
+    const port = 9106;
+    let server;
+
+    const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+    const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+    const echo = async (urlPath, headers = {}) => {
+        const res = await fetch(`http://localhost:${port}${urlPath}`, { headers });
+        return res.json();
+    };
+
+    beforeAll(async () => {
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(rootDir, 'www'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'edge'), { recursive: true });
+
+        // Echo the CloudFront-* headers (and query string) back to the test
+        fs.writeFileSync(path.join(rootDir, 'edge', 'echo.js'), `
+            exports.handler = async (event) => {
+                const request = event.Records[0].cf.request;
+                const seen = { querystring: request.querystring };
+                for (const [name, values] of Object.entries(request.headers)) {
+                    if (name.startsWith('cloudfront-')) seen[name] = values[0].value;
+                }
+                return { status: '200', headers: { 'content-type': [{ key: 'Content-Type', value: 'application/json' }] }, body: JSON.stringify(seen) };
+            };
+        `);
+
+        const distribution = new Distribution({
+            geo: { country: 'DE', city: 'Hamburg' },
+            origins: { site: { directory: './www' } },
+            behaviors: [
+                {
+                    pathPattern: '/m/*',
+                    originRequestPolicy: 'AllViewerAndCloudFrontHeaders-2022-06',
+                    functions: { 'viewer-request': path.resolve(__dirname, '..', 'samples', 'aws', 'mobile-redirect.js') }
+                },
+                {
+                    pathPattern: '/all/*',
+                    originRequestPolicy: 'AllViewerAndCloudFrontHeaders-2022-06',
+                    functions: { 'viewer-request': './edge/echo.js' }
+                },
+                {
+                    pathPattern: '/country/*',
+                    originRequestPolicy: { headers: ['CloudFront-Viewer-Country'] },
+                    functions: { 'viewer-request': './edge/echo.js' }
+                },
+                {
+                    pathPattern: '/viewer/*',
+                    originRequestPolicy: 'AllViewer',
+                    functions: { 'viewer-request': './edge/echo.js' }
+                }
+            ],
+            defaultBehavior: { functions: { 'viewer-request': './edge/echo.js' } }
+        }, { baseDir: rootDir, watch: false });
+
+        server = startServer({ port, distribution, noRequestLogging: true, noCompression: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    });
+
+    afterAll(async () => {
+        if (server) await server.closeGracefully();
+        if (fs.existsSync(rootDir)) fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('1. Classifies devices from the User-Agent', () => {
+        expect(detectDevice(IPHONE)).toMatchObject({ isMobile: true, isIOS: true, isDesktop: false });
+        expect(detectDevice('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).toMatchObject({ isTablet: true, isMobile: false });
+        expect(detectDevice('Mozilla/5.0 (Linux; Android 14; Pixel 8) Mobile Safari')).toMatchObject({ isMobile: true, isAndroid: true });
+        expect(detectDevice('Mozilla/5.0 (Linux; Android 13; SM-X700) Safari')).toMatchObject({ isTablet: true, isAndroid: true });
+        expect(detectDevice('Roku/DVP-12.0')).toMatchObject({ isSmartTV: true, isDesktop: false });
+        expect(detectDevice(DESKTOP)).toMatchObject({ isDesktop: true, isMobile: false });
+    });
+
+    test('2. Runs the mobile-redirect sample against real device headers', async () => {
+        const mobile = await fetch(`http://localhost:${port}/m/home`, { headers: { 'User-Agent': IPHONE }, redirect: 'manual' });
+        expect(mobile.status).toBe(302);
+        expect(mobile.headers.get('location')).toBe('https://m.example.com/m/home');
+
+        const desktop = await fetch(`http://localhost:${port}/m/home`, { headers: { 'User-Agent': DESKTOP }, redirect: 'manual' });
+        expect(desktop.status).not.toBe(302);
+    });
+
+    test('3. Uses the configured geo profile with country defaults', async () => {
+        const seen = await echo('/all/page', { 'User-Agent': DESKTOP });
+
+        expect(seen['cloudfront-viewer-country']).toBe('DE');
+        expect(seen['cloudfront-viewer-city']).toBe('Hamburg');
+        expect(seen['cloudfront-viewer-time-zone']).toBe('Europe/Berlin');
+        expect(seen['cloudfront-is-desktop-viewer']).toBe('true');
+        expect(seen['cloudfront-forwarded-proto']).toBe('http');
+        expect(seen['cloudfront-viewer-address']).toMatch(/:\d+$/);
+    });
+
+    test('4. Honors per-request overrides and hides them from functions', async () => {
+        const byHeader = await echo('/all/page', { 'X-CloudFrontize-Geo': 'country=FR' });
+        expect(byHeader['cloudfront-viewer-country']).toBe('FR');
+        expect(byHeader['cloudfront-viewer-city']).toBe('Paris');
+
+        const byQuery = await echo('/all/page?a=1&cfz-geo=JP');
+        expect(byQuery['cloudfront-viewer-country']).toBe('JP');
+        expect(byQuery.querystring).toBe('a=1');
+
+        // The rest of the query string is left as the viewer encoded it
+        const raw = await echo('/all/page?q=a%20b&cfz-geo=country%3DES&tag=x+y');
+        expect(raw['cloudfront-viewer-country']).toBe('ES');
+        expect(raw.querystring).toBe('q=a%20b&tag=x+y');
+    });
+
+    test('5. Only adds the headers the origin request policy forwards', async () => {
+        const listed = await echo('/country/page', { 'User-Agent': IPHONE });
+        expect(Object.keys(listed).filter(k => k.startsWith('cloudfront-'))).toEqual(['cloudfront-viewer-country']);
+
+        // "All viewer headers" doesn't include the ones CloudFront generates
+        const allViewer = await echo('/viewer/page', { 'User-Agent': IPHONE });
+        expect(Object.keys(allViewer).filter(k => k.startsWith('cloudfront-'))).toEqual([]);
+
+        const none = await echo('/page', { 'User-Agent': IPHONE });
+        expect(none['cloudfront-is-mobile-viewer']).toBeUndefined();
+    });
+
+    test('6. Overrides from the viewer never name a file; bad ones get a 400', async () => {
+        for (const value of ['README.md', path.resolve(__dirname, '..', 'package.json'), 'Germany']) {
+            const res = await fetch(`http://localhost:${port}/all/page`, { headers: { 'X-CloudFrontize-Geo': value } });
+            expect(res.status).toBe(400);
+            expect(await res.text()).toContain('expected a country code or key=value pairs');
+        }
+        expect((await fetch(`http://localhost:${port}/all/page?cfz-geo=%E0`)).status).toBe(400);
+
+        // The server is still up
+        expect((await echo('/all/page', { 'X-CloudFrontize-Geo': 'gb' }))['cloudfront-viewer-country']).toBe('GB');
+    });
+});
@@ -3,66 +3,327 @@
 const { Command } = require('commander');
 const { startServer } = require('../src/index.js');
 const { EdgeRunner } = require('../src/edgeRunner.js');
+const { bake, loadBakeProfile } = require('../src/bake.js');
+const { buildEvent, invokeFunction } = require('../src/invoke.js');
+const { parseOriginUrl } = require('../src/origin.js');
+const { Distribution } = require('../src/distribution.js');
+const { resolveCachePolicy, resolveOriginRequestPolicy } = require('../src/policies.js');
+const { parseGeoProfile } = require('../src/viewerHeaders.js');
+const { parseHookFlag } = require('../src/hooks.js');
 const path = require('path');
 const fs = require('fs');
 
 const program = new Command();
 
+// Repeatable flags (e.g. --allow-module) collected into a list
+const collect = (value, previous) => [...previous, value];
+
+// Repeatable "Name: value" flags (e.g. --origin-header) collected into a map
+function collectHeader(value, previous) {
+    const idx = value.indexOf(':');
+    if (idx < 1) {
+        console.error(`🛑 Error: Invalid header "${value}". Expected "Name: value".`);
+        process.exit(1);
+    }
+    return { ...previous, [value.slice(0, idx).trim()]: value.slice(idx + 1).trim() };
+}
+
 program
     .name('cloudfrontize')
     .description('Static server with CloudFront Fidelity: Environments & Variable Baking')
     .version('1.1.0')
+    // Keep options after a subcommand (e.g. `bake -o`) for the subcommand
+    .enablePositionalOptions()
     .argument('[directory]', 'directory to serve', '.')
     .option('-p, --port <number>', 'port to listen on', '3000')
     .option('-l, --listen <uri>', 'listen URI', '3000')
     .option('-s, --single', 'SPA mode: rewrite all not-found to index.html')
     .option('-C, --cors', 'enable CORS')
     .option('-d, --debug', 'show negotiation logs')
+    .option('--trace', 'print a tree per request of the functions that ran and what each one changed')
+    .option('--trace-file <path>', 'append each request trace to <path> as JSON lines')
+    .option('--inspect', 'serve a dashboard of recent requests (with replay) at /__cloudfrontize/')
     .option('-u, --no-compression', 'disable auto-compression for small files')
     .option('--no-etag', 'disable ETag')
     .option('-L, --no-request-logging', 'mute logs')
     .option('-e, --edge <path>', 'path to a Lambda@Edge module or directory to simulate')
+    .option('--hook <event=file>', 'associate a function with an event, e.g. viewer-request=./auth.js or origin-response=./index.originResponse (repeatable)', collect, [])
     .option('-E, --env <path>', 'path to environment file (Strict: Reserved AWS variables only)')
     .option('-b, --bake <path>', 'path to variables file for __VAR__ string replacement')
-    .option('-o, --output <path>', 'output the baked .js file(s) for production deployment')
+    .option('--stage <name>', 'bake profile layered over the --bake file (e.g. prod reads bake.prod.env)')
+    .option('--strict-bake', 'fail to load functions that still contain __VAR__ placeholders after baking')
+    .option('-o, --output <path>', 'also write the baked .js file(s) here while serving (see `cloudfrontize bake`)')
+    .option('--kvs <path>', 'JSON file backing cloudfront.kvs() for CloudFront Functions')
+    .option('-O, --origin <url>', 'proxy to a custom origin (e.g. https://api.example.com) instead of serving [directory]')
+    .option('--cache', 'simulate the CloudFront edge cache (honors Cache-Control/Expires, adds X-Cache and Age)')
+    .option('-c, --config <path>', 'distribution config (JSON/YAML) with origins and ordered cache behaviors')
+    .option('--timeout <seconds>', 'function timeout for every event (default: 5 for viewer, 30 for origin events)', parseFloat)
+    .option('--memory-size <mb>', 'fail functions whose memory use exceeds this size (MB)', parseInt)
+    .option('--strict-headers', 'answer 502 (like CloudFront) instead of warning when a function changes read-only or disallowed headers')
+    .option('--no-strict-events', 'warn instead of failing when an event has several functions not declared as a chain, and run them in file name order')
+    .option('--allow-module <name>', 'let functions require a module outside the Lambda@Edge allow-list, e.g. fs or @aws-sdk/client-s3 (repeatable)', collect, [])
+    .option('--cold-start', 'load every function afresh for each invocation to expose state kept between requests')
+    .option('--containers <n>', 'simulate up to <n> concurrent containers per function (more concurrent requests are throttled)', parseInt)
+    .option('--container-idle-timeout <seconds>', 'reclaim containers idle for longer than this', parseFloat)
+    .option('--cold-start-rate <rate>', 'share of invocations (0-1) forced onto a new container', parseFloat)
+    .option('--distribution-id <id>', 'distribution ID reported to functions in cf.config')
+    .option('--distribution-domain <domain>', 'distribution domain name reported to functions in cf.config')
+    .option('--cache-policy <policy>', 'cache policy: managed name (e.g. CachingOptimized) or JSON/YAML file; enables the edge cache')
+    .option('--origin-request-policy <policy>', 'origin request policy: managed name (e.g. AllViewerAndCloudFrontHeaders-2022-06) or JSON/YAML file')
+    .option('--geo <profile>', 'viewer location for CloudFront-Viewer-* headers: country code, "country=DE,city=Hamburg" or JSON/YAML file')
+    .option('-H, --origin-header <header>', 'custom header added to origin requests, "Name: value" (repeatable)', collectHeader, {})
     .action((directory, options) => {
         const port = options.listen !== '3000' ? options.listen : options.port;
 
         let edgeRunner = null;
+        let distribution = null;
+        let geo = null;
+
+        try {
+            geo = options.geo ? parseGeoProfile(options.geo) : null;
+        } catch (e) {
+            console.error(`🛑 Error: Invalid --geo "${options.geo}": ${e.message}`);
+            process.exit(1);
+        }
+
+        let hooks = [];
+        try {
+            hooks = options.hook.map(h => parseHookFlag(h));
+        } catch (e) {
+            console.error(`🛑 Error: ${e.message}`);
+            process.exit(1);
+        }
+
+        if (options.config) {
+            if (options.edge || hooks.length || options.origin || options.originRequestPolicy || options.cachePolicy) {
+                console.error('🛑 Error: --config cannot be combined with --edge, --hook, --origin or the policy flags; declare them in the config file.');
+                process.exit(1);
+            }
+            try {
+                distribution = Distribution.fromFile(options.config, {
+                    envPath: options.env ? path.resolve(options.env) : null,
+                    bakePath: options.bake ? path.resolve(options.bake) : null,
+                    stage: options.stage,
+                    strictBake: options.strictBake,
+                    kvsPath: options.kvs ? path.resolve(options.kvs) : null,
+                    timeout: options.timeout,
+                    memorySize: options.memorySize,
+                    strictHeaders: options.strictHeaders,
+                    strictEvents: options.strictEvents,
+                    allowModules: options.allowModule,
+                    coldStart: options.coldStart,
+                    coldStartRate: options.coldStartRate,
+                    containers: options.containers,
+                    containerIdleTimeout: options.containerIdleTimeout,
+                    distributionId: options.distributionId,
+                    distributionDomainName: options.distributionDomain,
+                    geo
+                });
+            } catch (e) {
+                console.error(`🛑 Error: Invalid distribution config "${options.config}": ${e.message}`);
+                process.exit(1);
+            }
+        }
 
         // Ensure we have a path if edge-related flags are used
-        if (options.edge || options.bake || options.output) {
+        if (!distribution && (options.edge || hooks.length || options.bake || options.stage || options.output)) {
             const edgePath = options.edge ? path.resolve(options.edge) : null;
 
             // Validate: Can't bake or output without a source file/directory
-            if (!edgePath && (options.bake || options.output)) {
-                console.error('🛑 Error: --bake and --output require a source --edge file or directory.');
+            if (!edgePath && !hooks.length && (options.bake || options.stage || options.output)) {
+                console.error('🛑 Error: --bake, --stage and --output require a source --edge file or directory, or --hook.');
                 process.exit(1);
             }
 
-            edgeRunner = new EdgeRunner(edgePath, {
-                debug: options.debug,
-                envPath: options.env ? path.resolve(options.env) : null,
-                bakePath: options.bake ? path.resolve(options.bake) : null,
-                outputPath: options.output ? path.resolve(options.output) : null
-            });
+            try {
+                edgeRunner = new EdgeRunner(edgePath, {
+                    functions: hooks.length ? hooks : null,
+                    debug: options.debug,
+                    envPath: options.env ? path.resolve(options.env) : null,
+                    bakePath: options.bake ? path.resolve(options.bake) : null,
+                    stage: options.stage,
+                    strictBake: options.strictBake,
+                    kvsPath: options.kvs ? path.resolve(options.kvs) : null,
+                    timeout: options.timeout,
+                    memorySize: options.memorySize,
+                    strictHeaders: options.strictHeaders,
+                    strictEvents: options.strictEvents,
+                    allowModules: options.allowModule,
+                    coldStart: options.coldStart,
+                    coldStartRate: options.coldStartRate,
+                    containers: options.containers,
+                    containerIdleTimeout: options.containerIdleTimeout,
+                    distributionId: options.distributionId,
+                    distributionDomainName: options.distributionDomain,
+                    outputPath: options.output ? path.resolve(options.output) : null
+                });
+            } catch (e) {
+                console.error(`🛑 Error: ${e.message}`);
+                process.exit(1);
+            }
 
-            // If the user specified an output but didn't provide a directory to serve,
-            // we assume they just wanted to run the build/bake step.
-            const isJustBaking = options.output && process.argv.length <= 6 && !options.port;
+            if (options.output) {
+                console.log(`💾 Baked file(s) written to ${options.output} (use \`cloudfrontize bake\` to bake without serving)`);
+            }
+        }
 
-            if (isJustBaking) {
-                console.log(`✅ Production-ready file(s) generated at: ${options.output}`);
-                process.exit(0);
+        let origin = null;
+        if (options.origin) {
+            try {
+                origin = parseOriginUrl(options.origin, options.originHeader);
+            } catch (e) {
+                console.error(`🛑 Error: Invalid --origin "${options.origin}": ${e.message}`);
+                process.exit(1);
             }
         }
 
+        let originRequestPolicy = null;
+        let cachePolicy = null;
+        try {
+            originRequestPolicy = resolveOriginRequestPolicy(options.originRequestPolicy);
+            cachePolicy = resolveCachePolicy(options.cachePolicy);
+        } catch (e) {
+            console.error(`🛑 Error: Invalid policy: ${e.message}`);
+            process.exit(1);
+        }
+
         startServer({
             ...options,
             port: parseInt(port),
             directory: path.resolve(directory),
-            edgeRunner
+            origin,
+            originRequestPolicy,
+            cachePolicy,
+            geo,
+            edgeRunner,
+            distribution
+        });
+    });
+
+program
+    .command('bake')
+    .description('bake __VAR__ placeholders into deployable copies of your functions')
+    .argument('<source>', 'function file, or directory of functions (like --edge)')
+    .requiredOption('-o, --output <dir>', 'directory receiving the baked tree (one file per source file)')
+    .option('-b, --bake <path>', 'base variables file for __VAR__ string replacement (default: ./bake.env)')
+    .option('--stage <name>', 'bake profile layered over the base file (e.g. prod reads bake.prod.env)')
+    .option('--bundle', "inline each function's required dependencies (needs esbuild)")
+    .option('--zip <dir>', 'write a Lambda-ready <function>.zip per function to <dir>')
+    .action(async (source, options) => {
+        if (!fs.existsSync(source)) {
+            console.error(`🛑 Error: "${source}" does not exist.`);
+            process.exit(1);
+        }
+
+        let report;
+        try {
+            const profile = loadBakeProfile(options.bake, { stage: options.stage });
+            if (profile.files.length) {
+                console.log(`📄 Variables from ${profile.files.map(f => path.relative(process.cwd(), f)).join(' + ')}`);
+            }
+            report = await bake(source, {
+                outputDir: options.output,
+                vars: profile.vars,
+                bundle: options.bundle,
+                zipDir: options.zip,
+                // The values being baked in never ship themselves, whatever the stage
+                exclude: profile.profiles
+            });
+        } catch (e) {
+            console.error(`🛑 Error: Bake failed: ${e.message}`);
+            process.exit(1);
+        }
+
+        report.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+        for (const fn of report.functions) {
+            const { used, unused, missing } = fn.variables;
+            const zip = fn.zip ? ` → ${path.relative(process.cwd(), fn.zip)}` : '';
+            console.log(`   λ ${path.relative(process.cwd(), fn.output || fn.file)} (handler: ${fn.handler})${zip}`);
+            console.log(`     used: ${used.join(', ') || '-'} | unused: ${unused.join(', ') || '-'}${missing.length ? ` | missing: ${missing.join(', ')}` : ''}`);
+        }
+
+        if (report.errors.length) {
+            console.error(`🛑 Error: ${report.errors.length} unresolved placeholder(s); nothing was written:`);
+            report.errors.forEach(e => console.error(`   - ${e}`));
+            process.exit(1);
+        }
+        console.log(`✅ Baked ${report.files.length} file(s) into ${options.output}`);
+    });
+
+program
+    .command('invoke')
+    .description('run one function against a CloudFront event, without a server')
+    .argument('<file>', 'function file (Lambda@Edge or CloudFront Function), or file.exportName for another export than handler')
+    .option('--event <path>', 'CloudFront event JSON file, or "-" to read it from stdin')
+    .option('-t, --event-type <type>', 'event to run (default: from the event, else the module hookType)')
+    .option('-m, --method <method>', 'shorthand event: request method', 'GET')
+    .option('-u, --url <url>', 'shorthand event: request URL (path and query string)', '/')
+    .option('-H, --header <header>', 'shorthand event: request header "Name: value" (repeatable)', collectHeader, {})
+    .option('--status <code>', 'shorthand event: response status for response events', '200')
+    .option('-E, --env <path>', 'path to environment file (Strict: Reserved AWS variables only)')
+    .option('-b, --bake <path>', 'path to variables file for __VAR__ string replacement')
+    .option('--stage <name>', 'bake profile layered over the --bake file')
+    .option('--kvs <path>', 'JSON file backing cloudfront.kvs() for CloudFront Functions')
+    .option('--timeout <seconds>', 'function timeout (default: the event quota)', parseFloat)
+    .option('--memory-size <mb>', 'fail when the function uses more memory than this (MB)', parseInt)
+    .option('--strict-headers', 'read-only / disallowed header changes are validation errors')
+    .option('--allow-module <name>', 'let the function require a module outside the Lambda@Edge allow-list (repeatable)', collect, [])
+    .option('--json', 'print the whole report as JSON')
+    .action(async (file, options) => {
+        let event;
+        try {
+            if (options.event) {
+                const raw = options.event === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(options.event, 'utf8');
+                event = JSON.parse(raw);
+            } else {
+                event = buildEvent(options.eventType, {
+                    method: options.method,
+                    url: options.url,
+                    headers: options.header,
+                    status: options.status
+                });
+            }
+        } catch (e) {
+            console.error(`🛑 Error: Invalid event: ${e.message}`);
+            process.exit(1);
+        }
+
+        const report = await invokeFunction(file, event, {
+            eventType: options.eventType,
+            envPath: options.env ? path.resolve(options.env) : null,
+            bakePath: options.bake ? path.resolve(options.bake) : null,
+            stage: options.stage,
+            kvsPath: options.kvs ? path.resolve(options.kvs) : null,
+            timeout: options.timeout,
+            memorySize: options.memorySize,
+            strictHeaders: options.strictHeaders,
+            allowModules: options.allowModule
         });
+        const failed = Boolean(report.error || report.errors.length);
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+            process.exit(failed ? 1 : 0);
+        }
+
+        console.log(`λ ${report.eventType || '?'} ${path.relative(process.cwd(), report.file)} (${report.durationMs.toFixed(2)} ms)`);
+        if (report.logs.length) {
+            console.log('📜 Logs:');
+            report.logs.forEach(l => console.log(`   [${l.level}] ${l.message}`));
+        }
+        if (report.result !== null && report.result !== undefined) {
+            console.log('📤 Result:');
+            console.log(JSON.stringify(report.result, null, 2));
+        }
+        report.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+        if (report.error) {
+            console.error(`🛑 ${report.error.errorType}: ${report.error.message}`);
+        }
+        if (report.errors.length) {
+            console.error('🛑 LambdaValidationError: CloudFront would reject this result (502):');
+            report.errors.forEach(e => console.error(`   - ${e}`));
+        }
+        process.exit(failed ? 1 : 0);
     });
 
-program.parse(process.argv);
+program.parseAsync(process.argv);
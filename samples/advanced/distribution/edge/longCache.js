@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Lambda@Edge Example: Long-lived caching for images (origin-response)
+ *
+ * Associated through distribution.yaml with the `/assets/*.jfif` behavior
+ * only, so no `exports.hookType` is needed here.
+ */
+exports.handler = (event, context, callback) => {
+    const response = event.Records[0].cf.response;
+
+    response.headers['cache-control'] = [{
+        key: 'Cache-Control',
+        value: 'public, max-age=31536000, immutable'
+    }];
+
+    callback(null, response);
+};
@@ -5,7 +5,6 @@ exports.handler = (event, context, callback) => {
         const params = new URLSearchParams(request.querystring.toLowerCase());
         const sorted = new URLSearchParams([...params].sort());
         request.querystring = sorted.toString();
-        request.url = `${request.uri}?${request.querystring}`;
     }
     callback(null, request);
 };
@@ -0,0 +1,25 @@
+// @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-request
+
+/**
+ * CloudFront Functions Example: Add index.html to directory requests (viewer-request)
+ *
+ * Runtime: cloudfront-js-2.0
+ *
+ * Purpose: Rewrite "/docs/" and "/docs" to "/docs/index.html" so S3 origins
+ * can serve directory indexes. CloudFront Functions have no `exports`; the
+ * comment on the first line tells CloudFrontize which runtime and event to use.
+ *
+ * Deploy to: CloudFront → Functions → Associate with Viewer Request
+ */
+function handler(event) {
+    var request = event.request;
+    var uri = request.uri;
+
+    if (uri.endsWith('/')) {
+        request.uri += 'index.html';
+    } else if (!uri.includes('.')) {
+        request.uri += '/index.html';
+    }
+
+    return request;
+}
@@ -0,0 +1,32 @@
+// @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-request
+
+/**
+ * CloudFront Functions Example: Redirects from a KeyValueStore (viewer-request)
+ *
+ * Runtime: cloudfront-js-2.0
+ *
+ * Purpose: Look up the requested path in a CloudFront KeyValueStore and send
+ * a 301 when a redirect is configured. Locally the store is backed by the
+ * JSON file passed with `--kvs` (e.g. { "/old": "/new" }).
+ *
+ * Deploy to: CloudFront → Functions → Associate KeyValueStore → Viewer Request
+ */
+import cf from 'cloudfront';
+
+const kvsHandle = cf.kvs();
+
+async function handler(event) {
+    const request = event.request;
+
+    try {
+        const target = await kvsHandle.get(request.uri);
+        return {
+            statusCode: 301,
+            statusDescription: 'Moved Permanently',
+            headers: { location: { value: target } }
+        };
+    } catch (err) {
+        // No redirect configured for this path
+        return request;
+    }
+}
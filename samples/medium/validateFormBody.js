@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Lambda@Edge Example: Validate a Form Submission (viewer-request)
+ *
+ * Hook Type: viewer-request
+ *
+ * Purpose: Reject POSTs whose form body is missing a required field before
+ * they reach the origin, and strip a honeypot field from the forwarded body.
+ *
+ * The function must be associated with "Include body" in CloudFront (here:
+ * `exports.includeBody = true`), otherwise `request.body` is not populated.
+ * CloudFront always hands the body over base64-encoded and truncates it to
+ * 40KB for viewer-request (1MB for origin-request).
+ *
+ * Deploy to: CloudFront → Cache Behaviour → Viewer Request (Include body: Yes)
+ */
+exports.hookType = 'viewer-request';
+exports.includeBody = true;
+
+exports.handler = (event, context, callback) => {
+    const request = event.Records[0].cf.request;
+
+    if (request.method !== 'POST' || !request.body) {
+        return callback(null, request);
+    }
+
+    if (request.body.inputTruncated) {
+        return callback(null, {
+            status: '413',
+            statusDescription: 'Payload Too Large',
+            body: 'Form submission too large'
+        });
+    }
+
+    const form = new URLSearchParams(Buffer.from(request.body.data, 'base64').toString());
+
+    if (!form.get('email')) {
+        return callback(null, {
+            status: '400',
+            statusDescription: 'Bad Request',
+            body: 'Missing email'
+        });
+    }
+
+    // Drop the honeypot field before forwarding to the origin
+    form.delete('website');
+    request.body.action = 'replace';
+    request.body.encoding = 'text';
+    request.body.data = form.toString();
+
+    callback(null, request);
+};
@@ -24,13 +24,24 @@ async function build() {
         banner: {
             js: '#!/usr/bin/env node', // Native injection prevents encoding errors
         },
-        external: ['fsevents'], // Exclude platform-specific optional binaries
+        external: ['fsevents', 'esbuild'], // Platform-specific binaries; esbuild is a dependency, loaded for ESM/TypeScript functions and `bake --bundle`
     });
 
-    // 3. Ensure executable permissions for CLI use
+    // 3. The testing API, published as `cloudfrontize-lambda-at-edge/testing`
+    await esbuild.build({
+        entryPoints: [path.join(__dirname, '../src/testing.js')],
+        bundle: true,
+        platform: 'node',
+        format: 'cjs',
+        target: 'node20',
+        outfile: path.join(dist, 'testing.js'),
+        external: ['fsevents', 'esbuild'],
+    });
+
+    // 4. Ensure executable permissions for CLI use
     fs.chmodSync(path.join(dist, 'cli.js'), 0o755);
 
-    console.log('✅ Build successful: dist/cli.js is ready.');
+    console.log('✅ Build successful: dist/cli.js and dist/testing.js are ready.');
 }
 
 build().catch(err => {
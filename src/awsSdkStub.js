@@ -0,0 +1,61 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Stand-in for an AWS SDK for JavaScript v3 package (`@aws-sdk/*`), which the
+ * Lambda Node.js runtimes bundle. Exports named `*Client` are clients and
+ * `*Command` are commands; `client.send(command)` never reaches AWS: it logs
+ * the call and resolves with just `$metadata`. Any other export is a function
+ * that throws, so the gap shows where it is used rather than at require time.
+ */
+function createAwsSdkStub(packageName, console) {
+    const exported = {};
+
+    const createClient = (name) => class {
+        constructor(config = {}) {
+            this.config = config;
+        }
+
+        // DynamoDBDocumentClient.from(client) and the like
+        static from(client, config) {
+            return new this({ ...client?.config, ...config });
+        }
+
+        async send(command) {
+            console.warn(`[CloudFrontize] AWS SDK stub: ${name}.send(${command?.constructor?.name || 'command'}) was not sent to AWS`);
+            return { $metadata: { httpStatusCode: 200, requestId: crypto.randomUUID(), attempts: 1, totalRetryDelay: 0 } };
+        }
+
+        destroy() {}
+    };
+
+    const createCommand = () => class {
+        constructor(input = {}) {
+            this.input = input;
+        }
+    };
+
+    // Made up on lookup through the prototype, so the objects esbuild builds
+    // on top of a required module (`import * as`, import()) find them too
+    return Object.create(new Proxy(exported, {
+        get(target, name) {
+            if (typeof name !== 'string' || name === '__esModule' || name === 'then') return undefined;
+            if (!(name in target)) {
+                let value;
+                if (name.endsWith('Client')) value = createClient(name);
+                else if (name.endsWith('Command')) value = createCommand();
+                else {
+                    value = () => {
+                        throw new Error(`AWS SDK stub: ${packageName} "${name}" is not simulated`);
+                    };
+                }
+                Object.defineProperty(value, 'name', { value: name });
+                target[name] = value;
+            }
+            return target[name];
+        }
+    }));
+}
+
+module.exports = { createAwsSdkStub };
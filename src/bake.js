@@ -0,0 +1,315 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const dotenv = require('dotenv');
+const { createZip } = require('./zip');
+const { isCloudFrontFunctionRuntime, parseDirectives } = require('./cloudfrontFunctions');
+const { isFunctionFile, loadEsbuild } = require('./esm');
+
+// __VAR__ placeholders replaced from the bake file
+const PLACEHOLDER = /__([A-Z0-9_.-]+)__/g;
+
+// Files whose contents are baked: what the runner loads as functions, plus
+// shared .cjs modules; everything else is copied as is
+const isScriptFile = (file) => isFunctionFile(file) || file.endsWith('.cjs');
+
+// The same files, as esbuild matches them while bundling
+const SCRIPT_FILE = /\.([cm]?js|m?ts)$/;
+
+// Local files an import or require may leave the extension off
+const LOCAL_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.json'];
+
+// Never mirrored into the output
+const SKIPPED_DIRS = ['node_modules', '.git'];
+
+// Provided by the Lambda Node.js runtime, so never bundled
+const RUNTIME_PROVIDED = /^@aws-sdk\//;
+
+/**
+ * Ranges of the string literals in `code` ({ start, end, quote }), so that a
+ * placeholder inside one can be escaped for that kind of literal. Comments are
+ * skipped; regular expression literals are not recognized.
+ */
+function stringLiterals(code) {
+    const ranges = [];
+    for (let i = 0; i < code.length; i++) {
+        const ch = code[i];
+        if (ch === '/' && code[i + 1] === '/') {
+            i = code.indexOf('\n', i);
+            if (i < 0) break;
+        } else if (ch === '/' && code[i + 1] === '*') {
+            i = code.indexOf('*/', i + 2);
+            if (i < 0) break;
+            i++;
+        } else if (ch === '"' || ch === "'" || ch === '`') {
+            const start = i++;
+            while (i < code.length && code[i] !== ch) {
+                if (code[i] === '\\') i++;
+                else if (ch !== '`' && code[i] === '\n') break;
+                i++;
+            }
+            ranges.push({ start, end: i, quote: ch });
+        }
+    }
+    return ranges;
+}
+
+// A value as it must be written inside a `quote`-delimited literal
+function escapeForLiteral(value, quote) {
+    const json = JSON.stringify(String(value)).slice(1, -1);
+    if (quote === '"') return json;
+    if (quote === "'") return json.replace(/\\"/g, '"').replace(/'/g, "\\'");
+    return String(value).replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+/**
+ * Replace `__VAR__` placeholders with their value from `vars`. Inside a string
+ * literal the value is escaped for it (quotes, backslashes, newlines), so any
+ * value yields valid code; elsewhere (e.g. `const max = __MAX__;`) it is
+ * inserted as is.
+ *
+ * Returns { code, used: [names], unresolved: [{ name, line }] }.
+ */
+function bakeCode(code, vars = {}) {
+    const used = new Set();
+    const unresolved = [];
+    const literals = stringLiterals(code);
+    const baked = code.replace(PLACEHOLDER, (match, name, offset) => {
+        if (vars[name] === undefined) {
+            unresolved.push({ name, line: code.slice(0, offset).split('\n').length });
+            return match;
+        }
+        used.add(name);
+        const literal = literals.find(r => r.start < offset && offset < r.end);
+        return literal ? escapeForLiteral(vars[name], literal.quote) : String(vars[name]);
+    });
+    return { code: baked, used: [...used], unresolved };
+}
+
+/**
+ * Load the bake variables: the base file `bakePath` (e.g. bake.env) and, for
+ * a `stage`, the profile next to it named after the stage (bake.prod.env),
+ * whose values override the base ones. Without `bakePath`, `bake.env` in the
+ * working directory is the base. A missing stage profile is an error.
+ *
+ * Returns { vars, files, profiles }: the files read (base first), and the
+ * base with every stage profile next to it, read or not.
+ */
+function loadBakeProfile(bakePath, { stage } = {}) {
+    const base = path.resolve(bakePath || 'bake.env');
+    const { dir, name, ext } = path.parse(base);
+    const files = fs.existsSync(base) ? [base] : [];
+
+    if (stage) {
+        const profile = path.join(dir, `${name}.${stage}${ext}`);
+        if (!fs.existsSync(profile)) {
+            throw new Error(`Bake profile "${stage}" not found (expected ${profile})`);
+        }
+        files.push(profile);
+    }
+
+    const vars = {};
+    files.forEach(f => Object.assign(vars, dotenv.parse(fs.readFileSync(f))));
+
+    // <name>.<stage><ext>, for any stage
+    const stages = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(f => f.startsWith(`${name}.`) && f.endsWith(ext) && f.length > name.length + ext.length + 1)
+        : [];
+    const profiles = [...(fs.existsSync(base) ? [base] : []), ...stages.map(f => path.join(dir, f))];
+    return { vars, files, profiles };
+}
+
+// Relative paths of every file under `dir`, skipping dependencies, dotfiles
+// and the directories the bake writes to.
+function listFiles(dir, exclude, base = dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const abs = path.join(dir, entry.name);
+        if (entry.name.startsWith('.') || SKIPPED_DIRS.includes(entry.name) || exclude.includes(abs)) continue;
+        if (entry.isDirectory()) files.push(...listFiles(abs, exclude, base));
+        else if (entry.isFile()) files.push(path.relative(base, abs));
+    }
+    return files.sort();
+}
+
+// Bare module names a file requires that the Lambda runtime doesn't provide
+function externalRequires(code) {
+    const names = new Set();
+    for (const [, id] of code.matchAll(/require\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+        if (id.startsWith('.') || id.startsWith('/') || RUNTIME_PROVIDED.test(id)) continue;
+        if (id.startsWith('node:') || builtinModules.includes(id)) continue;
+        names.add(id.startsWith('@') ? id.split('/').slice(0, 2).join('/') : id.split('/')[0]);
+    }
+    return [...names];
+}
+
+// `file` without its extension, as Lambda's handler setting names it
+const withoutExtension = (file) => file.slice(0, -path.extname(file).length);
+
+// Files of the tree (relative paths) that `file` requires or imports, directly or not
+function localDependencies(file, sources, seen = new Set([file])) {
+    const code = String(sources.get(file));
+    for (const [, id] of code.matchAll(/(?:\brequire\(\s*|\bfrom\s*|\bimport\s*\(?\s*)['"](\.{1,2}\/[^'"]*)['"]/g)) {
+        const target = path.join(path.dirname(file), id);
+        const candidates = [target, ...LOCAL_EXTENSIONS.map(ext => target + ext), path.join(target, 'index.js'), path.join(target, 'index.ts')];
+        const match = candidates.find(f => sources.has(f));
+        if (match && !seen.has(match)) {
+            seen.add(match);
+            localDependencies(match, sources, seen);
+        }
+    }
+    return seen;
+}
+
+// Bundle one function with its dependencies; local files are baked on the way in
+async function bundleFunction(entry, vars, errors) {
+    const esbuild = loadEsbuild();
+    const result = await esbuild.build({
+        entryPoints: [entry],
+        bundle: true,
+        platform: 'node',
+        format: 'cjs',
+        target: 'node20',
+        write: false,
+        logLevel: 'silent',
+        external: ['@aws-sdk/*'],
+        plugins: [{
+            name: 'cloudfrontize-bake',
+            setup(build) {
+                build.onLoad({ filter: SCRIPT_FILE }, (args) => {
+                    if (args.path.split(path.sep).includes('node_modules')) return undefined;
+                    const { code, unresolved } = bakeCode(fs.readFileSync(args.path, 'utf8'), vars);
+                    unresolved.forEach(u => errors.push(`${args.path}:${u.line} unresolved placeholder __${u.name}__`));
+                    return { contents: code, loader: /\.m?ts$/.test(args.path) ? 'ts' : 'js' };
+                });
+            }
+        }]
+    });
+    return result.outputFiles[0].contents;
+}
+
+/**
+ * Bake `source` (a function file, or a directory whose top-level .js, .mjs,
+ * .ts or .mts files are functions, like `--edge`) into `outputDir`, mirroring its tree: one baked
+ * file per source file, other files copied.
+ *
+ * Options:
+ * - vars:   { NAME: value } replacing `__NAME__` placeholders
+ * - bundle: inline each function's `require`d dependencies (esbuild)
+ * - zipDir: write a Lambda-ready `<function>.zip` per function there,
+ *           holding the function and the local files it requires
+ * - exclude: absolute paths never read, mirrored or packaged (the bake
+ *           profiles, which hold the values being baked in)
+ *
+ * Unresolved placeholders are errors: nothing is written when there are any.
+ * Each function reports the variables its code (and the local files it
+ * requires) used, did not use, and was missing.
+ *
+ * Returns { files, functions: [{ file, output, zip, handler, variables: { used, unused, missing } }],
+ * warnings, errors }.
+ */
+async function bake(source, { outputDir, vars = {}, bundle = false, zipDir = null, exclude = [] } = {}) {
+    const sourcePath = path.resolve(source);
+    const out = path.resolve(outputDir);
+    const isDir = fs.statSync(sourcePath).isDirectory();
+    const root = isDir ? sourcePath : path.dirname(sourcePath);
+    const report = { files: [], functions: [], warnings: [], errors: [] };
+
+    const skipped = [out, zipDir && path.resolve(zipDir), ...exclude.map(f => path.resolve(f))].filter(Boolean);
+    const files = isDir ? listFiles(root, skipped) : [path.basename(sourcePath)];
+    const functionFiles = isDir
+        ? files.filter(f => !f.includes(path.sep) && isFunctionFile(f))
+        : files;
+
+    // 1. Bake everything in memory first so a missing variable writes nothing
+    const baked = new Map();
+    const usage = new Map();
+    for (const file of files) {
+        const raw = fs.readFileSync(path.join(root, file));
+        if (!isScriptFile(file)) {
+            baked.set(file, raw);
+            continue;
+        }
+        const { code, used, unresolved } = bakeCode(raw.toString('utf8'), vars);
+        unresolved.forEach(u => report.errors.push(`${file}:${u.line} unresolved placeholder __${u.name}__`));
+        baked.set(file, code);
+        usage.set(file, { used, missing: unresolved.map(u => u.name) });
+    }
+
+    for (const file of functionFiles) {
+        const used = new Set();
+        const missing = new Set();
+        for (const dep of localDependencies(file, baked)) {
+            usage.get(dep)?.used.forEach(n => used.add(n));
+            usage.get(dep)?.missing.forEach(n => missing.add(n));
+        }
+        report.functions.push({
+            file: path.join(root, file),
+            output: null,
+            zip: null,
+            handler: `${withoutExtension(file)}.handler`,
+            variables: {
+                used: [...used].sort(),
+                unused: Object.keys(vars).filter(n => !used.has(n)).sort(),
+                missing: [...missing].sort()
+            }
+        });
+    }
+
+    // CloudFront Functions are deployed as plain code, not as Lambda packages
+    const lambdas = functionFiles.filter(f => !isCloudFrontFunctionRuntime(parseDirectives(baked.get(f)).runtime));
+
+    // A bundle is CommonJS, so it is written as .js whatever its source was
+    const outputName = (file) => (bundle && lambdas.includes(file) ? `${withoutExtension(file)}.js` : file);
+
+    // Files outside the tree pulled in by a bundle are checked as they load
+    if (bundle && !report.errors.length) {
+        for (const file of lambdas) {
+            const bundled = await bundleFunction(path.join(root, file), vars, report.errors);
+            if (outputName(file) !== file) baked.delete(file);
+            baked.set(outputName(file), Buffer.from(bundled));
+        }
+    }
+    if (report.errors.length) return report;
+
+    // 2. Mirror the tree
+    for (const [file, contents] of baked) {
+        const target = path.join(out, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, contents);
+        report.files.push(target);
+    }
+
+    // 3. One package per function: the bundle alone, or the function plus the
+    // local files it requires
+    functionFiles.forEach((file, i) => {
+        const entry = report.functions[i];
+        entry.output = path.join(out, outputName(file));
+        if (!lambdas.includes(file)) return;
+
+        if (!bundle) {
+            const missing = externalRequires(String(baked.get(file)));
+            if (missing.length) {
+                report.warnings.push(`${file} requires ${missing.join(', ')}, which the package won't contain; use --bundle`);
+            }
+            if (/\.m?ts$/.test(file)) {
+                report.warnings.push(`${file} is TypeScript, which the Lambda runtime can't load; use --bundle`);
+            }
+        }
+        if (!zipDir) return;
+
+        const packaged = bundle ? [outputName(file)] : [...localDependencies(file, baked)];
+        entry.zip = path.join(path.resolve(zipDir), `${path.basename(withoutExtension(file))}.zip`);
+        fs.mkdirSync(path.dirname(entry.zip), { recursive: true });
+        fs.writeFileSync(entry.zip, createZip(packaged.map(f => ({
+            name: f.split(path.sep).join('/'),
+            data: baked.get(f)
+        }))));
+    });
+
+    return report;
+}
+
+module.exports = { bake, bakeCode, loadBakeProfile };
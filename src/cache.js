@@ -0,0 +1,148 @@
+'use strict';
+
+const { matchesList } = require('./policies');
+
+// CloudFront caches these statuses using the regular TTL rules...
+const CACHEABLE_STATUSES = [200, 203, 300, 301, 410];
+// ...and these error statuses for the error caching minimum TTL (10s by default)
+const ERROR_STATUSES = [400, 403, 404, 405, 414, 416, 500, 501, 502, 503, 504];
+const ERROR_CACHING_TTL = 10;
+
+const DEFAULT_POLICY = {
+    minTTL: 0,
+    defaultTTL: 86400,
+    maxTTL: 31536000,
+    headers: [],
+    cookies: [],
+    queryStrings: 'all'
+};
+
+/**
+ * In-memory simulation of a CloudFront edge cache for one cache behavior.
+ *
+ * The policy mirrors a CloudFront cache policy:
+ * - minTTL / defaultTTL / maxTTL (seconds),
+ * - headers: header names included in the cache key,
+ * - cookies: cookie names included in the cache key ('all', 'none', a list
+ *   or { allExcept: [...] }),
+ * - queryStrings: same forms, for query string names.
+ */
+class EdgeCache {
+    constructor(policy = {}) {
+        this.policy = { ...DEFAULT_POLICY, ...policy };
+        this.entries = new Map();
+    }
+
+    /**
+     * Only GET and HEAD responses are served from cache.
+     */
+    isCacheableMethod(method) {
+        return method === 'GET' || method === 'HEAD';
+    }
+
+    /**
+     * Build the cache key from a request record (after viewer-request).
+     */
+    buildKey(request) {
+        const { headers: keyHeaders, cookies: keyCookies, queryStrings } = this.policy;
+        const parts = [request.uri];
+
+        const params = new URLSearchParams(request.querystring || '');
+        const qs = [...params]
+            .filter(([k]) => matchesList(queryStrings, k))
+            .map(([k, v]) => `${k}=${v}`)
+            .sort();
+        parts.push(`qs:${qs.join('&')}`);
+
+        // Accepts CloudFront-style ([{ key, value }]) or Node-style (string) headers
+        const headerValue = (name) => {
+            const value = request.headers?.[name.toLowerCase()];
+            if (Array.isArray(value)) return value.map(h => h?.value ?? h).join(',');
+            return value || '';
+        };
+        for (const name of keyHeaders) {
+            parts.push(`h:${name.toLowerCase()}=${headerValue(name)}`);
+        }
+
+        if (keyCookies !== 'none' && !(Array.isArray(keyCookies) && !keyCookies.length)) {
+            const cookies = headerValue('cookie')
+                .split(';')
+                .map(c => c.trim())
+                .filter(Boolean)
+                .filter(c => matchesList(keyCookies, c.split('=')[0]))
+                .sort();
+            parts.push(`c:${cookies.join(';')}`);
+        }
+
+        return parts.join('|');
+    }
+
+    /**
+     * Return { response, age } for a fresh entry, or null on a miss.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+        if (age >= entry.ttl) {
+            this.entries.delete(key);
+            return null;
+        }
+        return { response: entry.response, age };
+    }
+
+    /**
+     * Store a response (the result of origin-response) if CloudFront would.
+     * Returns the TTL in seconds, or 0 when the response is not cached.
+     */
+    set(key, response) {
+        const ttl = this.computeTTL(response.status, response.headers);
+        if (ttl > 0) {
+            this.entries.set(key, { response, storedAt: Date.now(), ttl });
+        }
+        return ttl;
+    }
+
+    /**
+     * Apply CloudFront's TTL rules to origin Cache-Control / Expires headers.
+     */
+    computeTTL(status, headers = {}) {
+        const { minTTL, defaultTTL, maxTTL } = this.policy;
+        const code = parseInt(status);
+
+        // A policy with maxTTL 0 (e.g. CachingDisabled) never caches
+        if (maxTTL === 0) return 0;
+        if (ERROR_STATUSES.includes(code)) return ERROR_CACHING_TTL;
+        if (!CACHEABLE_STATUSES.includes(code)) return 0;
+
+        const get = (name) => {
+            const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+            const value = key ? headers[key] : undefined;
+            return Array.isArray(value) ? value.join(',') : value;
+        };
+
+        const cacheControl = String(get('cache-control') || '').toLowerCase();
+        const expires = get('expires');
+
+        // no-cache / no-store / private are honored unless a minimum TTL forces caching
+        if (/\b(no-cache|no-store|private)\b/.test(cacheControl)) return minTTL;
+
+        const sMaxAge = cacheControl.match(/s-maxage=(\d+)/);
+        const maxAge = cacheControl.match(/max-age=(\d+)/);
+        let ttl;
+
+        if (sMaxAge) ttl = parseInt(sMaxAge[1]);
+        else if (maxAge) ttl = parseInt(maxAge[1]);
+        else if (expires) ttl = Math.floor((Date.parse(expires) - Date.now()) / 1000) || 0;
+        else return defaultTTL;
+
+        return Math.min(Math.max(ttl, minTTL), maxTTL);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = { EdgeCache };
@@ -0,0 +1,318 @@
+'use strict';
+
+const fs = require('fs');
+const vm = require('vm');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { createFunctionConsole } = require('./trace');
+
+const RUNTIMES = {
+    'cloudfront-js': '2.0',
+    'cloudfront-js-1.0': '1.0',
+    'cloudfront-js-2.0': '2.0'
+};
+
+// CloudFront Functions can only be associated with viewer events
+const VIEWER_EVENTS = ['viewer-request', 'viewer-response'];
+
+/**
+ * CloudFront Functions source can't carry `exports`, so the runtime and event
+ * type are declared in a comment that is harmless once deployed:
+ *
+ *   // @cloudfrontize runtime=cloudfront-js-2.0 hookType=viewer-request
+ */
+function parseDirectives(code) {
+    const directives = {};
+    const match = code.match(/@cloudfrontize\s+([^\n*]*)/);
+    if (match) {
+        for (const pair of match[1].trim().split(/\s+/)) {
+            const [k, v] = pair.split('=');
+            if (k && v) directives[k] = v;
+        }
+    }
+    return directives;
+}
+
+function isCloudFrontFunctionRuntime(runtime) {
+    return Boolean(runtime && RUNTIMES[runtime]);
+}
+
+/* =========================================================
+   EVENT CONVERSION (Lambda@Edge record <-> CloudFront Functions)
+========================================================= */
+
+function toMulti(values) {
+    return values.length > 1
+        ? { value: values[0], multiValue: values.map(value => ({ value })) }
+        : { value: values[0] };
+}
+
+function fromMulti(entry) {
+    return entry.multiValue ? entry.multiValue.map(v => v.value) : [entry.value];
+}
+
+// Query string values are passed through as they appear on the wire (not decoded)
+function parseQuerystring(qs) {
+    const grouped = {};
+    for (const part of (qs || '').split('&').filter(Boolean)) {
+        const idx = part.indexOf('=');
+        const name = idx === -1 ? part : part.slice(0, idx);
+        const value = idx === -1 ? '' : part.slice(idx + 1);
+        (grouped[name] = grouped[name] || []).push(value);
+    }
+    const out = {};
+    for (const [name, values] of Object.entries(grouped)) out[name] = toMulti(values);
+    return out;
+}
+
+function serializeQuerystring(obj) {
+    const parts = [];
+    for (const [name, entry] of Object.entries(obj || {})) {
+        for (const value of fromMulti(entry)) parts.push(value === '' ? name : `${name}=${value}`);
+    }
+    return parts.join('&');
+}
+
+function parseCookieHeader(values) {
+    const grouped = {};
+    for (const pair of values.join('; ').split(';').map(c => c.trim()).filter(Boolean)) {
+        const idx = pair.indexOf('=');
+        const name = idx === -1 ? pair : pair.slice(0, idx);
+        (grouped[name] = grouped[name] || []).push(idx === -1 ? '' : pair.slice(idx + 1));
+    }
+    const out = {};
+    for (const [name, vals] of Object.entries(grouped)) out[name] = toMulti(vals);
+    return out;
+}
+
+function parseSetCookies(values) {
+    const out = {};
+    for (const raw of values) {
+        const [pair, ...attrs] = raw.split(';');
+        const idx = pair.indexOf('=');
+        const name = pair.slice(0, idx).trim();
+        const cookie = { value: pair.slice(idx + 1).trim() };
+        if (attrs.length) cookie.attributes = attrs.map(a => a.trim()).join('; ');
+        if (out[name]) {
+            out[name].multiValue = out[name].multiValue || [{ ...out[name] }];
+            out[name].multiValue.push(cookie);
+        } else {
+            out[name] = cookie;
+        }
+    }
+    return out;
+}
+
+function toFunctionHeaders(lambdaHeaders, skip) {
+    const out = {};
+    for (const [name, values] of Object.entries(lambdaHeaders || {})) {
+        if (name === skip || !values.length) continue;
+        out[name] = toMulti(values.map(v => v.value));
+    }
+    return out;
+}
+
+function fromFunctionHeaders(fnHeaders, originalHeaders = {}) {
+    const out = {};
+    for (const [name, entry] of Object.entries(fnHeaders || {})) {
+        const lower = name.toLowerCase();
+        const key = originalHeaders[lower]?.[0]?.key || name;
+        out[lower] = fromMulti(entry).map(value => ({ key, value: String(value) }));
+    }
+    return out;
+}
+
+function toFunctionRequest(record) {
+    return {
+        method: record.method,
+        uri: record.uri,
+        querystring: parseQuerystring(record.querystring),
+        headers: toFunctionHeaders(record.headers, 'cookie'),
+        cookies: parseCookieHeader((record.headers?.cookie || []).map(v => v.value))
+    };
+}
+
+function fromFunctionRequest(fnRequest, original) {
+    const headers = fromFunctionHeaders(fnRequest.headers, original.headers);
+    const cookies = [];
+    for (const [name, entry] of Object.entries(fnRequest.cookies || {})) {
+        for (const value of fromMulti(entry)) cookies.push(`${name}=${value}`);
+    }
+    if (cookies.length) headers.cookie = [{ key: original.headers?.cookie?.[0]?.key || 'Cookie', value: cookies.join('; ') }];
+
+    return {
+        ...original,
+        method: fnRequest.method || original.method,
+        uri: fnRequest.uri,
+        querystring: serializeQuerystring(fnRequest.querystring),
+        headers
+    };
+}
+
+function toFunctionResponse(response) {
+    return {
+        statusCode: parseInt(response.status),
+        statusDescription: response.statusDescription,
+        headers: toFunctionHeaders(response.headers, 'set-cookie'),
+        cookies: parseSetCookies((response.headers?.['set-cookie'] || []).map(v => v.value))
+    };
+}
+
+function fromFunctionResponse(fnResponse, originalHeaders) {
+    const headers = fromFunctionHeaders(fnResponse.headers, originalHeaders);
+    const setCookies = [];
+    for (const [name, entry] of Object.entries(fnResponse.cookies || {})) {
+        const all = entry.multiValue || [entry];
+        for (const c of all) setCookies.push(`${name}=${c.value}${c.attributes ? `; ${c.attributes}` : ''}`);
+    }
+    if (setCookies.length) headers['set-cookie'] = setCookies.map(value => ({ key: 'Set-Cookie', value }));
+
+    const out = {
+        status: String(fnResponse.statusCode),
+        statusDescription: fnResponse.statusDescription,
+        headers
+    };
+
+    if (fnResponse.body !== undefined) {
+        const body = typeof fnResponse.body === 'string' ? { data: fnResponse.body, encoding: 'text' } : fnResponse.body;
+        out.body = body.data;
+        out.bodyEncoding = body.encoding === 'base64' ? 'base64' : 'text';
+    }
+    return out;
+}
+
+/* =========================================================
+   RUNTIME
+========================================================= */
+
+/**
+ * Minimal local stand-in for CloudFront KeyValueStore, backed by a JSON file
+ * of { key: value } pairs.
+ */
+function createKvsModule(kvsPath) {
+    const read = () => (kvsPath && fs.existsSync(kvsPath) ? JSON.parse(fs.readFileSync(kvsPath, 'utf8')) : {});
+
+    return {
+        kvs: () => ({
+            async get(key, options = {}) {
+                const data = read();
+                if (!(key in data)) throw new Error(`KVS key "${key}" not found`);
+                const value = data[key];
+                const str = typeof value === 'string' ? value : JSON.stringify(value);
+                if (options.format === 'json') return JSON.parse(str);
+                if (options.format === 'bytes') return Buffer.from(str);
+                return str;
+            },
+            async exists(key) {
+                return key in read();
+            },
+            async meta() {
+                const data = read();
+                return {
+                    creationDateTime: new Date(0).toISOString(),
+                    lastUpdatedDateTime: new Date().toISOString(),
+                    keyCount: Object.keys(data).length
+                };
+            }
+        })
+    };
+}
+
+/**
+ * The CloudFront Functions event (version 1.0) for a Lambda@Edge event.
+ */
+function toFunctionEvent(lambdaEvent, eventType) {
+    const { request, response, config = {} } = lambdaEvent.Records[0].cf;
+    const event = {
+        version: '1.0',
+        context: {
+            distributionDomainName: config.distributionDomainName || 'd111111abcdef8.cloudfront.net',
+            distributionId: config.distributionId || 'EDFDVBD6EXAMPLE',
+            eventType: eventType || config.eventType,
+            requestId: config.requestId || crypto.randomBytes(20).toString('base64')
+        },
+        viewer: { ip: request.clientIp || '127.0.0.1' },
+        request: toFunctionRequest(request)
+    };
+    if (response) event.response = toFunctionResponse(response);
+    return event;
+}
+
+/**
+ * Evaluate CloudFront Functions source in a restricted context and return a
+ * Lambda@Edge-compatible handler, so it plugs into the same pipeline, along
+ * with the context it runs in (invocations are run inside it, under a timeout;
+ * see EdgeRunner._invoke).
+ *
+ * The runtime has no network, no timers, no `process`, and only `crypto` and
+ * `querystring` (plus `cloudfront` for KeyValueStore on 2.0) can be loaded.
+ */
+function createCloudFrontFunction(code, { filePath, runtime, eventType, kvsPath }) {
+    const version = RUNTIMES[runtime];
+    if (!VIEWER_EVENTS.includes(eventType)) {
+        throw new Error(`CloudFront Functions only run on viewer events, "${eventType}" given for ${filePath}`);
+    }
+
+    const cloudfront = createKvsModule(kvsPath);
+    const modules = { crypto, querystring };
+    if (version === '2.0') {
+        modules.buffer = { Buffer };
+        modules.cloudfront = cloudfront;
+    }
+
+    // `import cf from 'cloudfront'` is the only import the 2.0 runtime allows
+    const source = code.replace(/^\s*import\s+(\w+)\s+from\s+['"]([^'"]+)['"];?/gm, (m, name, id) => {
+        if (version !== '2.0' || id !== 'cloudfront') {
+            throw new Error(`CloudFront Functions (${runtime}) cannot import "${id}" in ${filePath}`);
+        }
+        return `const ${name} = require('cloudfront');`;
+    });
+
+    const sandbox = {
+        console: createFunctionConsole(),
+        require: (id) => {
+            if (!modules[id]) throw new Error(`Module "${id}" is not available in CloudFront Functions (${runtime})`);
+            return modules[id];
+        }
+    };
+    if (version === '2.0') sandbox.Buffer = Buffer;
+
+    vm.createContext(sandbox);
+    new vm.Script(source, { filename: filePath }).runInContext(sandbox);
+
+    if (typeof sandbox.handler !== 'function') {
+        throw new Error(`CloudFront Function ${filePath} must declare a top-level "function handler(event)"`);
+    }
+
+    const handler = async (lambdaEvent) => {
+        const { request, response } = lambdaEvent.Records[0].cf;
+        const event = toFunctionEvent(lambdaEvent, eventType);
+
+        let result = sandbox.handler(event);
+        if (result && typeof result.then === 'function') {
+            if (version === '1.0') {
+                throw new Error(`cloudfront-js-1.0 handlers must be synchronous (${filePath})`);
+            }
+            result = await result;
+        }
+
+        if (!result) throw new Error(`CloudFront Function ${filePath} returned nothing`);
+
+        if (eventType === 'viewer-response') {
+            return fromFunctionResponse(result, response.headers);
+        }
+        return result.statusCode !== undefined
+            ? fromFunctionResponse(result, {})
+            : fromFunctionRequest(result, request);
+    };
+    return { handler, sandbox };
+}
+
+module.exports = {
+    createCloudFrontFunction,
+    isCloudFrontFunctionRuntime,
+    parseDirectives,
+    toFunctionEvent,
+    toFunctionRequest,
+    fromFunctionRequest
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * The execution environments ("containers") of one Lambda@Edge function.
+ * Module scope runs once per container, when it is created (a cold start);
+ * warm invocations reuse a container's state. Like Lambda:
+ * - an idle container is reused (the most recently used one first),
+ * - a new one starts when all are busy, up to `maxContainers`,
+ * - containers idle for more than `idleTimeout` seconds are reclaimed.
+ * `coldStartRate` (0-1) additionally recycles a warm container before that
+ * share of invocations, to reproduce cold starts on demand.
+ */
+class ContainerPool {
+    constructor(instantiate, { maxContainers = Infinity, idleTimeout = null, coldStartRate = 0, random = Math.random } = {}) {
+        this.instantiate = instantiate;
+        this.maxContainers = maxContainers;
+        this.idleTimeout = idleTimeout;
+        this.coldStartRate = coldStartRate;
+        this.random = random;
+        this.containers = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * A container for one invocation, marked busy until `release`: either
+     * { container, coldStart: false } or, for a new one, { container,
+     * coldStart: true, initDurationMs }. Null when all `maxContainers` are
+     * busy (Lambda throttles). Throws what the module scope throws.
+     */
+    acquire() {
+        const now = Date.now();
+        if (this.idleTimeout !== null) {
+            this.containers = this.containers.filter(c => c.busy || now - c.lastUsed <= this.idleTimeout * 1000);
+        }
+
+        // Containers are kept in release order, so the last idle one is the most recently used
+        const warm = this.containers.filter(c => !c.busy).pop();
+        if (warm && !(this.coldStartRate > 0 && this.random() < this.coldStartRate)) {
+            warm.busy = true;
+            return { container: warm, coldStart: false };
+        }
+        // Forced cold start: the warm container makes room for a new one
+        if (warm) this._discard(warm);
+        if (this.containers.length >= this.maxContainers) return null;
+
+        const started = process.hrtime.bigint();
+        const instance = this.instantiate();
+        const initDurationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+        const container = { id: this.nextId++, instance, busy: true, lastUsed: now, invocations: 0 };
+        this.containers.push(container);
+        return { container, coldStart: true, initDurationMs };
+    }
+
+    /** Hand a container back; `discard` it when its runtime had to be stopped (timeout, memory). */
+    release(container, { discard = false } = {}) {
+        container.busy = false;
+        container.lastUsed = Date.now();
+        container.invocations++;
+        // Move it to the end (most recently used), unless it goes away
+        this._discard(container);
+        if (!discard) this.containers.push(container);
+    }
+
+    _discard(container) {
+        this.containers = this.containers.filter(c => c !== container);
+    }
+}
+
+module.exports = { ContainerPool };
@@ -0,0 +1,176 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { EdgeRunner } = require('./edgeRunner');
+const { parseOriginUrl } = require('./origin');
+const { EdgeCache } = require('./cache');
+const { resolveCachePolicy, resolveOriginRequestPolicy } = require('./policies');
+const { parseGeoProfile } = require('./viewerHeaders');
+const { parseAssociations } = require('./hooks');
+
+// CloudFront's default for a cache behavior is GET/HEAD only
+const DEFAULT_ALLOWED_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Compile a CloudFront path pattern into a RegExp.
+ * `*` matches zero or more characters, `?` exactly one; matching is
+ * case-sensitive and the leading slash is optional.
+ */
+function compilePathPattern(pattern) {
+    if (pattern === '*') return /^.*$/;
+    const normalized = pattern.startsWith('/') ? pattern : `/${pattern}`;
+    const source = normalized
+        .split('')
+        .map(ch => {
+            if (ch === '*') return '.*';
+            if (ch === '?') return '.';
+            return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Read a distribution config from a .json, .yml or .yaml file.
+ */
+function loadDistributionConfig(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return /\.ya?ml$/i.test(filePath) ? yaml.load(raw) : JSON.parse(raw);
+}
+
+/**
+ * A simulated CloudFront distribution: named origins plus an ordered list of
+ * cache behaviors, each with its own function associations.
+ *
+ * Config shape (paths are relative to `options.baseDir`):
+ * {
+ *   distributionId: 'E2QWRUHAPOMQZL',          // optional, reported in cf.config
+ *   domainName: 'd111111abcdef8.cloudfront.net',
+ *   geo: { country: 'DE', city: 'Hamburg' },    // viewer location for CloudFront-Viewer-* headers
+ *   origins: {
+ *     site: { directory: './www' },
+ *     api:  { url: 'https://api.example.com/v1', customHeaders: { 'X-Key': 'abc' } }
+ *   },
+ *   behaviors: [
+ *     { pathPattern: '/api/*', origin: 'api', allowedMethods: ['GET', 'HEAD', 'POST'],
+ *       functions: { 'origin-request': { path: './edge/api.js', includeBody: true, timeout: 10, memorySize: 256 } } },
+ *     { pathPattern: '/mobile/*', origin: 'site', cachePolicy: 'CachingOptimized',
+ *       originRequestPolicy: 'AllViewerAndCloudFrontHeaders-2022-06' },
+ *     { pathPattern: '/images/*', origin: 'site',
+ *       cache: { minTTL: 0, defaultTTL: 86400, maxTTL: 31536000, headers: [], cookies: [], queryStrings: 'none' } }
+ *   ],
+ *   defaultBehavior: {
+ *     origin: 'site',
+ *     functions: {
+ *       'viewer-request': './edge/auth.js',
+ *       'origin-response': './edge/index.originResponse',   // file.exportName, like Lambda's handler setting
+ *       'viewer-response': { path: './edge/headers.js', runtime: 'cloudfront-js-2.0', kvs: './kvs.json' }
+ *     }
+ *   }
+ * }
+ */
+class Distribution {
+    constructor(config, options = {}) {
+        this.baseDir = path.resolve(options.baseDir || '.');
+        this.origins = this._resolveOrigins(config.origins || {});
+        // A geo profile passed in (e.g. from the CLI) wins over the config file
+        this.geo = options.geo || (config.geo ? parseGeoProfile(config.geo, this.baseDir) : null);
+
+        if (!config.defaultBehavior) {
+            throw new Error('Distribution config is missing "defaultBehavior"');
+        }
+
+        const runnerOptions = {
+            kvsPath: options.kvsPath,
+            timeout: options.timeout,
+            memorySize: options.memorySize,
+            strictHeaders: options.strictHeaders,
+            strictEvents: options.strictEvents,
+            allowModules: options.allowModules,
+            coldStart: options.coldStart,
+            coldStartRate: options.coldStartRate,
+            containers: options.containers,
+            containerIdleTimeout: options.containerIdleTimeout,
+            distributionId: config.distributionId || options.distributionId,
+            distributionDomainName: config.domainName || options.distributionDomainName,
+            envPath: options.envPath,
+            bakePath: options.bakePath,
+            stage: options.stage,
+            strictBake: options.strictBake,
+            watch: options.watch
+        };
+
+        this.behaviors = [
+            ...(config.behaviors || []).map(b => this._buildBehavior(b, runnerOptions)),
+            this._buildBehavior({ ...config.defaultBehavior, pathPattern: '*' }, runnerOptions)
+        ];
+    }
+
+    static fromFile(filePath, options = {}) {
+        const absolute = path.resolve(filePath);
+        return new Distribution(loadDistributionConfig(absolute), {
+            baseDir: path.dirname(absolute),
+            ...options
+        });
+    }
+
+    /**
+     * Return the first behavior whose path pattern matches the viewer URI
+     * (CloudFront evaluates behaviors in order, the default one last).
+     */
+    match(url) {
+        const uri = new URL(url || '/', 'http://localhost').pathname;
+        return this.behaviors.find(b => b.matcher.test(uri));
+    }
+
+    close() {
+        this.behaviors.forEach(b => b.edgeRunner && b.edgeRunner.close());
+    }
+
+    _resolveOrigins(origins) {
+        const resolved = {};
+        for (const [name, def] of Object.entries(origins)) {
+            if (def.directory) {
+                resolved[name] = { name, directory: path.resolve(this.baseDir, def.directory), origin: null };
+            } else if (def.url) {
+                resolved[name] = { name, directory: null, origin: parseOriginUrl(def.url, def.customHeaders) };
+            } else {
+                throw new Error(`Origin "${name}" needs either a "directory" or a "url"`);
+            }
+        }
+        return resolved;
+    }
+
+    _buildBehavior(def, runnerOptions) {
+        const pattern = def.pathPattern || '*';
+        const names = Object.keys(this.origins);
+        const originName = def.origin || (names.length === 1 ? names[0] : null);
+        const origin = this.origins[originName];
+        if (!origin) {
+            throw new Error(`Behavior "${pattern}" targets unknown origin "${def.origin}"`);
+        }
+
+        const functions = parseAssociations(def.functions, this.baseDir, `Behavior "${pattern}"`);
+
+        const cachePolicy = resolveCachePolicy(def.cachePolicy, this.baseDir);
+
+        return {
+            pathPattern: pattern,
+            matcher: compilePathPattern(pattern),
+            allowedMethods: (def.allowedMethods || DEFAULT_ALLOWED_METHODS).map(m => m.toUpperCase()),
+            originName: origin.name,
+            directory: origin.directory,
+            origin: origin.origin,
+            // `cache: true` uses the default policy; omit it to disable caching
+            cache: cachePolicy || def.cache ? new EdgeCache(cachePolicy || (def.cache === true ? {} : def.cache)) : null,
+            // With a cache and/or origin request policy, only what they name reaches the origin
+            cachePolicy,
+            originRequestPolicy: resolveOriginRequestPolicy(def.originRequestPolicy, this.baseDir),
+            edgeRunner: functions.length ? new EdgeRunner(null, { ...runnerOptions, functions }) : null
+        };
+    }
+}
+
+module.exports = { Distribution, compilePathPattern, loadDistributionConfig };
@@ -3,14 +3,142 @@
 const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
+const { bakeCode, loadBakeProfile } = require('./bake');
+const { EdgeFunctionError } = require('./errors');
+const { diffRecords, traceInvocation, tracedInvocation } = require('./trace');
+const { ContainerPool } = require('./containers');
+const { loadFunction } = require('./sandbox');
+const { compileModule, isFunctionFile, isModuleFile } = require('./esm');
+const { eventTypeFromFileName, loadManifest } = require('./hooks');
+const { isDisallowedHeader, validateResult } = require('./validator');
+const {
+    createCloudFrontFunction,
+    isCloudFrontFunctionRuntime,
+    parseDirectives
+} = require('./cloudfrontFunctions');
+
+const REQUEST_EVENTS = ['viewer-request', 'origin-request'];
+const RESPONSE_EVENTS = ['origin-response', 'viewer-response'];
+
+// Fields of a CloudFront request record (everything else on a flattened
+// result is a convenience shortcut added by _flatten)
+const REQUEST_FIELDS = ['clientIp', 'headers', 'method', 'querystring', 'uri', 'origin'];
+
+// CloudFront truncates the request body exposed to functions with "include body"
+const BODY_LIMITS = {
+    'viewer-request': 40 * 1024,
+    'origin-request': 1024 * 1024
+};
+
+// Lambda@Edge timeout quotas (seconds): 5s for viewer events, 30s for origin events
+const DEFAULT_TIMEOUTS = {
+    'viewer-request': 5,
+    'origin-request': 30,
+    'origin-response': 30,
+    'viewer-response': 5
+};
+
+// CloudFront Functions get about a millisecond of compute; locally they are
+// allowed more, but far less than Lambda@Edge (seconds)
+const CLOUDFRONT_FUNCTION_TIMEOUT = 0.1;
+
+// Calls the handler from inside its own context so the vm `timeout` option can
+// interrupt synchronous busy loops, which a timer alone never would.
+const INVOKE_SCRIPT = new vm.Script('__cloudfrontizeInvoke()');
+
+/**
+ * Convert Node-style headers ({ Name: value }) into CloudFront-style ones
+ * ({ name: [{ key, value }] }). Each value of a multi-value header (Set-Cookie)
+ * becomes its own item. Disallowed headers are never exposed to functions.
+ */
+function normalizeHeaders(input) {
+    const headers = {};
+    for (const [k, v] of Object.entries(input)) {
+        if (isDisallowedHeader(k) || v === undefined) continue;
+        const items = (Array.isArray(v) ? v : [v]).map(item => ({ key: k, value: String(item?.value ?? item) }));
+        headers[k.toLowerCase()] = [...(headers[k.toLowerCase()] || []), ...items];
+    }
+    return headers;
+}
+
+/**
+ * The CloudFront request record for a viewer request ({ method, url, headers,
+ * socket }). Also used by the event fixtures, so test events and the live
+ * pipeline normalize requests the same way.
+ */
+function buildRequestRecord(req) {
+    const urlObj = new URL(req.url || '/', 'http://localhost');
+    return {
+        clientIp: (req.socket?.remoteAddress || '127.0.0.1').replace(/^::ffff:/, ''),
+        method: req.method || 'GET',
+        uri: urlObj.pathname,
+        querystring: urlObj.search.replace(/^\?/, ''),
+        headers: normalizeHeaders(req.headers || {})
+    };
+}
+
+// The `body` of a request record for functions with "include body"
+function buildBodyRecord(rawBody, type) {
+    const limit = BODY_LIMITS[type];
+    const inputTruncated = rawBody.length > limit;
+    return {
+        inputTruncated,
+        action: 'read-only',
+        encoding: 'base64',
+        data: (inputTruncated ? rawBody.subarray(0, limit) : rawBody).toString('base64')
+    };
+}
 
 class EdgeRunner {
     constructor(edgePath, options = {}) {
-        this.edgePath = path.resolve(edgePath);
+        this.edgePath = edgePath ? path.resolve(edgePath) : null;
+        // Explicit associations ([{ eventType, path, handler, includeBody }])
+        // from a distribution config or --hook; they take precedence over
+        // exports.hookType, which takes precedence over the file name
+        // (see src/hooks.js).
+        this.functions = options.functions || null;
         this.envPath = options.envPath;
         this.bakePath = options.bakePath;
+        // Bake profile layered over bakePath (bake.<stage>.env), and whether
+        // a placeholder left unresolved fails loading instead of warning
+        this.stage = options.stage || null;
+        this.strictBake = options.strictBake === true;
         this.outputPath = options.outputPath;
+        // JSON file backing `cloudfront.kvs()` for CloudFront Functions
+        this.kvsPath = options.kvsPath;
+        // Overrides the per-event timeout quota (seconds) and enables the
+        // memory ceiling check (MB); associations may set their own.
+        this.timeout = options.timeout || null;
+        this.memorySize = options.memorySize || null;
+        // Fail (502) instead of warn on read-only / disallowed header changes
+        this.strictHeaders = options.strictHeaders === true;
+        // Fail to load when an event has several functions that were not
+        // declared as a chain; `strictEvents: false` only warns
+        this.strictEvents = options.strictEvents !== false;
+        // Modules functions may require beyond the default allow-list (see
+        // src/sandbox.js)
+        this.allowModules = options.allowModules || [];
+        // Container simulation (see src/containers.js): pool size, idle expiry
+        // (seconds) and forced cold-start rate; `coldStart` is a rate of 1.
+        // Without any of them one shared context serves every invocation.
+        const coldStartRate = options.coldStart === true ? 1 : options.coldStartRate;
+        if (coldStartRate !== undefined && !(coldStartRate >= 0 && coldStartRate <= 1)) {
+            throw new Error(`The cold start rate must be between 0 and 1 (got ${coldStartRate})`);
+        }
+        this.containerOptions = options.containers || options.containerIdleTimeout || coldStartRate
+            ? {
+                maxContainers: options.containers || Infinity,
+                idleTimeout: options.containerIdleTimeout ?? null,
+                coldStartRate: coldStartRate || 0
+            }
+            : null;
+        // Reported in every event's `cf.config`
+        this.distributionId = options.distributionId || 'EDFDVBD6EXAMPLE';
+        this.distributionDomainName = options.distributionDomainName || 'd111111abcdef8.cloudfront.net';
+        // One request ID per viewer request, shared by all four events
+        this.requestIds = new WeakMap();
 
         this.modules = {
             'viewer-request': [],
@@ -19,8 +147,14 @@ class EdgeRunner {
             'viewer-response': []
         };
 
+        // Every loaded function, enabled or not; `modules` holds the enabled ones
+        this.loaded = [];
+        // Functions switched on/off at runtime (id -> enabled), kept across reloads
+        this.toggles = new Map();
+
         this.envVars = {};
         this.bakeVars = {};
+        this.bakeFiles = [];
         this.watchers = [];
         this.whitelist = [
             'AWS_REGION', 'AWS_DEFAULT_REGION', 'AWS_LAMBDA_FUNCTION_NAME',
@@ -42,114 +176,261 @@ class EdgeRunner {
     ========================================================= */
 
     _load() {
-        Object.keys(this.modules).forEach(k => this.modules[k] = []);
-        if (!fs.existsSync(this.edgePath)) return;
-
-        const stat = fs.statSync(this.edgePath);
-        const files = stat.isDirectory()
-            ? fs.readdirSync(this.edgePath).filter(f => f.endsWith('.js'))
-            : [this.edgePath];
+        this.loaded = [];
+
+        const exists = this.edgePath && fs.existsSync(this.edgePath);
+        const isDir = exists && fs.statSync(this.edgePath).isDirectory();
+        // Explicit associations first: options, then the edge directory's manifest
+        const associations = [...(this.functions || []), ...(isDir ? loadManifest(this.edgePath) : [])];
+        associations.forEach(fn => this._loadFile(path.resolve(fn.path), fn));
+
+        // The other files find their event through hookType or their name, in name order
+        if (exists) {
+            const associated = new Set(associations.map(fn => path.resolve(fn.path)));
+            const files = isDir
+                ? fs.readdirSync(this.edgePath).filter(isFunctionFile).sort().map(f => path.join(this.edgePath, f))
+                : [this.edgePath];
+            files.filter(f => !associated.has(f)).forEach(f => this._loadFile(f));
+        }
+        this._arrange();
+    }
 
-        files.forEach(f => {
-            this._loadFile(stat.isDirectory() ? path.join(this.edgePath, f) : f);
+    // Keep a loaded function; `_arrange` decides whether it runs
+    _register(eventType, entry, association) {
+        if (!this.modules[eventType]) throw new Error(`Unknown event type "${eventType}" for ${entry.file}`);
+        const name = `${eventType}:${path.basename(entry.file)}${association?.handler ? `#${association.handler}` : ''}`;
+        const taken = (id) => this.loaded.some(m => m.id === id);
+        let id = name;
+        for (let n = 2; taken(id); n++) id = `${name}~${n}`;
+
+        this.loaded.push({
+            ...entry,
+            id,
+            eventType,
+            handlerName: association?.handler || 'handler',
+            // Explicitly associated, so running it in a chain is intended
+            declared: Boolean(association),
+            enabled: association?.enabled !== false
         });
     }
 
-    _loadFile(filePath) {
-        let code = fs.readFileSync(filePath, 'utf8');
+    _isEnabled(mod) {
+        return this.toggles.has(mod.id) ? this.toggles.get(mod.id) : mod.enabled;
+    }
+
+    /**
+     * Fill `modules` with the enabled functions, in load order, and enforce
+     * CloudFront's one function per event and cache behavior: several
+     * functions for an event only run as a chain without complaint when each
+     * was associated explicitly (a manifest list, repeated --hook); otherwise
+     * that is an error, or only a warning with `strictEvents: false`.
+     */
+    _arrange() {
+        for (const type of Object.keys(this.modules)) {
+            this.modules[type] = this.loaded.filter(m => m.eventType === type && this._isEnabled(m));
+        }
+        for (const [type, mods] of Object.entries(this.modules)) {
+            if (mods.length < 2 || mods.every(m => m.declared)) continue;
+            const message = `${type} has ${mods.length} functions (${mods.map(m => path.basename(m.file)).join(', ')}), but CloudFront runs one per event and cache behavior`;
+            if (this.strictEvents) {
+                throw new Error(`${message}; declare the chain in cloudfrontize.json or with --hook, or disable all but one`);
+            }
+            console.warn(`[CloudFrontize] Warning: ${message}; running them as a chain in that order`);
+        }
+    }
+
+    /** Every loaded function: [{ id, eventType, file, handler, enabled, declared }]. */
+    listFunctions() {
+        return this.loaded.map(m => ({
+            id: m.id,
+            eventType: m.eventType,
+            file: m.file,
+            handler: m.handlerName,
+            enabled: this._isEnabled(m),
+            declared: m.declared
+        }));
+    }
+
+    /**
+     * Switch a function (by its `listFunctions` id) on or off without
+     * restarting; the choice outlives hot reloads. Throws for an unknown id,
+     * or when `strictEvents` rejects the chain it would create.
+     */
+    setFunctionEnabled(id, enabled) {
+        if (!this.loaded.some(m => m.id === id)) throw new Error(`Unknown function "${id}"`);
+        const previous = this.toggles.has(id) ? this.toggles.get(id) : null;
+        this.toggles.set(id, Boolean(enabled));
+        try {
+            this._arrange();
+        } catch (e) {
+            if (previous === null) this.toggles.delete(id);
+            else this.toggles.set(id, previous);
+            this._arrange();
+            throw e;
+        }
+    }
 
+    _loadFile(filePath, association = null) {
         // Variable baking
-        code = code.replace(/__([A-Z0-9_.-]+)__/g, (m, key) => this.bakeVars[key] ?? m);
+        const { code, unresolved } = bakeCode(fs.readFileSync(filePath, 'utf8'), this.bakeVars);
+        if (unresolved.length && (this.strictBake || this.bakeFiles.length)) {
+            const names = [...new Set(unresolved.map(u => `__${u.name}__`))].join(', ');
+            if (this.strictBake) throw new Error(`Unresolved placeholders in ${filePath}: ${names}`);
+            console.warn(`[CloudFrontize] Warning: ${path.basename(filePath)} has unresolved placeholders: ${names}`);
+        }
 
         if (this.outputPath) {
-            fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
-            fs.writeFileSync(this.outputPath, code);
+            const target = this._outputFile(filePath);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, code);
+        }
+
+        // CloudFront Functions (cloudfront-js runtime) get their own restricted sandbox
+        const directives = parseDirectives(code);
+        const runtime = association?.runtime || directives.runtime;
+        if (isCloudFrontFunctionRuntime(runtime)) {
+            const eventType = association?.eventType || directives.hookType || eventTypeFromFileName(filePath);
+            if (!eventType) return;
+            const { handler, sandbox } = createCloudFrontFunction(code, {
+                filePath,
+                runtime,
+                eventType,
+                kvsPath: association?.kvs || this.kvsPath
+            });
+            this._register(eventType, {
+                handler,
+                sandbox,
+                file: filePath,
+                runtime,
+                includeBody: false,
+                timeout: association?.timeout || CLOUDFRONT_FUNCTION_TIMEOUT,
+                memorySize: association?.memorySize
+            }, association);
+            return;
         }
 
-        const mockModule = { exports: {} };
-        const sandbox = {
-            module: mockModule,
-            exports: mockModule.exports,
-            Buffer,
-            console,
-            setTimeout,
-            clearTimeout,
-            setInterval,
-            clearInterval,
-            setImmediate,
-            URL,
-            URLSearchParams,
-            TextEncoder,
-            TextDecoder,
-            process: {
-                env: { ...this.envVars },
-                nextTick: process.nextTick,
-                version: process.version
-            },
-            require: (id) => {
-                const forbidden = ['fs', 'child_process', 'os'];
-                if (forbidden.includes(id)) throw new Error(`Forbidden: ${id}`);
-                return id.startsWith('.')
-                    ? require(path.resolve(path.dirname(filePath), id))
-                    : require(id);
-            },
-            __dirname: path.dirname(filePath),
-            __filename: filePath
+        // Local files the function requires are baked like the function itself
+        const transform = (source) => bakeCode(source, this.bakeVars).code;
+        // ES modules and TypeScript are bundled once; every container evaluates the result
+        const module = isModuleFile(filePath) ? compileModule(filePath, code, transform) : null;
+        // `file.exportName` associations pick another export than `handler`
+        const handlerName = association?.handler || 'handler';
+        const instantiate = () => {
+            const { exports, handler, context } = loadFunction(filePath, code, {
+                env: this.envVars,
+                allowModules: this.allowModules,
+                transform,
+                module,
+                handlerName
+            });
+            return { exports, handler, sandbox: context };
         };
 
-        sandbox.global = sandbox;
-        vm.createContext(sandbox);
-        new vm.Script(code).runInContext(sandbox);
+        const { exports: mod, handler, sandbox } = instantiate();
+        const hookType = association?.eventType || mod.hookType || eventTypeFromFileName(filePath);
+        if (!handler && association?.handler) {
+            throw new Error(`${path.basename(filePath)} has no "${handlerName}" export`);
+        }
+        if (handler && hookType) {
+            this._register(hookType, {
+                handler,
+                sandbox,
+                // Invocations run in pooled containers, each with its own module
+                // scope, instead of this instance
+                containers: this.containerOptions ? new ContainerPool(instantiate, this.containerOptions) : null,
+                file: filePath,
+                includeBody: association?.includeBody ?? mod.includeBody === true,
+                timeout: association?.timeout,
+                memorySize: association?.memorySize
+            }, association);
+        }
+    }
 
-        const mod = mockModule.exports;
-        if (mod.handler && mod.hookType) {
-            this.modules[mod.hookType].push({
-                handler: mod.handler,
-                file: filePath
-            });
+    /**
+     * Where the baked copy of `filePath` goes: `outputPath` itself when it
+     * names a .js file (single function), otherwise the file's path relative
+     * to the edge directory inside `outputPath`.
+     */
+    _outputFile(filePath) {
+        const edgeDir = this.edgePath && fs.statSync(this.edgePath).isDirectory() ? this.edgePath : null;
+        if (/\.[cm]?js$/.test(this.outputPath)) {
+            const count = this.functions
+                ? this.functions.length
+                : edgeDir ? fs.readdirSync(edgeDir).filter(isFunctionFile).length : 1;
+            if (count > 1) {
+                throw new Error(`--output "${this.outputPath}" is a file but ${count} functions are loaded; pass a directory`);
+            }
+            return this.outputPath;
         }
+        return path.join(this.outputPath, path.relative(edgeDir || path.dirname(filePath), filePath));
     }
 
     /* =========================================================
        REQUEST PIPELINE
     ========================================================= */
 
-    async runRequestHook(req) {
-        let request = this._buildRequestRecord(req);
+    /**
+     * Run viewer-request and origin-request functions. `context.origin` is the
+     * CloudFront origin record ({ custom: {...} } or { s3: {...} }) exposed to
+     * origin-request functions, which may rewrite it to pick another origin;
+     * without one, a local S3 origin is reported.
+     *
+     * `context.eventTypes` restricts the stages that run, and `context.request`
+     * resumes from a previous result (e.g. origin-request after a cache miss).
+     */
+    async runRequestHook(req, context = {}) {
+        let request = context.request
+            ? this._pick(context.request, REQUEST_FIELDS)
+            : buildRequestRecord(req);
+        let rawBody = this._toBuffer(context.request ? context.request.rawBody : req.body);
+        const eventTypes = REQUEST_EVENTS.filter(t => !context.eventTypes || context.eventTypes.includes(t));
+
+        const requestId = this._requestId(req);
+        let lastType;
+
+        for (const type of eventTypes) {
+            if (type === 'origin-request') {
+                request.origin = this._deepClone(context.origin || this._defaultOrigin());
+            }
 
-        for (const type of ['viewer-request', 'origin-request']) {
             for (const mod of this.modules[type]) {
-                // Take snapshot BEFORE mutation
-                const originalHeaders = this._deepClone(request.headers);
+                // Only functions associated with "include body" get to see it
+                delete request.body;
+                if (mod.includeBody) {
+                    request.body = buildBodyRecord(rawBody, type);
+                }
 
-                const result = await this._invoke(mod.handler, request, type);
+                const result = await this._traced(req, type, mod, request, async () => {
+                    const out = await this._invoke(mod, request, type, requestId);
+                    this._validate(out, request, type, mod);
+                    return out;
+                });
 
-                if (result?.status && !result.uri) {
+                if (result.status && !result.uri) {
                     const finalResponse = this._flatten(result);
                     finalResponse._isResponse = true;
                     finalResponse.type = type;
                     return finalResponse;
                 }
 
-                if (result?.headers) {
-                    // Validate against snapshot
-                    this._validateBlacklistedHeaders(originalHeaders, result.headers, type);
-
-                    // Normalize for next hook
-                    const normalized = {};
-                    Object.keys(result.headers).forEach(k => {
-                        normalized[k.toLowerCase()] = result.headers[k];
-                    });
-                    result.headers = normalized;
+                if (result.body?.action === 'replace') {
+                    if (mod.includeBody) {
+                        rawBody = Buffer.from(String(result.body.data ?? ''), result.body.encoding === 'base64' ? 'base64' : 'utf8');
+                    } else {
+                        console.warn(`[CloudFrontize] Warning: ${type} replaced the body without "includeBody"; change ignored`);
+                    }
                 }
+                delete result.body;
 
                 request = result;
-                request.type = type;
+                lastType = type;
             }
         }
 
         const flattened = this._flatten(request);
-        flattened.type = request.type;
+        flattened.type = lastType;
+        // The (possibly replaced) body that is forwarded to the origin
+        flattened.rawBody = rawBody;
         return flattened;
     }
 
@@ -157,104 +438,278 @@ class EdgeRunner {
        RESPONSE PIPELINE
     ========================================================= */
 
-    async runResponseHook(req, resData) {
-        const request = this._buildRequestRecord(req);
+    /**
+     * Run origin-response and viewer-response functions over an origin result
+     * (or a response generated by a request function, flagged via
+     * `resData.generatedBy`). Mirrors CloudFront's rules:
+     * - responses generated by viewer-request skip all response functions,
+     * - responses generated by origin-request skip origin-response,
+     * - viewer-response does not run for statuses >= 400,
+     * - only origin-response may replace the body (`body` / `bodyEncoding`).
+     *
+     * `context.eventTypes` restricts the stages that run (e.g. only
+     * viewer-response for a cache hit), and `context.origin` is the origin
+     * record reported to origin-response functions.
+     */
+    async runResponseHook(req, resData, context = {}) {
+        const requestId = this._requestId(req);
+        const viewerRequest = buildRequestRecord(req);
+        const originRequest = { ...viewerRequest, origin: this._deepClone(context.origin || this._defaultOrigin()) };
         let response = {
             status: String(resData.status || 200),
-            statusDescription: 'OK',
-            headers: this._normalizeHeaders(resData.headers || {})
+            statusDescription: resData.statusDescription || 'OK',
+            headers: normalizeHeaders(resData.headers || {})
         };
+        let replacedBody = null;
 
-        for (const type of ['origin-response', 'viewer-response']) {
-            for (const mod of this.modules[type]) {
-                const originalHeaders = this._deepClone(response.headers);
+        const types = {
+            'viewer-request': [],
+            'origin-request': ['viewer-response']
+        }[resData.generatedBy] || RESPONSE_EVENTS;
 
-                const result = await this._invoke(mod.handler, { request, response }, type);
-                response = result.response || result;
+        for (const type of types) {
+            if (context.eventTypes && !context.eventTypes.includes(type)) continue;
+            if (type === 'viewer-response' && parseInt(response.status) >= 400) continue;
 
-                if (response.headers) {
-                    this._validateBlacklistedHeaders(originalHeaders, response.headers, type);
+            for (const mod of this.modules[type]) {
+                const request = type === 'origin-response' ? originRequest : viewerRequest;
+                const current = response;
+                response = await this._traced(req, type, mod, current, async () => {
+                    const result = await this._invoke(mod, { request, response: current }, type, requestId);
+                    const next = result?.response || result;
+                    this._validate(next, current, type, mod);
+                    return next;
+                });
 
-                    const normalized = {};
-                    Object.keys(response.headers).forEach(k => {
-                        normalized[k.toLowerCase()] = response.headers[k];
-                    });
-                    response.headers = normalized;
+                if (response.body !== undefined) {
+                    if (type === 'origin-response') {
+                        replacedBody = { body: response.body, bodyEncoding: response.bodyEncoding || 'text' };
+                    } else {
+                        console.warn(`[CloudFrontize] Warning: ${type} cannot modify the response body; change ignored`);
+                    }
+                    delete response.body;
+                    delete response.bodyEncoding;
                 }
             }
         }
 
-        return this._flatten(response);
+        const flattened = this._flatten(response);
+        if (replacedBody) Object.assign(flattened, replacedBody);
+        return flattened;
     }
 
     /* =========================================================
        INVOCATION & HELPERS
     ========================================================= */
 
-    _invoke(handler, record, type) {
+    /**
+     * Invoke a function the way Lambda@Edge does: the handler is aborted with a
+     * LambdaExecutionError when it exceeds its timeout (or, if configured, its
+     * memory size), and any error it raises surfaces as one too.
+     */
+    _invoke(mod, record, type, requestId = this._requestId()) {
+        const timeoutMs = (mod.timeout || this.timeout || DEFAULT_TIMEOUTS[type]) * 1000;
+        const memorySize = mod.memorySize || this.memorySize;
+        const deadline = Date.now() + timeoutMs;
+        const fail = (message, cause) => new EdgeFunctionError('LambdaExecutionError', message, {
+            eventType: type,
+            file: mod.file,
+            cause
+        });
+
         return new Promise((resolve, reject) => {
             const cloned = this._deepClone(record);
+            const config = {
+                distributionDomainName: this.distributionDomainName,
+                distributionId: this.distributionId,
+                eventType: type,
+                requestId
+            };
             const cf = type.includes('response')
-                ? { request: cloned.request, response: cloned.response }
-                : { request: cloned };
+                ? { config, request: cloned.request, response: cloned.response }
+                : { config, request: cloned };
 
             const event = { Records: [{ cf }] };
             const context = {
                 functionName: 'edgeRunner',
-                getRemainingTimeInMillis: () => 3000
+                awsRequestId: crypto.randomUUID(),
+                memoryLimitInMB: String(memorySize || 128),
+                getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now())
+            };
+
+            let settled = false;
+            let sampler = null;
+            let lease = null;
+            let handlerStarted = null;
+            // `stopped`: the runtime was stopped (timeout, memory), so its container goes too
+            const settle = (fn, value, stopped = false) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                clearInterval(sampler);
+                if (lease) this._report(mod, type, lease, handlerStarted, stopped);
+                fn(value);
+            };
+
+            // Approximation: heap growth while the handler runs stands in for
+            // the memory used by the function's container.
+            const heapBaseline = process.memoryUsage().heapUsed;
+            const memoryExceeded = () => {
+                if (!memorySize) return false;
+                const usedMB = (process.memoryUsage().heapUsed - heapBaseline) / 1024 / 1024;
+                if (usedMB <= memorySize) return false;
+                settle(reject, fail(`Runtime exited: memory size of ${memorySize} MB exceeded (${Math.ceil(usedMB)} MB used)`), true);
+                return true;
+            };
+            if (memorySize) sampler = setInterval(memoryExceeded, 10);
+
+            const timedOut = () => fail(`Task timed out after ${(timeoutMs / 1000).toFixed(2)} seconds`);
+            const timer = setTimeout(() => settle(reject, timedOut(), true), timeoutMs);
+
+            const done = (res) => {
+                if (!memoryExceeded()) settle(resolve, res);
+            };
+            const failed = (err) => {
+                settle(reject, err instanceof EdgeFunctionError ? err : fail(err?.message || String(err), err));
             };
 
             try {
-                const result = handler(event, context, (err, res) => {
-                    if (err) reject(err);
-                    else resolve(res);
+                if (mod.containers) {
+                    lease = mod.containers.acquire();
+                    if (!lease) {
+                        settle(reject, new EdgeFunctionError('LambdaLimitExceeded',
+                            `All ${mod.containers.maxContainers} containers are busy`, { eventType: type, file: mod.file }));
+                        return;
+                    }
+                }
+                const instance = lease ? lease.container.instance : mod;
+                handlerStarted = process.hrtime.bigint();
+                const call = () => instance.handler(event, context, (err, res) => {
+                    if (err) failed(err);
+                    else done(res);
                 });
 
+                let result;
+                if (instance.sandbox) {
+                    instance.sandbox.__cloudfrontizeInvoke = call;
+                    result = INVOKE_SCRIPT.runInContext(instance.sandbox, { timeout: timeoutMs });
+                } else {
+                    result = call();
+                }
+
                 if (result && typeof result.then === 'function') {
-                    result.then(resolve).catch(reject);
+                    result.then(done, failed);
                 }
             } catch (e) {
-                reject(e);
+                if (e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') settle(reject, timedOut(), true);
+                else failed(e);
             }
         });
     }
 
-    _buildRequestRecord(req) {
-        const urlObj = new URL(req.url || '/', 'http://localhost');
-        return {
-            method: req.method || 'GET',
-            uri: urlObj.pathname,
-            querystring: urlObj.search.replace(/^\?/, ''),
-            headers: this._normalizeHeaders(req.headers || {})
-        };
+    /**
+     * Give a pooled container back and print Lambda's REPORT line for the
+     * invocation, with the init duration on cold starts. Traced invocations
+     * also record which container ran them.
+     */
+    _report(mod, type, lease, handlerStarted, stopped) {
+        const { container, coldStart, initDurationMs } = lease;
+        mod.containers.release(container, { discard: stopped });
+
+        const durationMs = handlerStarted ? Number(process.hrtime.bigint() - handlerStarted) / 1e6 : 0;
+        const init = coldStart ? ` Init Duration: ${initDurationMs.toFixed(2)} ms` : '';
+        console.log(`[CloudFrontize] REPORT ${type} ${path.basename(mod.file)} container #${container.id} Duration: ${durationMs.toFixed(2)} ms${init}`);
+
+        const entry = tracedInvocation();
+        if (entry) entry.container = { id: container.id, coldStart, initDurationMs: coldStart ? initDurationMs : 0, handlerDurationMs: durationMs };
     }
 
-    _normalizeHeaders(input) {
-        const headers = {};
-        for (const [k, v] of Object.entries(input)) {
-            const val = Array.isArray(v) ? (v[0]?.value ?? v[0]) : (v?.value ?? v);
-            headers[k.toLowerCase()] = [{ key: k, value: String(val) }];
+    /**
+     * Run one function (`invoke`) and, when the viewer request collects a
+     * trace (`req.trace` is an array), record it: event type, file, duration,
+     * the record it received and returned, what it changed, what it logged
+     * and its error.
+     */
+    async _traced(req, type, mod, input, invoke) {
+        if (!Array.isArray(req?.trace)) return invoke();
+
+        const entry = {
+            eventType: type,
+            file: mod.file,
+            durationMs: 0,
+            input: this._deepClone(input),
+            output: null,
+            generated: false,
+            changes: [],
+            logs: [],
+            error: null
+        };
+        req.trace.push(entry);
+        const started = process.hrtime.bigint();
+        try {
+            const output = await traceInvocation(entry, invoke);
+            entry.output = output === undefined ? null : this._deepClone(output);
+            entry.generated = REQUEST_EVENTS.includes(type) && Boolean(output?.status) && !output?.uri;
+            if (!entry.generated) entry.changes = diffRecords(entry.input, entry.output);
+            return output;
+        } catch (e) {
+            entry.error = { errorType: e.errorType || 'Error', message: e.message, errors: e.errors || [] };
+            throw e;
+        } finally {
+            entry.durationMs = Number(process.hrtime.bigint() - started) / 1e6;
         }
-        return headers;
     }
 
-    _validateBlacklistedHeaders(original, final, hook) {
-        const blacklist = ['host', 'via', 'connection'];
+    /**
+     * CloudFront request IDs look like X-Amz-Cf-Id values (56 base64 chars).
+     * Called with the viewer request, the ID is stable across its events.
+     */
+    _requestId(req) {
+        if (req && this.requestIds.has(req)) return this.requestIds.get(req);
+        const id = crypto.randomBytes(40).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+        if (req) this.requestIds.set(req, id);
+        return id;
+    }
 
-        blacklist.forEach(key => {
-            const getVal = (headers) => {
-                if (!headers) return null;
-                const actualKey = Object.keys(headers).find(k => k.toLowerCase() === key);
-                return actualKey ? headers[actualKey][0]?.value : null;
-            };
+    /**
+     * The origin reported when serving from a local directory: an S3 origin,
+     * which is what a static site is usually deployed behind.
+     */
+    _defaultOrigin() {
+        return {
+            s3: {
+                authMethod: 'none',
+                customHeaders: {},
+                domainName: 'cloudfrontize-local.s3.amazonaws.com',
+                path: '',
+                region: this.envVars.AWS_REGION || 'us-east-1'
+            }
+        };
+    }
 
-            const oVal = getVal(original);
-            const fVal = getVal(final);
+    _toBuffer(body) {
+        if (body === undefined || body === null) return Buffer.alloc(0);
+        return Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    }
 
-            if (oVal !== fVal) {
-                console.warn(`[CloudFrontize] Warning: ${hook} modified blacklisted header "${key}"`);
-            }
+    /**
+     * Reject results CloudFront would not accept (502 LambdaValidationError)
+     * and report changes it would silently drop.
+     */
+    _validate(result, original, type, mod) {
+        const { errors, warnings } = validateResult(result, {
+            eventType: type,
+            original,
+            strictHeaders: this.strictHeaders
         });
+        warnings.forEach(w => console.warn(`[CloudFrontize] Warning: ${w}`));
+        if (errors.length) {
+            throw new EdgeFunctionError('LambdaValidationError', 'The Lambda function returned an invalid response', {
+                eventType: type,
+                file: mod.file,
+                errors
+            });
+        }
     }
 
     _flatten(obj) {
@@ -272,6 +727,14 @@ class EdgeRunner {
         return out;
     }
 
+    _pick(obj, fields) {
+        const out = {};
+        fields.forEach(f => {
+            if (obj[f] !== undefined) out[f] = this._deepClone(obj[f]);
+        });
+        return out;
+    }
+
     _deepClone(obj) {
         return JSON.parse(JSON.stringify(obj));
     }
@@ -289,19 +752,52 @@ class EdgeRunner {
             }
         }
 
-        if (this.bakePath && fs.existsSync(this.bakePath)) {
-            this.bakeVars = dotenv.parse(fs.readFileSync(this.bakePath));
+        if (this.bakePath || this.stage) {
+            const { vars, files } = loadBakeProfile(this.bakePath, { stage: this.stage });
+            this.bakeVars = vars;
+            this.bakeFiles = files;
         }
     }
 
     _watch() {
-        [this.edgePath, this.envPath, this.bakePath]
+        // The edge file or directory (which also sees new files), plus the
+        // associated files outside it, e.g. from --hook
+        const inEdgePath = (file) => this.edgePath && (file === this.edgePath || file.startsWith(this.edgePath + path.sep));
+        const associated = (this.functions || []).map(fn => path.resolve(fn.path)).filter(f => !inEdgePath(f));
+        const sources = [this.edgePath, ...new Set(associated)];
+
+        sources
             .filter(Boolean)
             .forEach(t => {
                 if (fs.existsSync(t)) {
-                    this.watchers.push(fs.watch(t, () => this._load()));
+                    this.watchers.push(fs.watch(t, () => this._reload()));
                 }
             });
+
+        // Variable files change what gets baked, so re-read them first
+        [this.envPath, ...this.bakeFiles]
+            .filter(t => t && fs.existsSync(t))
+            .forEach(t => {
+                this.watchers.push(fs.watch(t, () => this._reload(() => this._loadFidelityFiles())));
+            });
+    }
+
+    /**
+     * Reload after a file changed (`refresh` re-reads what must come first). A
+     * reload that fails, e.g. on a syntax error or a chain --strict-events
+     * refuses, is logged and the previous functions keep running.
+     */
+    _reload(refresh = () => {}) {
+        const loaded = this.loaded;
+        const modules = { ...this.modules };
+        try {
+            refresh();
+            this._load();
+        } catch (e) {
+            this.loaded = loaded;
+            Object.assign(this.modules, modules);
+            console.error(`[CloudFrontize] Reload failed, keeping the previous functions: ${e.message}`);
+        }
     }
 
     close() {
@@ -310,4 +806,4 @@ class EdgeRunner {
     }
 }
 
-module.exports = { EdgeRunner };
+module.exports = { EdgeRunner, buildBodyRecord, buildRequestRecord, normalizeHeaders };
@@ -0,0 +1,102 @@
+'use strict';
+
+// How CloudFront answers the viewer when a function fails, by error type
+const ERROR_TYPES = {
+    LambdaExecutionError: {
+        status: 503,
+        message: "The Lambda function associated with the CloudFront distribution is invalid or doesn't have the required permissions."
+    },
+    LambdaValidationError: {
+        status: 502,
+        message: 'The Lambda function returned an invalid response to CloudFront.'
+    },
+    LambdaLimitExceeded: {
+        status: 503,
+        message: 'The Lambda function associated with the CloudFront distribution was throttled.'
+    }
+};
+
+/**
+ * Raised when an edge function fails the way it would at CloudFront
+ * (timeout, memory ceiling, uncaught error, invalid result, throttling). `errorType` is
+ * the value CloudFront reports in X-Cache / its access logs.
+ */
+class EdgeFunctionError extends Error {
+    constructor(errorType, message, details = {}) {
+        super(message, details.cause ? { cause: details.cause } : undefined);
+        this.name = 'EdgeFunctionError';
+        this.errorType = errorType;
+        this.status = ERROR_TYPES[errorType].status;
+        this.eventType = details.eventType;
+        this.file = details.file;
+        // Individual rule violations for LambdaValidationError
+        this.errors = details.errors || [];
+    }
+}
+
+/**
+ * Raised for a viewer request CloudFrontize itself refuses (e.g. a malformed
+ * geo override); answered with a 400 carrying the message.
+ */
+class ViewerRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ViewerRequestError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Build the response CloudFront sends instead of the function result:
+ * { status, statusDescription, headers, body, errorType }.
+ */
+function buildErrorResponse(err) {
+    const { status, message } = ERROR_TYPES[err.errorType];
+    const body = [
+        '<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "http://www.w3.org/TR/html4/loose.dtd">',
+        '<HTML><HEAD><META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=iso-8859-1">',
+        '<TITLE>ERROR: The request could not be satisfied</TITLE>',
+        '</HEAD><BODY>',
+        `<H1>${status} ERROR</H1>`,
+        '<H2>The request could not be satisfied.</H2>',
+        '<HR noshade size="1px">',
+        message,
+        'We can\'t connect to the server for this app or website at this time. There might be too much traffic or a configuration error. Try again later, or contact the app or website owner.',
+        '<BR clear="all">',
+        '<HR noshade size="1px">',
+        '<PRE>',
+        'Generated by cloudfront (CloudFront)',
+        '</PRE>',
+        '<ADDRESS>',
+        '</ADDRESS>',
+        '</BODY></HTML>'
+    ].join('\n');
+
+    return {
+        status,
+        statusDescription: status === 502 ? 'Bad Gateway' : 'Service Unavailable',
+        headers: { 'Content-Type': 'text/html' },
+        body: Buffer.from(body),
+        errorType: err.errorType
+    };
+}
+
+// The stack frames of an error a function raised, down to where the runner called it
+function functionFrames(cause) {
+    const frames = String(cause?.stack || '').split('\n').map(l => l.trim()).filter(l => l.startsWith('at '));
+    const end = frames.findIndex(f => f.includes('node:') || f.includes('evalmachine.<anonymous>') || f.includes(__dirname));
+    return end < 0 ? frames : frames.slice(0, end);
+}
+
+/**
+ * Terminal diagnostic for a failed function (CloudFront only shows the error
+ * page; the details live in the function's CloudWatch logs).
+ */
+function logEdgeFunctionError(err, url) {
+    const where = [err.eventType, err.file].filter(Boolean).join(' ');
+    console.error(`[CloudFrontize] ${err.errorType} (${err.status}) for ${url}${where ? ` in ${where}` : ''}: ${err.message}`);
+    err.errors.forEach(e => console.error(`   - ${e}`));
+    functionFrames(err.cause).forEach(f => console.error(`     ${f}`));
+}
+
+module.exports = { EdgeFunctionError, ViewerRequestError, buildErrorResponse, logEdgeFunctionError };
@@ -0,0 +1,203 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SourceMap } = require('module');
+const { pathToFileURL } = require('url');
+
+// Files the runner loads as functions (type declarations aside)
+const FUNCTION_FILE = /^(?!.*\.d\.[cm]?ts$).*\.(js|mjs|ts|mts)$/;
+
+// Entry points evaluated as ES modules; TypeScript is transpiled on the way
+const MODULE_FILE = /\.(mjs|ts|mts)$/;
+
+const LOADERS = { '.js': 'js', '.mjs': 'js', '.ts': 'ts', '.mts': 'ts' };
+
+// Global through which a compiled module reaches import.meta
+const MODULE_GLOBAL = '__cloudfrontizeModule';
+
+// How esbuild refuses a module with top-level await in the "cjs" format
+const TOP_LEVEL_AWAIT = /^Top-level await is currently not supported/;
+
+// The script prefix, kept on the first line so only its columns shift. Only a
+// CommonJS entry point sees `exports` and `module`: ESM code has them defined away
+const PREFIX = '(function (exports, module) {';
+
+// esbuild compiles ES module / TypeScript functions and `bake --bundle`
+function loadEsbuild(purpose = '--bundle') {
+    try {
+        return require('esbuild');
+    } catch (e) {
+        throw new Error(`${purpose} needs esbuild: run "npm install esbuild"`);
+    }
+}
+
+function isFunctionFile(file) {
+    return FUNCTION_FILE.test(file);
+}
+
+// The "type" of the package.json nearest to `dir`
+function packageType(dir) {
+    const manifest = path.join(dir, 'package.json');
+    if (fs.existsSync(manifest)) {
+        try {
+            return JSON.parse(fs.readFileSync(manifest, 'utf8')).type || 'commonjs';
+        } catch (e) {
+            return 'commonjs';
+        }
+    }
+    const parent = path.dirname(dir);
+    return parent === dir ? 'commonjs' : packageType(parent);
+}
+
+/** Whether Lambda's Node.js runtime loads `file` as an ES module. */
+function isModuleFile(file) {
+    return MODULE_FILE.test(file) || (file.endsWith('.js') && packageType(path.dirname(file)) === 'module');
+}
+
+/**
+ * Entry point for a module with top-level await, which esbuild only compiles
+ * behind a lowered import(). The namespace then only reaches the `then`
+ * callback esbuild attaches to the module's initialization; catching that
+ * callback gives the exports while top-level await is still pending, as an
+ * ES module's own importers see them (`hookType` and the like).
+ */
+function lazyEntry(filePath) {
+    return `
+        const { then } = Promise.prototype;
+        let namespaceOf;
+        Promise.prototype.then = function (onFulfilled, onRejected) {
+            namespaceOf = onFulfilled;
+            return then.call(this, onFulfilled, onRejected);
+        };
+        let ready;
+        try {
+            ready = import(${JSON.stringify(filePath)});
+        } finally {
+            Promise.prototype.then = then;
+        }
+        export const namespace = namespaceOf();
+        export { ready };
+    `;
+}
+
+/**
+ * Compile the ES module or TypeScript function `filePath` (`code` being its
+ * possibly baked source) with the local files it imports into a CommonJS
+ * script, ready for `evaluateModule`. esbuild does the conversion; packages
+ * and built-ins stay outside the bundle, so the sandbox resolves them like a
+ * `require`. The script then goes through `transform(code, file)`, e.g. to
+ * bake the local files.
+ */
+function compileModule(filePath, code, transform = (source) => source) {
+    const esbuild = loadEsbuild(path.basename(filePath));
+    const dir = path.dirname(filePath);
+    const options = {
+        bundle: true,
+        format: 'cjs',
+        platform: 'node',
+        target: 'node20',
+        packages: 'external',
+        // import() of a package becomes a require the sandbox can answer
+        supported: { 'dynamic-import': false },
+        // An ES module has no CommonJS scope of its own
+        define: { 'import.meta': `${MODULE_GLOBAL}.meta`, module: 'undefined', exports: 'undefined' },
+        sourcemap: 'external',
+        // Never written; source map paths are relative to it
+        outfile: path.join(dir, `${path.basename(filePath)}.js`),
+        write: false,
+        logLevel: 'silent'
+    };
+
+    let build;
+    let topLevelAwait = false;
+    try {
+        build = esbuild.buildSync({
+            ...options,
+            stdin: { contents: code, sourcefile: path.basename(filePath), resolveDir: dir, loader: LOADERS[path.extname(filePath)] }
+        });
+    } catch (e) {
+        if (!e.errors?.some(error => TOP_LEVEL_AWAIT.test(error.text))) throw e;
+        // Lowered to ESM first, then to CommonJS; the inline source map chains
+        // both. The file is read again, so `transform` bakes it with the rest
+        topLevelAwait = true;
+        const lowered = esbuild.buildSync({
+            ...options,
+            format: 'esm',
+            sourcemap: 'inline',
+            stdin: { contents: lazyEntry(filePath), sourcefile: 'cloudfrontize-entry.js', resolveDir: dir }
+        });
+        build = esbuild.buildSync({
+            ...options,
+            stdin: { contents: lowered.outputFiles[0].text, sourcefile: path.basename(options.outfile), resolveDir: dir }
+        });
+    }
+
+    const map = build.outputFiles.find(f => f.path.endsWith('.map'));
+    const script = build.outputFiles.find(f => f !== map);
+    return {
+        code: `${PREFIX}${transform(script.text, filePath)}\n})`,
+        columnOffset: PREFIX.length,
+        sourceMap: new SourceMap(JSON.parse(map.text)),
+        topLevelAwait
+    };
+}
+
+/**
+ * Make stack traces of errors raised in `context` point at the original
+ * files (TypeScript included) rather than the compiled bundle.
+ */
+function mapStackTraces(context, filePath, { sourceMap, columnOffset }) {
+    const dir = path.dirname(filePath);
+    const locate = (frame) => {
+        const line = frame.getLineNumber();
+        const column = frame.getColumnNumber();
+        const entry = sourceMap.findEntry(line - 1, column - 1 - (line === 1 ? columnOffset : 0));
+        if (!entry || !entry.originalSource) return String(frame);
+        const original = `${path.resolve(dir, entry.originalSource)}:${entry.originalLine + 1}:${entry.originalColumn + 1}`;
+        return String(frame).replace(`${filePath}:${line}:${column}`, original);
+    };
+
+    vm.runInContext('Error', context).prepareStackTrace = (error, frames) => {
+        let header;
+        try {
+            header = Error.prototype.toString.call(error);
+        } catch (e) {
+            header = 'Error';
+        }
+        return [header, ...frames.map(f => `    at ${f.getFileName() === filePath ? locate(f) : f}`)].join('\n');
+    };
+}
+
+/**
+ * Evaluate a compiled module (see `compileModule`) in the sandbox `context`.
+ * Returns { exports, handler }: `exports` is the module namespace and
+ * `handler` its `handlerName` export. While
+ * top-level await is pending, `handler` waits for the module to finish
+ * initializing, as Lambda does before the first invocation; a failed
+ * initialization fails the invocations.
+ */
+function evaluateModule(filePath, compiled, context, handlerName = 'handler') {
+    context[MODULE_GLOBAL] = {
+        meta: { url: pathToFileURL(filePath).href, filename: filePath, dirname: path.dirname(filePath) }
+    };
+    mapStackTraces(context, filePath, compiled);
+    const module = { exports: {} };
+    new vm.Script(compiled.code, { filename: filePath }).runInContext(context)(module.exports, module);
+    if (!compiled.topLevelAwait) return { exports: module.exports, handler: module.exports[handlerName] };
+
+    const { namespace, ready } = module.exports;
+    ready.catch(() => {});
+    const handler = (event, lambdaContext, callback) => ready.then(() => {
+        if (typeof namespace[handlerName] !== 'function') {
+            throw new Error(`${path.basename(filePath)} has no "${handlerName}" export`);
+        }
+        const result = namespace[handlerName](event, lambdaContext, callback);
+        // A callback-style handler answers through `callback` only
+        return result && typeof result.then === 'function' ? result : new Promise(() => {});
+    });
+    return { exports: namespace, handler };
+}
+
+module.exports = { compileModule, evaluateModule, isFunctionFile, isModuleFile, loadEsbuild };
@@ -0,0 +1,258 @@
+'use strict';
+
+const { buildBodyRecord, buildRequestRecord, normalizeHeaders } = require('./edgeRunner');
+const { toFunctionEvent } = require('./cloudfrontFunctions');
+const { parseOriginUrl } = require('./origin');
+
+// Values from the example events in the Lambda@Edge documentation
+const EXAMPLE_CONFIG = {
+    distributionDomainName: 'd111111abcdef8.cloudfront.net',
+    distributionId: 'EDFDVBD6EXAMPLE',
+    requestId: '4TyzHTaYWb1GX1qTfsHhEqV6HUDd_BzoBZnwfnvQc_1oF26ClkoUSEQ=='
+};
+const EXAMPLE_CLIENT_IP = '203.0.113.178';
+
+const VIEWER_HEADERS = {
+    Host: 'd111111abcdef8.cloudfront.net',
+    'User-Agent': 'curl/7.66.0',
+    accept: '*/*'
+};
+
+// What reaches origin-request functions: CloudFront's own Via/X-Forwarded-For
+const ORIGIN_HEADERS = {
+    'X-Forwarded-For': '203.0.113.178',
+    'User-Agent': 'Amazon CloudFront',
+    Via: '2.0 2afae0d44e2540f472c0635ab62c232b.cloudfront.net (CloudFront)',
+    Host: 'example.org',
+    'Cache-Control': 'no-cache'
+};
+
+const EXAMPLE_ORIGIN = {
+    custom: {
+        customHeaders: {},
+        domainName: 'example.org',
+        keepaliveTimeout: 5,
+        path: '',
+        port: 443,
+        protocol: 'https',
+        readTimeout: 30,
+        sslProtocols: ['TLSv1', 'TLSv1.1', 'TLSv1.2']
+    }
+};
+
+const RESPONSE_HEADERS = {
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Origin': '*',
+    Date: 'Mon, 13 Jan 2020 20:12:38 GMT',
+    'Referrer-Policy': 'no-referrer-when-downgrade',
+    Server: 'ExampleCustomOriginServer',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'X-XSS-Protection': '1; mode=block',
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Length': '9593'
+};
+
+const VIEWER_RESPONSE_HEADERS = {
+    ...RESPONSE_HEADERS,
+    Date: 'Mon, 13 Jan 2020 20:14:56 GMT',
+    Age: '2402'
+};
+
+// Set `name` in a { Name: value | [values] } map, replacing any other casing of it
+function setHeader(headers, name, value) {
+    for (const key of Object.keys(headers)) {
+        if (key.toLowerCase() === name.toLowerCase()) delete headers[key];
+    }
+    if (value !== undefined) headers[name] = Array.isArray(value) ? value.map(String) : String(value);
+}
+
+/**
+ * Fluent builder for a Lambda@Edge event. It starts from the documented
+ * example for its event type; every helper returns the builder, and
+ * `build()` returns a fresh `{ Records: [{ cf }] }` event. The request record
+ * goes through the same normalization as the live pipeline.
+ */
+class EventBuilder {
+    constructor(eventType) {
+        this.eventType = eventType;
+        this._config = { ...EXAMPLE_CONFIG };
+        this._method = 'GET';
+        this._uri = '/';
+        this._querystring = '';
+        this._clientIp = EXAMPLE_CLIENT_IP;
+        this._headers = { ...(eventType.startsWith('origin-') ? ORIGIN_HEADERS : VIEWER_HEADERS) };
+        this._body = null;
+        this._origin = eventType.startsWith('origin-') ? JSON.parse(JSON.stringify(EXAMPLE_ORIGIN)) : null;
+        this._response = eventType.endsWith('-response')
+            ? {
+                status: '200',
+                statusDescription: 'OK',
+                headers: { ...(eventType === 'viewer-response' ? VIEWER_RESPONSE_HEADERS : RESPONSE_HEADERS) }
+            }
+            : null;
+    }
+
+    config(overrides) {
+        Object.assign(this._config, overrides);
+        return this;
+    }
+
+    requestId(id) {
+        return this.config({ requestId: id });
+    }
+
+    clientIp(ip) {
+        this._clientIp = ip;
+        return this;
+    }
+
+    method(method) {
+        this._method = method.toUpperCase();
+        return this;
+    }
+
+    uri(uri) {
+        this._uri = uri;
+        return this;
+    }
+
+    /** Set the uri and query string from a URL path such as `/a?b=1`. */
+    url(url) {
+        const [uri, querystring = ''] = url.split('?');
+        this._uri = uri || '/';
+        this._querystring = querystring;
+        return this;
+    }
+
+    querystring(querystring) {
+        this._querystring = querystring.replace(/^\?/, '');
+        return this;
+    }
+
+    /** Append a query string parameter (encoded). */
+    query(name, value = '') {
+        const pair = value === '' ? encodeURIComponent(name) : `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+        this._querystring = this._querystring ? `${this._querystring}&${pair}` : pair;
+        return this;
+    }
+
+    header(name, value) {
+        setHeader(this._headers, name, value);
+        return this;
+    }
+
+    headers(map) {
+        Object.entries(map || {}).forEach(([name, value]) => this.header(name, value));
+        return this;
+    }
+
+    removeHeader(name) {
+        return this.header(name, undefined);
+    }
+
+    /** Add a cookie to the Cookie header. */
+    cookie(name, value) {
+        const key = Object.keys(this._headers).find(k => k.toLowerCase() === 'cookie');
+        const pair = `${name}=${value}`;
+        return this.header(key || 'Cookie', key ? `${this._headers[key]}; ${pair}` : pair);
+    }
+
+    /**
+     * Attach a request body as functions with "include body" see it. `data`
+     * is a string or Buffer (with `encoding: 'base64'`, a base64 string).
+     */
+    body(data, { encoding = 'text' } = {}) {
+        if (Buffer.isBuffer(data)) this._body = data;
+        else if (typeof data === 'string') this._body = Buffer.from(data, encoding === 'base64' ? 'base64' : 'utf8');
+        else this._body = Buffer.from(JSON.stringify(data));
+        return this;
+    }
+
+    /**
+     * Set the origin: a URL such as `https://api.example.com/v1` (a custom
+     * origin), or a full `{ custom }` / `{ s3 }` record.
+     */
+    origin(origin, customHeaders = {}) {
+        this._origin = typeof origin === 'string' ? parseOriginUrl(origin, customHeaders) : JSON.parse(JSON.stringify(origin));
+        return this;
+    }
+
+    status(status, statusDescription) {
+        this._ensureResponse();
+        this._response.status = String(status);
+        if (statusDescription !== undefined) this._response.statusDescription = statusDescription;
+        return this;
+    }
+
+    responseHeader(name, value) {
+        this._ensureResponse();
+        setHeader(this._response.headers, name, value);
+        return this;
+    }
+
+    responseHeaders(map) {
+        Object.entries(map || {}).forEach(([name, value]) => this.responseHeader(name, value));
+        return this;
+    }
+
+    build() {
+        const request = buildRequestRecord({
+            method: this._method,
+            url: this._querystring ? `${this._uri}?${this._querystring}` : this._uri,
+            headers: this._headers,
+            socket: { remoteAddress: this._clientIp }
+        });
+        // Keep the query string as given (URL parsing would re-encode it)
+        request.querystring = this._querystring;
+
+        if (this._origin && this.eventType !== 'viewer-response') request.origin = JSON.parse(JSON.stringify(this._origin));
+        if (this._body && this.eventType.endsWith('-request')) request.body = buildBodyRecord(this._body, this.eventType);
+
+        const cf = { config: { ...this._config, eventType: this.eventType }, request };
+        if (this._response) {
+            cf.response = {
+                status: this._response.status,
+                statusDescription: this._response.statusDescription,
+                headers: normalizeHeaders(this._response.headers)
+            };
+        }
+        return { Records: [{ cf }] };
+    }
+
+    _ensureResponse() {
+        if (!this._response) throw new Error(`${this.eventType} events have no response`);
+    }
+}
+
+/**
+ * Builder for a CloudFront Functions event (viewer-request or
+ * viewer-response): the same helpers, converted by `build()` into the
+ * `{ version, context, viewer, request, response }` shape.
+ */
+class FunctionEventBuilder extends EventBuilder {
+    build() {
+        return toFunctionEvent(super.build(), this.eventType);
+    }
+}
+
+const viewerRequestEvent = () => new EventBuilder('viewer-request');
+const originRequestEvent = () => new EventBuilder('origin-request');
+const originResponseEvent = () => new EventBuilder('origin-response');
+const viewerResponseEvent = () => new EventBuilder('viewer-response');
+
+function cloudFrontFunctionEvent(eventType = 'viewer-request') {
+    if (!['viewer-request', 'viewer-response'].includes(eventType)) {
+        throw new Error(`CloudFront Functions only run on viewer events, "${eventType}" given`);
+    }
+    return new FunctionEventBuilder(eventType);
+}
+
+module.exports = {
+    EventBuilder,
+    cloudFrontFunctionEvent,
+    originRequestEvent,
+    originResponseEvent,
+    viewerRequestEvent,
+    viewerResponseEvent
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const EVENT_TYPES = ['viewer-request', 'origin-request', 'origin-response', 'viewer-response'];
+
+// Extensions tried for the file part of a "file.exportName" handler
+const HANDLER_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts'];
+
+// Function associations for an edge directory, read from the directory itself
+const MANIFEST_FILES = ['cloudfrontize.json', 'cloudfrontize.yaml', 'cloudfrontize.yml'];
+
+const isFile = (file) => fs.existsSync(file) && fs.statSync(file).isFile();
+
+/**
+ * Resolve a handler the way Lambda names one: a file (`./edge/auth.js`) or a
+ * file without its extension plus an export name (`./edge/index.viewerRequest`).
+ * Returns { path, handler }, `handler` being undefined for the default export
+ * name (`handler`).
+ */
+function resolveHandlerSpec(spec, baseDir = process.cwd()) {
+    const target = path.resolve(baseDir, spec);
+    if (isFile(target)) return { path: target, handler: undefined };
+
+    const named = target.match(/^(.+)\.([A-Za-z_$][\w$]*)$/);
+    if (named) {
+        const file = [named[1], ...HANDLER_EXTENSIONS.map(ext => named[1] + ext)].find(isFile);
+        if (file) return { path: file, handler: named[2] };
+    }
+    throw new Error(`Cannot find function "${spec}"`);
+}
+
+/**
+ * Turn a `functions` mapping ({ 'viewer-request': './auth.js',
+ * 'origin-response': { path: './index.originResponse', includeBody, ... } }),
+ * as found in a behavior or a manifest, into associations for EdgeRunner.
+ * A list of functions for one event declares a chain, run in list order;
+ * `enabled: false` loads a function without running it. `where` names the
+ * mapping in errors.
+ */
+function parseAssociations(functions, baseDir, where) {
+    return Object.entries(functions || {}).flatMap(([eventType, fns]) => {
+        if (!EVENT_TYPES.includes(eventType)) {
+            throw new Error(`${where} has unknown event type "${eventType}"`);
+        }
+        return [].concat(fns).map(fn => {
+            const assoc = typeof fn === 'string' ? { path: fn } : fn;
+            const resolved = resolveHandlerSpec(assoc.path, baseDir);
+            return {
+                eventType,
+                path: resolved.path,
+                handler: assoc.handler || resolved.handler,
+                includeBody: assoc.includeBody,
+                runtime: assoc.runtime,
+                kvs: assoc.kvs ? path.resolve(baseDir, assoc.kvs) : undefined,
+                timeout: assoc.timeout,
+                memorySize: assoc.memorySize,
+                enabled: assoc.enabled
+            };
+        });
+    });
+}
+
+/** A `--hook viewer-request=./auth.js` value as an association. */
+function parseHookFlag(value, baseDir = process.cwd()) {
+    const idx = value.indexOf('=');
+    const eventType = value.slice(0, idx).trim();
+    if (idx < 1 || !EVENT_TYPES.includes(eventType)) {
+        throw new Error(`Invalid --hook "${value}". Expected "<event-type>=<file>[.<export>]", e.g. viewer-request=./auth.js`);
+    }
+    const { path: file, handler } = resolveHandlerSpec(value.slice(idx + 1).trim(), baseDir);
+    return { eventType, path: file, handler };
+}
+
+/**
+ * The associations of an edge directory's manifest (cloudfrontize.json or
+ * .yaml: `{ functions: { <event-type>: <file>[.<export>] | { path, ... } | [...] } }`),
+ * or [] without one.
+ */
+function loadManifest(dir) {
+    const file = MANIFEST_FILES.map(f => path.join(dir, f)).find(isFile);
+    if (!file) return [];
+    const raw = fs.readFileSync(file, 'utf8');
+    const manifest = file.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+    return parseAssociations(manifest?.functions, dir, path.basename(file));
+}
+
+/**
+ * The event type a file name stands for: `viewer-request.js` or
+ * `auth.viewer-request.ts`. Null for any other name.
+ */
+function eventTypeFromFileName(file) {
+    const name = path.basename(file).replace(/\.[^.]+$/, '');
+    return EVENT_TYPES.find(t => name === t || name.endsWith(`.${t}`)) || null;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    eventTypeFromFileName,
+    loadManifest,
+    parseAssociations,
+    parseHookFlag,
+    resolveHandlerSpec
+};
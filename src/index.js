@@ -1,34 +1,75 @@
 'use strict';
 
 const http = require('http');
-const handler = require('serve-handler');
 const compression = require('compression');
 const fs = require('fs');
 const path = require('path');
+const {
+    CapturedResponse,
+    createViewerRequest,
+    fetchFromDirectory,
+    fetchFromCustomOrigin,
+    toCloudFrontHeaders,
+    toNodeHeaders
+} = require('./origin');
+const { EdgeCache } = require('./cache');
+const { EdgeFunctionError, ViewerRequestError, buildErrorResponse, logEdgeFunctionError } = require('./errors');
+const { applyCloudFrontHeaders } = require('./viewerHeaders');
+const { applyOriginRequestPolicy } = require('./policies');
+const { formatTrace, toTraceLine } = require('./trace');
+const { INSPECTOR_PATH, Inspector } = require('./inspector');
 
 /**
- * Patch res.writeHead so we can inject extra headers from a response hook
- * before they are sent to the client.
+ * Decode the body of a Lambda-generated response. `bodyEncoding: 'base64'`
+ * carries binary payloads; anything else is treated as UTF-8 text.
  */
-function patchResponseHeaders(res) {
-    const original = res.writeHead.bind(res);
-
-    res.writeHead = function (statusCode, statusMessage, headers) {
-        if (typeof statusMessage === 'object' && !Array.isArray(statusMessage)) {
-            headers = statusMessage;
-            statusMessage = undefined;
-        }
-        headers = headers || {};
+function toBodyBuffer(body, bodyEncoding) {
+    if (body === undefined || body === null) return Buffer.alloc(0);
+    return Buffer.from(String(body), bodyEncoding === 'base64' ? 'base64' : 'utf8');
+}
 
-        // Apply headers set via res.setHeader previously in the hook
-        return statusMessage !== undefined
-            ? original(statusCode, statusMessage, headers)
-            : original(statusCode, headers);
-    };
+/**
+ * Buffer the incoming request body. CloudFront receives the whole request
+ * before it invokes viewer-request functions, so we do the same. A viewer
+ * that disconnects mid-upload rejects with `viewerAborted` set.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const abort = (err) => reject(Object.assign(new Error(`Viewer aborted the request: ${err?.message || 'aborted'}`), { viewerAborted: true }));
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('aborted', abort);
+        req.on('error', abort);
+    });
 }
 
-function startServer(options) {
-    const { edgeRunner } = options;
+/**
+ * Build the CloudFront pipeline as a plain `(req, res) => Promise` handler, so
+ * it can run behind an http server or in-process (see src/testing.js).
+ * `handler.close()` releases the functions' file watchers.
+ *
+ * When `req.trace` is an array, every function invocation is recorded in it
+ * (see EdgeRunner._traced). With `options.inspect`, the requests' traces are
+ * kept for the dashboard served under INSPECTOR_PATH (see src/inspector.js).
+ */
+function createRequestHandler(options) {
+    const { distribution } = options;
+
+    // Without a distribution config every request goes through a single
+    // catch-all behavior built from the CLI flags (all methods allowed).
+    const defaultBehavior = {
+        pathPattern: '*',
+        allowedMethods: null,
+        directory: options.directory,
+        origin: options.origin || null,
+        edgeRunner: options.edgeRunner || null,
+        originRequestPolicy: options.originRequestPolicy || null,
+        cachePolicy: options.cachePolicy || null,
+        cache: options.cachePolicy || options.cache
+            ? new EdgeCache(options.cachePolicy || (typeof options.cache === 'object' ? options.cache : {}))
+            : null
+    };
 
     // Standard compression config (threshold logic moved to pre-flight check)
     const compressMiddleware = compression({
@@ -39,101 +80,348 @@ function startServer(options) {
         }
     });
 
-    const server = http.createServer(async (req, res) => {
+    // --trace prints each request's function tree; --trace-file appends it as JSON lines
+    const inspector = options.inspect ? new Inspector() : null;
+    const tracing = Boolean(options.trace || options.traceFile || inspector);
+
+    // What the inspector lists and toggles: each behavior's functions
+    const runners = () => (distribution ? distribution.behaviors : [defaultBehavior])
+        .filter(b => b.edgeRunner)
+        .map(b => ({ behavior: b.pathPattern, runner: b.edgeRunner }));
+
+    const processRequest = async (req, res) => {
+        if (inspector && inspector.isInspectorRequest(req)) {
+            await inspector.handle(req, res, { replay, runners: runners() });
+            return;
+        }
+
+        const started = process.hrtime.bigint();
+        const viewerUrl = req.url;
+        if (tracing && !Array.isArray(req.trace)) req.trace = [];
+
+        // The request as the viewer sent it, for replays from the inspector
+        const viewer = inspector && {
+            method: req.method,
+            url: req.url,
+            headers: Object.fromEntries((req.rawHeaders || []).flatMap((v, i, all) => (i % 2 ? [] : [[v, all[i + 1]]]))),
+            clientIp: (req.socket?.remoteAddress || '127.0.0.1').replace(/^::ffff:/, ''),
+            body: null
+        };
+
         const acceptEncoding = req.headers['accept-encoding'] || '';
+        let precompressed = null;
+        let generated = null;
+        let forwarded = null;
 
-        // === 1. REQUEST HOOKS ===
-        if (edgeRunner) {
-            const hookResult = await edgeRunner.runRequestHook(req);
-
-            if (hookResult) {
-                // Handle Lambda-generated responses (e.g., 302 redirects or 403s)
-                if (hookResult.status) {
-                    const status = parseInt(hookResult.status) || 200;
-                    const outHeaders = {};
-                    for (const [key, values] of Object.entries(hookResult.headers || {})) {
-                        if (Array.isArray(values) && values.length > 0) {
-                            outHeaders[key] = values[0].value;
-                        }
-                    }
-                    res.writeHead(status, outHeaders);
-                    res.end();
-                    return;
+        // === 0. CACHE BEHAVIOR SELECTION (on the viewer URI, before any function) ===
+        const behavior = distribution ? distribution.match(req.url) : defaultBehavior;
+        const { edgeRunner, cache } = behavior;
+
+        if (behavior.allowedMethods && !behavior.allowedMethods.includes(req.method)) {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end('This distribution is not configured to allow the HTTP request method that was used for this request.');
+            return;
+        }
+
+        // Whether an origin record is fetched over the network rather than served
+        // from the behavior's directory: a custom origin always is, an S3 one
+        // only when there is no directory standing in for the bucket
+        const isProxied = (origin) => Boolean(origin && (origin.custom || !behavior.directory));
+
+        // Turn a request hook result into a generated response, or apply its rewrites
+        const applyRequestResult = (hookResult) => {
+            if (!hookResult) return;
+
+            // Handle Lambda-generated responses (e.g., 302 redirects or 403s)
+            if (hookResult.status) {
+                const status = parseInt(hookResult.status) || 200;
+                generated = {
+                    status,
+                    statusDescription: hookResult.statusDescription || http.STATUS_CODES[status] || '',
+                    headers: toNodeHeaders(hookResult.headers),
+                    body: toBodyBuffer(hookResult.body, hookResult.bodyEncoding),
+                    generatedBy: hookResult.type
+                };
+                if (options.debug) {
+                    console.log(`[CloudFrontize] ${hookResult.type}: generated ${status} response for ${req.url}`);
                 }
+                return;
+            }
 
-                // Handle URI Rewrites
-                if (hookResult.url && hookResult.url !== req.url) {
-                    if (options.debug) {
-                        console.log(`[CloudFrontize] ${hookResult.type || 'request-hook'}: ${req.url} -> ${hookResult.url}`);
-                    }
+            // Forward the (possibly replaced) request body and record to the origin
+            req.body = hookResult.rawBody;
+            forwarded = hookResult;
 
-                    if (hookResult.type === 'origin-request') {
-                        const fullPath = path.join(options.directory, hookResult.url);
-                        if (fs.existsSync(fullPath)) {
-                            req.url = hookResult.url;
-                            // Native AWS fidelity for pre-compressed assets
-                            if (hookResult.url.endsWith('.br') && acceptEncoding.includes('br')) {
-                                res.setHeader('Content-Encoding', 'br');
-                                const base = hookResult.url.replace(/\.br$/, '');
-                                res.setHeader('Content-Type', base.endsWith('.js') ? 'application/javascript' : 'text/css');
-                            } else if (hookResult.url.endsWith('.gz') && acceptEncoding.includes('gzip')) {
-                                res.setHeader('Content-Encoding', 'gzip');
-                                const base = hookResult.url.replace(/\.gz$/, '');
-                                res.setHeader('Content-Type', base.endsWith('.js') ? 'application/javascript' : 'text/css');
-                            }
-                        }
-                    } else {
+            // Handle URI Rewrites
+            if (hookResult.url && hookResult.url !== req.url) {
+                if (options.debug) {
+                    console.log(`[CloudFrontize] ${hookResult.type || 'request-hook'}: ${req.url} -> ${hookResult.url}`);
+                }
+
+                if (hookResult.type === 'origin-request' && !isProxied(hookResult.origin || behavior.origin)) {
+                    const fullPath = path.join(behavior.directory, hookResult.url);
+                    if (fs.existsSync(fullPath)) {
                         req.url = hookResult.url;
+                        // Native AWS fidelity for pre-compressed assets
+                        if (hookResult.url.endsWith('.br') && acceptEncoding.includes('br')) {
+                            precompressed = { encoding: 'br', base: hookResult.url.replace(/\.br$/, '') };
+                        } else if (hookResult.url.endsWith('.gz') && acceptEncoding.includes('gzip')) {
+                            precompressed = { encoding: 'gzip', base: hookResult.url.replace(/\.gz$/, '') };
+                        }
                     }
+                } else {
+                    req.url = hookResult.url;
                 }
             }
-        }
+        };
+
+        // Run one response stage and convert the result back to { status, headers, body }
+        const runResponseStage = async (current, eventType) => {
+            if (!edgeRunner || !edgeRunner.modules[eventType].length) return current;
+
+            const hookResponse = await edgeRunner.runResponseHook(req, current, {
+                eventTypes: [eventType],
+                // The origin as the origin-request functions left it
+                origin: forwarded?.origin || behavior.origin
+            });
+            const next = {
+                status: parseInt(hookResponse.status) || current.status,
+                statusDescription: hookResponse.statusDescription,
+                headers: toNodeHeaders(hookResponse.headers),
+                // Only origin-response functions may replace the body (see EdgeRunner.runResponseHook)
+                body: hookResponse.body !== undefined
+                    ? toBodyBuffer(hookResponse.body, hookResponse.bodyEncoding)
+                    : current.body,
+                generatedBy: current.generatedBy
+            };
+
+            // The origin's Content-Length no longer describes a replaced body
+            if (hookResponse.body !== undefined) {
+                for (const k of Object.keys(next.headers)) {
+                    if (k.toLowerCase() === 'content-length') delete next.headers[k];
+                }
+            }
+            return next;
+        };
+
+        // A failing function (timeout, memory, uncaught error) replaces the whole
+        // response with CloudFront's error page
+        let response;
+        let failure = null;
+        let cacheKey = null;
+        let cached = null;
+        try {
+            req.body = await readBody(req);
+            if (viewer && req.body.length) viewer.body = req.body;
+
+            // CloudFront-Viewer-* / device headers, as far as the behavior forwards them
+            applyCloudFrontHeaders(req, {
+                policies: [behavior.originRequestPolicy, behavior.cachePolicy],
+                geo: (distribution && distribution.geo) || options.geo
+            });
+
+            // === 1. VIEWER REQUEST ===
+            if (edgeRunner) {
+                applyRequestResult(await edgeRunner.runRequestHook(req, { eventTypes: ['viewer-request'] }));
+            }
 
-        // === 2. RESPONSE HOOK SETUP ===
-        if (edgeRunner && (edgeRunner.modules['origin-response'] || edgeRunner.modules['viewer-response'])) {
-            const mockResponseData = { status: 200, headers: {} };
-            const hookResponse = await edgeRunner.runResponseHook(req, mockResponseData);
-            if (hookResponse && hookResponse.headers) {
-                for (const [k, values] of Object.entries(hookResponse.headers)) {
-                    if (values && values[0]) {
-                        res.setHeader(k, values[0].value);
+            // === 2. EDGE CACHE LOOKUP (the key is computed after viewer-request) ===
+            if (!generated && cache && cache.isCacheableMethod(req.method)) {
+                const [uri, querystring = ''] = req.url.split('?');
+                cacheKey = cache.buildKey(forwarded || { uri, querystring, headers: req.headers });
+                cached = cache.get(cacheKey);
+                if (options.debug) {
+                    console.log(`[CloudFrontize] cache ${cached ? `HIT (age ${cached.age}s)` : 'MISS'}: ${req.url}`);
+                }
+            }
+
+            // === 3. ORIGIN REQUEST POLICY: only the cache key and policy items go further ===
+            if (!generated && !cached && (behavior.cachePolicy || behavior.originRequestPolicy)) {
+                const [uri, querystring = ''] = req.url.split('?');
+                const viewerRecord = forwarded || {
+                    method: req.method,
+                    uri,
+                    querystring,
+                    headers: toCloudFrontHeaders(req.headers),
+                    rawBody: req.body
+                };
+                const { request: filtered, dropped } = applyOriginRequestPolicy(viewerRecord, behavior);
+                forwarded = {
+                    ...filtered,
+                    url: filtered.querystring ? `${filtered.uri}?${filtered.querystring}` : filtered.uri
+                };
+
+                if (options.debug) {
+                    for (const [kind, names] of Object.entries(dropped)) {
+                        if (names.length) console.log(`[CloudFrontize] policy: not forwarding ${kind} ${names.join(', ')} for ${req.url}`);
                     }
                 }
             }
-        }
 
-        // === 3. STATIC FILE SERVING & COMPRESSION PRE-FLIGHT ===
-        const runHandler = () => handler(req, res, {
-            public: options.directory,
-            cleanUrls: true,
-            rewrites: options.single ? [{ source: '**', destination: '/index.html' }] : [],
-            etag: !options.noEtag,
-            headers: options.cors ? [{ source: '**/*', headers: [{ key: 'Access-Control-Allow-Origin', value: '*' }] }] : []
-        });
+            // === 4. ORIGIN REQUEST (cache misses only) ===
+            if (edgeRunner && !generated && !cached) {
+                applyRequestResult(await edgeRunner.runRequestHook(req, {
+                    eventTypes: ['origin-request'],
+                    request: forwarded,
+                    origin: behavior.origin
+                }));
+            }
 
-        // Determine if we should compress based on actual file size (CloudFront Fidelity)
-        let shouldCompress = !options.noCompression;
+            // === 5. ORIGIN FETCH (skipped on cache hits and generated responses) ===
+            // The origin is the one origin-request functions left on the request
+            let origin = generated;
+            if (!origin && !cached) {
+                const proxied = isProxied(forwarded?.origin || behavior.origin);
+                try {
+                    origin = proxied
+                        ? await fetchFromCustomOrigin(req, forwarded, behavior.origin)
+                        : await fetchFromDirectory(req, { ...options, directory: behavior.directory });
+                } catch (err) {
+                    console.error(`[CloudFrontize] Origin error for ${req.url}: ${err.message}`);
+                    // CloudFront answers 502 when it cannot reach a custom origin
+                    origin = proxied
+                        ? { status: 502, statusDescription: 'Bad Gateway', headers: {}, body: Buffer.alloc(0) }
+                        : { status: 500, statusDescription: 'Internal Server Error', headers: {}, body: Buffer.alloc(0) };
+                }
 
-        if (shouldCompress) {
-            const urlPath = decodeURIComponent(req.url.split('?')[0]);
-            const fullPath = path.join(options.directory, urlPath);
-
-            if (fs.existsSync(fullPath) && fs.lstatSync(fullPath).isFile()) {
-                const stats = fs.statSync(fullPath);
-                // CloudFront 10MB Threshold Logic
-                if (stats.size > 10 * 1024 * 1024) {
-                    shouldCompress = false;
-                    if (options.debug) console.log(`[CloudFrontize] Skipping compression: ${urlPath} is > 10MB`);
+                if (precompressed) {
+                    origin.headers['Content-Encoding'] = precompressed.encoding;
+                    origin.headers['Content-Type'] = precompressed.base.endsWith('.js') ? 'application/javascript' : 'text/css';
                 }
             }
+
+            // === 6. ORIGIN RESPONSE (fed with the real origin or generated result), then cache it ===
+            if (cached) {
+                response = cached.response;
+            } else {
+                response = await runResponseStage(origin, 'origin-response');
+                // HEAD bodies may be empty, so only GET responses populate the cache
+                if (cacheKey && req.method === 'GET') {
+                    const ttl = cache.set(cacheKey, response);
+                    if (options.debug && ttl) console.log(`[CloudFrontize] cache STORE (ttl ${ttl}s): ${req.url}`);
+                }
+            }
+
+            // === 7. VIEWER RESPONSE ===
+            response = await runResponseStage(response, 'viewer-response');
+        } catch (err) {
+            // Nobody is left to answer
+            if (err.viewerAborted) {
+                if (options.debug) console.log(`[CloudFrontize] ${err.message} (${req.url})`);
+                return;
+            }
+            if (err instanceof EdgeFunctionError) {
+                logEdgeFunctionError(err, req.url);
+                failure = err;
+                response = buildErrorResponse(err);
+            } else if (err instanceof ViewerRequestError) {
+                response = { status: err.status, statusDescription: 'Bad Request', headers: { 'Content-Type': 'text/plain' }, body: Buffer.from(err.message) };
+            } else {
+                // A fault in the simulator itself: answer rather than leave the viewer waiting
+                console.error(`[CloudFrontize] Internal error for ${req.url}: ${err.stack || err.message}`);
+                response = { status: 500, statusDescription: 'Internal Server Error', headers: {}, body: Buffer.alloc(0) };
+            }
+        }
+
+        if (cache) {
+            let xCache = 'Miss from cloudfront';
+            if (failure) xCache = `${failure.errorType} from cloudfront`;
+            else if (cached) xCache = 'Hit from cloudfront';
+            else if (generated) xCache = 'LambdaGeneratedResponse from cloudfront';
+            else if (response.status >= 400) xCache = 'Error from cloudfront';
+
+            response = { ...response, headers: { ...response.headers, 'X-Cache': xCache } };
+            if (cached && !failure) response.headers['Age'] = String(cached.age);
+        }
+
+        if (tracing) {
+            const summary = {
+                time: new Date().toISOString(),
+                method: req.method,
+                url: viewerUrl,
+                status: response.status,
+                cache: cached ? 'hit' : cacheKey ? 'miss' : null,
+                behavior: distribution ? behavior.pathPattern : null,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+                functions: req.trace
+            };
+            if (options.trace) console.log(formatTrace(summary));
+            if (options.traceFile) fs.appendFileSync(options.traceFile, toTraceLine(summary));
+            if (inspector) req.inspected = inspector.record(summary, viewer, req.replayOf);
+        }
+
+        // === 8. COMPRESSION PRE-FLIGHT & DELIVERY TO VIEWER ===
+        const sendToViewer = () => {
+            for (const [k, v] of Object.entries(response.headers)) res.setHeader(k, v);
+            if (response.statusDescription) {
+                res.writeHead(response.status, response.statusDescription);
+            } else {
+                res.writeHead(response.status);
+            }
+            res.end(response.body);
+        };
+
+        // Determine if we should compress based on actual object size (CloudFront Fidelity).
+        // Replays are answered in-process, to the inspector.
+        let shouldCompress = !options.noCompression && !req.replayOf;
+
+        // CloudFront 10MB Threshold Logic
+        if (shouldCompress && response.body.length > 10 * 1024 * 1024) {
+            shouldCompress = false;
+            if (options.debug) console.log(`[CloudFrontize] Skipping compression: ${req.url.split('?')[0]} is > 10MB`);
         }
 
         if (shouldCompress) {
-            compressMiddleware(req, res, runHandler);
+            compressMiddleware(req, res, sendToViewer);
         } else {
-            runHandler();
+            sendToViewer();
         }
-    });
+    };
+
+    // Faults outside the functions' own failures (behavior match, tracing,
+    // delivery) are answered with a 500 too, rather than crashing the server
+    const handleRequest = async (req, res) => {
+        try {
+            await processRequest(req, res);
+        } catch (err) {
+            console.error(`[CloudFrontize] Internal error for ${req.url}: ${err.stack || err.message}`);
+            if (res.headersSent) {
+                // Too late for a status code: cut the response short
+                res.destroy(err);
+                return;
+            }
+            for (const name of Object.keys(res.getHeaders())) res.removeHeader(name);
+            res.writeHead(500, 'Internal Server Error');
+            res.end();
+        }
+    };
+
+    // Run a recorded viewer request through the pipeline again, with the
+    // functions as they are now (they hot reload)
+    const replay = async (viewerRequest, id) => {
+        const req = createViewerRequest(viewerRequest);
+        req.replayOf = id;
+        const res = new CapturedResponse();
+        const finished = new Promise((resolve, reject) => {
+            res.on('finish', resolve);
+            res.on('error', reject);
+        });
+        await handleRequest(req, res);
+        await finished;
+        return req.inspected;
+    };
+
+    handleRequest.close = () => {
+        if (defaultBehavior.edgeRunner) defaultBehavior.edgeRunner.close();
+        if (distribution) distribution.close();
+    };
+    return handleRequest;
+}
+
+function startServer(options) {
+    const { distribution } = options;
+    const handleRequest = createRequestHandler(options);
+    const server = http.createServer(handleRequest);
 
     const sockets = new Set();
     server.on('connection', (socket) => {
@@ -143,7 +431,7 @@ function startServer(options) {
 
     server.closeGracefully = function () {
         return new Promise(resolve => {
-            if (edgeRunner) edgeRunner.close();
+            handleRequest.close();
             for (const socket of sockets) socket.destroy();
             server.close(() => resolve());
         });
@@ -152,12 +440,25 @@ function startServer(options) {
     return server.listen(options.port, () => {
         if (!options.noRequestLogging) {
             console.log(`\n☁️  Cloudfrontize running on http://localhost:${options.port}`);
-            if (edgeRunner) {
-                const hooks = Object.keys(edgeRunner.modules).join(', ');
+            if (options.origin) {
+                const target = options.origin.custom || options.origin.s3;
+                console.log(`🌐 Proxying to origin: ${target.protocol}://${target.domainName}:${target.port}${target.path}`);
+            }
+            if (distribution) {
+                console.log(`🗺️  Cache behaviors (in evaluation order):`);
+                for (const b of distribution.behaviors) {
+                    const hooks = b.edgeRunner
+                        ? Object.keys(b.edgeRunner.modules).filter(k => b.edgeRunner.modules[k].length).join(', ')
+                        : '';
+                    console.log(`   ${b.pathPattern} → ${b.originName} [${b.allowedMethods.join(',')}] ${hooks || 'no functions'}`);
+                }
+            } else if (options.edgeRunner) {
+                const hooks = Object.keys(options.edgeRunner.modules).join(', ');
                 console.log(`⚡ Edge modules loaded: ${hooks || 'none'}`);
             }
+            if (options.inspect) console.log(`🔎 Inspector: http://localhost:${options.port}${INSPECTOR_PATH}/`);
         }
     });
 }
 
-module.exports = { startServer };
+module.exports = { createRequestHandler, startServer };
@@ -0,0 +1,228 @@
+'use strict';
+
+// Reserved path of the dashboard on the server it inspects
+const INSPECTOR_PATH = '/__cloudfrontize';
+
+// Requests kept for the dashboard, oldest dropped first
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Keeps the traces of recent requests and serves the web dashboard over them
+ * (`--inspect`). Each record holds the request summary (see formatTrace), the
+ * functions that ran with the record they received and returned and what they
+ * logged, and the viewer request as it arrived so it can be replayed through
+ * the current code.
+ */
+class Inspector {
+    constructor({ limit = DEFAULT_LIMIT } = {}) {
+        this.limit = limit;
+        this.records = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Store a finished request. `viewer` is { method, url, headers, body,
+     * clientIp } as the viewer sent it; `replayOf` the id it replays, if any.
+     */
+    record(summary, viewer, replayOf = null) {
+        const entry = { id: this.nextId++, ...summary, replayOf, viewer };
+        this.records.push(entry);
+        if (this.records.length > this.limit) this.records.shift();
+        return entry;
+    }
+
+    get(id) {
+        return this.records.find(r => r.id === Number(id)) || null;
+    }
+
+    isInspectorRequest(req) {
+        return req.url === INSPECTOR_PATH || req.url.startsWith(`${INSPECTOR_PATH}/`);
+    }
+
+    /**
+     * Answer a request under INSPECTOR_PATH:
+     *   GET  /                           the dashboard
+     *   GET  /api/requests               recent requests, newest first (no records)
+     *   GET  /api/requests/:id           one request with every function's records and logs
+     *   POST /api/requests/:id/replay    run it again; `replay(viewer, id)` resolves to the new record
+     *   GET  /api/functions              the loaded functions of every runner, on or off
+     *   POST /api/functions/:key/enable  switch one on (or `/disable` off) without restarting
+     * `runners` are the behaviors' EdgeRunners: [{ behavior, runner }].
+     */
+    async handle(req, res, { replay, runners = [] }) {
+        const route = req.url.slice(INSPECTOR_PATH.length).split('?')[0] || '/';
+        const send = (status, body, type = 'application/json') => {
+            res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' });
+            res.end(type === 'application/json' ? JSON.stringify(body) : body);
+        };
+
+        if (route === '/' && req.method === 'GET') return send(200, DASHBOARD_HTML, 'text/html');
+        if (route === '/api/requests' && req.method === 'GET') {
+            return send(200, this.records.map(toListItem).reverse());
+        }
+        if (route === '/api/functions' && req.method === 'GET') return send(200, listFunctions(runners));
+
+        const toggle = route.match(/^\/api\/functions\/([^/]+)\/(enable|disable)$/);
+        if (toggle) {
+            if (req.method !== 'POST') return send(405, { error: `${req.method} not allowed on ${route}` });
+            const key = decodeURIComponent(toggle[1]);
+            const slash = key.indexOf('/');
+            const owner = runners[Number(key.slice(0, slash))];
+            const id = key.slice(slash + 1);
+            if (slash < 1 || !owner || !owner.runner.listFunctions().some(f => f.id === id)) {
+                return send(404, { error: `Unknown function "${key}"` });
+            }
+            try {
+                owner.runner.setFunctionEnabled(id, toggle[2] === 'enable');
+            } catch (e) {
+                // It would create an undeclared chain (see EdgeRunner#_arrange)
+                return send(409, { error: e.message });
+            }
+            return send(200, listFunctions(runners));
+        }
+
+        const match = route.match(/^\/api\/requests\/(\d+)(\/replay)?$/);
+        const record = match && this.get(match[1]);
+        if (!record) return send(404, { error: `Not found: ${route}` });
+
+        if (!match[2] && req.method === 'GET') return send(200, toDetail(record));
+        if (match[2] && req.method === 'POST') {
+            const replayed = await replay(record.viewer, record.id);
+            return send(200, toDetail(replayed));
+        }
+        return send(405, { error: `${req.method} not allowed on ${route}` });
+    }
+}
+
+// Every runner's functions, keyed `<runner index>/<function id>` for toggling
+function listFunctions(runners) {
+    return runners.flatMap(({ behavior, runner }, index) => runner.listFunctions().map(f => ({
+        key: `${index}/${f.id}`,
+        behavior,
+        ...f
+    })));
+}
+
+// A request in the list: the summary and which functions ran
+function toListItem({ viewer, functions, ...summary }) {
+    return {
+        ...summary,
+        functions: functions.map(f => ({
+            eventType: f.eventType,
+            file: f.file,
+            durationMs: f.durationMs,
+            generated: f.generated,
+            error: f.error ? f.error.errorType : null
+        }))
+    };
+}
+
+// A request in full; the viewer body is shown as text
+function toDetail({ viewer, ...record }) {
+    return { ...record, viewer: { ...viewer, body: viewer.body ? viewer.body.toString('utf8') : null } };
+}
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CloudFrontize Inspector</title>
+<style>
+    body { margin: 0; font: 13px/1.4 system-ui, sans-serif; color: #1d252c; display: flex; height: 100vh; }
+    #list { width: 45%; overflow: auto; border-right: 1px solid #d5dbdb; }
+    #detail { flex: 1; overflow: auto; padding: 0 16px 16px; }
+    h1 { font-size: 15px; margin: 0; padding: 10px 12px; background: #232f3e; color: #fff; position: sticky; top: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 5px 8px; border-bottom: 1px solid #eaeded; white-space: nowrap; }
+    tr { cursor: pointer; }
+    tr:hover, tr.selected { background: #f1faff; }
+    .url { max-width: 260px; overflow: hidden; text-overflow: ellipsis; }
+    .s2 { color: #1d8102; } .s3 { color: #0073bb; } .s4, .s5 { color: #d13212; }
+    .tag { display: inline-block; padding: 0 5px; margin-right: 3px; border-radius: 3px; background: #eaeded; font-size: 11px; }
+    .tag.error { background: #fde2e0; }
+    details { margin: 8px 0; border: 1px solid #eaeded; border-radius: 4px; padding: 6px 10px; }
+    summary { cursor: pointer; font-weight: 600; }
+    pre { background: #f7f8f8; padding: 8px; overflow: auto; max-height: 360px; margin: 6px 0; }
+    .change-added { color: #1d8102; } .change-removed { color: #d13212; } .change-changed { color: #8a6100; }
+    button { margin: 12px 0; padding: 4px 12px; }
+    #functions { padding: 6px 12px; border-bottom: 1px solid #d5dbdb; }
+    #functions label { display: block; white-space: nowrap; }
+    #functions .off { color: #879596; text-decoration: line-through; }
+</style>
+</head>
+<body>
+<div id="list"><h1>☁️ CloudFrontize Inspector</h1><div id="functions"></div><table><tbody id="rows"></tbody></table></div>
+<div id="detail"><p>Select a request.</p></div>
+<script>
+const base = location.pathname.replace(/\\/$/, '');
+let selected = null;
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const json = (v) => '<pre>' + esc(JSON.stringify(v, null, 2)) + '</pre>';
+const fileName = (f) => f.split(/[\\\\/]/).pop();
+
+async function refresh() {
+    const requests = await (await fetch(base + '/api/requests')).json();
+    document.getElementById('rows').innerHTML = requests.map(r => '<tr data-id="' + r.id + '"' + (r.id === selected ? ' class="selected"' : '') + '>' +
+        '<td>' + new Date(r.time).toLocaleTimeString() + '</td>' +
+        '<td>' + esc(r.method) + '</td>' +
+        '<td class="url" title="' + esc(r.url) + '">' + esc(r.url) + '</td>' +
+        '<td class="s' + String(r.status)[0] + '">' + r.status + '</td>' +
+        '<td>' + (r.cache || '') + '</td>' +
+        '<td>' + r.durationMs.toFixed(1) + ' ms</td>' +
+        '<td>' + r.functions.map(f => '<span class="tag' + (f.error ? ' error' : '') + '">' + esc(f.eventType) + '</span>').join('') + '</td>' +
+        '</tr>').join('');
+}
+
+async function refreshFunctions() {
+    const fns = await (await fetch(base + '/api/functions')).json();
+    document.getElementById('functions').innerHTML = fns.map(f => '<label class="' + (f.enabled ? '' : 'off') + '">' +
+        '<input type="checkbox" data-key="' + esc(f.key) + '"' + (f.enabled ? ' checked' : '') + '> ' +
+        esc(f.eventType) + ' · ' + esc(fileName(f.file)) + (f.handler !== 'handler' ? '.' + esc(f.handler) : '') +
+        (f.behavior && f.behavior !== '*' ? ' · <code>' + esc(f.behavior) + '</code>' : '') + '</label>').join('');
+}
+
+document.getElementById('functions').onchange = async (e) => {
+    const action = e.target.checked ? 'enable' : 'disable';
+    const res = await fetch(base + '/api/functions/' + encodeURIComponent(e.target.dataset.key) + '/' + action, { method: 'POST' });
+    if (!res.ok) alert((await res.json()).error);
+    refreshFunctions();
+};
+
+async function show(id) {
+    selected = id;
+    const r = await (await fetch(base + '/api/requests/' + id)).json();
+    const fns = r.functions.map(f => '<details open><summary>' + esc(f.eventType) + ' · ' + esc(fileName(f.file)) + ' · ' + f.durationMs.toFixed(1) + ' ms' +
+        (f.generated ? ' · generated a response' : '') + (f.error ? ' · ' + esc(f.error.errorType) : '') + '</summary>' +
+        (f.error ? json(f.error) : '') +
+        (f.changes.length ? '<ul>' + f.changes.map(c => '<li class="change-' + c.op + '">' + esc(c.op + ' ' + c.path + ': ' + (c.from ?? '') + (c.op === 'changed' ? ' → ' : '') + (c.to ?? '')) + '</li>').join('') + '</ul>' : '') +
+        (f.logs.length ? '<b>Console</b><pre>' + esc(f.logs.map(l => '[' + l.level + '] ' + l.message).join('\\n')) + '</pre>' : '') +
+        '<b>Received</b>' + json(f.input) + '<b>Returned</b>' + json(f.output) + '</details>').join('');
+    document.getElementById('detail').innerHTML =
+        '<h2>' + esc(r.method + ' ' + r.url) + ' → ' + r.status + '</h2>' +
+        '<p>' + new Date(r.time).toLocaleString() + ' · ' + r.durationMs.toFixed(1) + ' ms' +
+        (r.behavior ? ' · behavior <code>' + esc(r.behavior) + '</code>' : '') +
+        (r.cache ? ' · cache ' + r.cache : '') + (r.replayOf ? ' · replay of #' + r.replayOf : '') + '</p>' +
+        '<button id="replay">Replay with current code</button>' +
+        (fns || '<p>No functions ran.</p>') +
+        '<details><summary>Viewer request</summary>' + json(r.viewer) + '</details>';
+    document.getElementById('replay').onclick = async () => {
+        const replayed = await (await fetch(base + '/api/requests/' + id + '/replay', { method: 'POST' })).json();
+        await refresh();
+        show(replayed.id);
+    };
+    refresh();
+}
+
+document.getElementById('rows').onclick = (e) => {
+    const row = e.target.closest('tr');
+    if (row) show(Number(row.dataset.id));
+};
+refreshFunctions();
+refresh();
+setInterval(refresh, 2000);
+</script>
+</body>
+</html>
+`;
+
+module.exports = { INSPECTOR_PATH, Inspector };
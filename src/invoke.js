@@ -0,0 +1,102 @@
+'use strict';
+
+const path = require('path');
+const { EdgeRunner } = require('./edgeRunner');
+const { EdgeFunctionError } = require('./errors');
+const { EventBuilder } = require('./fixtures');
+const { validateResult } = require('./validator');
+const { EVENT_TYPES, resolveHandlerSpec } = require('./hooks');
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Build a CloudFront event from a shorthand: { method, url, headers } for the
+ * request and, for response events, { status, responseHeaders }. Without an
+ * `eventType` the event carries a response, so it suits any function.
+ */
+function buildEvent(eventType, { method = 'GET', url = '/', headers = {}, status = 200, responseHeaders = {} } = {}) {
+    const builder = new EventBuilder(eventType || 'viewer-response').method(method).url(url).headers(headers);
+    if (builder.eventType.endsWith('-response')) builder.status(status).responseHeaders(responseHeaders);
+
+    const event = builder.build();
+    if (!eventType) delete event.Records[0].cf.config.eventType;
+    return event;
+}
+
+// Route console output (including the function's own) into `logs` until restored
+function captureConsole(logs) {
+    const original = {};
+    for (const level of CONSOLE_METHODS) {
+        original[level] = console[level];
+        console[level] = (...args) => logs.push({
+            level,
+            message: args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ')
+        });
+    }
+    return () => Object.assign(console, original);
+}
+
+/**
+ * Run the function in `filePath` (a file, or `file.exportName` for another
+ * export than `handler`) once against `event` (a CloudFront event
+ * `{ Records: [{ cf }] }`), without a server. The event type comes from
+ * `options.eventType`, the event's `cf.config.eventType`, the module's
+ * hookType or the file name, in that order.
+ *
+ * Returns { eventType, file, result, logs: [{ level, message }], durationMs,
+ * errors, warnings, error } where `errors` are validation failures and
+ * `error` is the execution failure (timeout, exception), if any.
+ */
+async function invokeFunction(filePath, event, options = {}) {
+    const logs = [];
+    const restore = captureConsole(logs);
+    const report = { eventType: null, file: path.resolve(filePath), result: null, logs, durationMs: 0, errors: [], warnings: [], error: null };
+
+    try {
+        const cf = event?.Records?.[0]?.cf;
+        if (!cf || !cf.request) throw new Error('The event must look like { Records: [{ cf: { request } }] }');
+
+        const { path: file, handler } = resolveHandlerSpec(filePath);
+        report.file = file;
+        let eventType = options.eventType || cf.config?.eventType;
+        const runnerOptions = { ...options, watch: false };
+        if (eventType || handler) runnerOptions.functions = [{ eventType, path: file, handler }];
+
+        const runner = new EdgeRunner(report.file, runnerOptions);
+        eventType = eventType || EVENT_TYPES.find(t => runner.modules[t].length);
+        if (!EVENT_TYPES.includes(eventType) || !runner.modules[eventType].length) {
+            throw new Error(`No handler found in ${filePath}; export hookType, name the file after its event or pass --event-type`);
+        }
+        report.eventType = eventType;
+
+        const mod = runner.modules[eventType][0];
+        const isResponse = eventType.endsWith('-response');
+        if (isResponse && !cf.response) throw new Error(`A ${eventType} event needs Records[0].cf.response`);
+        const record = isResponse ? { request: cf.request, response: cf.response } : cf.request;
+
+        const started = process.hrtime.bigint();
+        try {
+            report.result = await runner._invoke(mod, record, eventType, cf.config?.requestId);
+        } finally {
+            report.durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        }
+
+        const result = isResponse ? (report.result?.response || report.result) : report.result;
+        const { errors, warnings } = validateResult(result, {
+            eventType,
+            original: isResponse ? cf.response : cf.request,
+            strictHeaders: options.strictHeaders
+        });
+        report.errors = errors;
+        report.warnings = warnings;
+    } catch (e) {
+        report.error = e instanceof EdgeFunctionError
+            ? { errorType: e.errorType, message: e.message }
+            : { errorType: 'Error', message: e.message };
+    } finally {
+        restore();
+    }
+
+    return report;
+}
+
+module.exports = { buildEvent, invokeFunction };
@@ -0,0 +1,262 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { Readable, Writable } = require('stream');
+const handler = require('serve-handler');
+
+/**
+ * A stand-in for http.ServerResponse that buffers whatever the origin writes.
+ * CloudFront only hands the origin response to origin-response / viewer-response
+ * functions once it has been received, so we capture it completely before any
+ * hook sees it.
+ */
+class CapturedResponse extends Writable {
+    constructor() {
+        super();
+        this.statusCode = 200;
+        this.statusMessage = undefined;
+        this.headersSent = false;
+        this._headers = {};
+        this._chunks = [];
+    }
+
+    setHeader(name, value) {
+        this._headers[name.toLowerCase()] = { key: name, value };
+        return this;
+    }
+
+    getHeader(name) {
+        return this._headers[name.toLowerCase()]?.value;
+    }
+
+    hasHeader(name) {
+        return name.toLowerCase() in this._headers;
+    }
+
+    removeHeader(name) {
+        delete this._headers[name.toLowerCase()];
+    }
+
+    getHeaders() {
+        const out = {};
+        for (const { key, value } of Object.values(this._headers)) out[key] = value;
+        return out;
+    }
+
+    writeHead(statusCode, statusMessage, headers) {
+        if (typeof statusMessage === 'object' && statusMessage !== null) {
+            headers = statusMessage;
+            statusMessage = undefined;
+        }
+        this.statusCode = statusCode;
+        if (statusMessage !== undefined) this.statusMessage = statusMessage;
+        for (const [k, v] of Object.entries(headers || {})) this.setHeader(k, v);
+        this.headersSent = true;
+        return this;
+    }
+
+    _write(chunk, encoding, callback) {
+        this._chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+        callback();
+    }
+
+    toResult() {
+        return {
+            status: this.statusCode,
+            statusDescription: this.statusMessage || http.STATUS_CODES[this.statusCode] || '',
+            headers: this.getHeaders(),
+            body: Buffer.concat(this._chunks)
+        };
+    }
+}
+
+/**
+ * A stand-in for http.IncomingMessage carrying what the pipeline reads:
+ * method, url, headers (plus rawHeaders), body and the viewer's socket.
+ */
+function createViewerRequest({ method = 'GET', url = '/', headers = {}, body, clientIp = '127.0.0.1' }) {
+    const payload = body === undefined || body === null
+        ? []
+        : [Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))];
+    const req = Readable.from(payload);
+
+    req.method = method.toUpperCase();
+    req.url = url;
+    req.httpVersion = '1.1';
+    req.headers = {};
+    req.rawHeaders = [];
+    for (const [name, value] of Object.entries({ Host: 'localhost', ...headers })) {
+        req.headers[name.toLowerCase()] = String(value);
+        req.rawHeaders.push(name, String(value));
+    }
+    if (payload.length && !req.headers['content-length']) req.headers['content-length'] = String(payload[0].length);
+    req.socket = { remoteAddress: clientIp, remotePort: 0, encrypted: false };
+    req.trace = [];
+    return req;
+}
+
+/**
+ * Convert CloudFront-style headers ({ name: [{ key, value }] }) into the
+ * { Key: value } shape expected by Node's http APIs. Multi-value headers such
+ * as Set-Cookie are kept as arrays.
+ */
+function toNodeHeaders(cfHeaders) {
+    const out = {};
+    for (const [name, values] of Object.entries(cfHeaders || {})) {
+        if (!Array.isArray(values) || values.length === 0) continue;
+        const key = values[0].key || name;
+        out[key] = values.length > 1 ? values.map(v => v.value) : values[0].value;
+    }
+    return out;
+}
+
+/**
+ * Convert Node-style headers ({ name: value }) into CloudFront-style headers
+ * ({ name: [{ key, value }] }).
+ */
+function toCloudFrontHeaders(nodeHeaders) {
+    const out = {};
+    for (const [name, value] of Object.entries(nodeHeaders || {})) {
+        if (value === undefined) continue;
+        out[name.toLowerCase()] = (Array.isArray(value) ? value : [value]).map(v => ({ key: name, value: String(v) }));
+    }
+    return out;
+}
+
+// Connection-level headers are never forwarded between viewer, edge and origin
+const HOP_BY_HOP = [
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+/**
+ * Build a CloudFront custom origin record from an origin URL such as
+ * `https://api.example.com/v1`. `customHeaders` is a { Name: value } map of
+ * headers CloudFront adds to every origin request.
+ */
+function parseOriginUrl(url, customHeaders = {}) {
+    const parsed = new URL(url);
+    const protocol = parsed.protocol.replace(/:$/, '');
+    if (protocol !== 'http' && protocol !== 'https') {
+        throw new Error(`Unsupported origin protocol "${protocol}" (expected http or https)`);
+    }
+
+    const headers = {};
+    for (const [k, v] of Object.entries(customHeaders)) {
+        headers[k.toLowerCase()] = [{ key: k, value: String(v) }];
+    }
+
+    return {
+        custom: {
+            customHeaders: headers,
+            domainName: parsed.hostname,
+            keepaliveTimeout: 5,
+            path: parsed.pathname.replace(/\/$/, ''),
+            port: parsed.port ? parseInt(parsed.port) : (protocol === 'https' ? 443 : 80),
+            protocol,
+            readTimeout: 30,
+            sslProtocols: ['TLSv1.2']
+        }
+    };
+}
+
+/**
+ * Forward a request to a custom (or S3) origin and resolve with the complete
+ * origin result: { status, statusDescription, headers, body }.
+ *
+ * `record` is the request record returned by the request hooks (carrying the
+ * possibly rewritten uri, headers and origin). Without an edge runner it is
+ * null and the viewer request is forwarded as-is to `defaultOrigin`.
+ */
+function fetchFromCustomOrigin(req, record, defaultOrigin) {
+    const originRecord = record?.origin || defaultOrigin;
+    const target = originRecord.custom || originRecord.s3;
+    const protocol = target.protocol || 'https';
+    const port = target.port || (protocol === 'https' ? 443 : 80);
+
+    const headers = record ? toNodeHeaders(record.headers) : { ...req.headers };
+    for (const k of Object.keys(headers)) {
+        const lower = k.toLowerCase();
+        if (HOP_BY_HOP.includes(lower) || lower === 'host' || lower === 'content-length') delete headers[k];
+    }
+    Object.assign(headers, toNodeHeaders(target.customHeaders));
+
+    // CloudFront sends the origin's domain as Host unless a function set another one
+    const viewerHost = req.headers.host;
+    const requestHost = record?.headers?.host?.[0]?.value;
+    headers.Host = requestHost && requestHost !== viewerHost ? requestHost : target.domainName;
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (body.length) headers['Content-Length'] = body.length;
+
+    const uri = record ? record.uri : req.url.split('?')[0];
+    const querystring = record ? record.querystring : (req.url.split('?')[1] || '');
+    const originPath = `${target.path || ''}${uri}${querystring ? `?${querystring}` : ''}`;
+
+    return new Promise((resolve, reject) => {
+        const client = protocol === 'https' ? https : http;
+        const upstream = client.request({
+            method: record?.method || req.method,
+            hostname: target.domainName,
+            port,
+            path: originPath,
+            headers,
+            timeout: (target.readTimeout || 30) * 1000
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('error', reject);
+            res.on('end', () => {
+                const outHeaders = {};
+                for (let i = 0; i < res.rawHeaders.length; i += 2) {
+                    const key = res.rawHeaders[i];
+                    if (HOP_BY_HOP.includes(key.toLowerCase())) continue;
+                    const value = res.headers[key.toLowerCase()];
+                    outHeaders[key] = value;
+                }
+                resolve({
+                    status: res.statusCode,
+                    statusDescription: res.statusMessage || http.STATUS_CODES[res.statusCode] || '',
+                    headers: outHeaders,
+                    body: Buffer.concat(chunks)
+                });
+            });
+        });
+
+        upstream.on('timeout', () => upstream.destroy(new Error(`Origin read timeout after ${target.readTimeout || 30}s`)));
+        upstream.on('error', reject);
+        upstream.end(body);
+    });
+}
+
+/**
+ * Serve `req` from the static directory and resolve with the complete origin
+ * result: { status, statusDescription, headers, body }.
+ */
+function fetchFromDirectory(req, options) {
+    const captured = new CapturedResponse();
+
+    return new Promise((resolve, reject) => {
+        captured.on('finish', () => resolve(captured.toResult()));
+        captured.on('error', reject);
+
+        handler(req, captured, {
+            public: options.directory,
+            cleanUrls: true,
+            rewrites: options.single ? [{ source: '**', destination: '/index.html' }] : [],
+            etag: !options.noEtag,
+            headers: options.cors ? [{ source: '**/*', headers: [{ key: 'Access-Control-Allow-Origin', value: '*' }] }] : []
+        }).catch(reject);
+    });
+}
+
+module.exports = {
+    CapturedResponse,
+    createViewerRequest,
+    fetchFromDirectory,
+    fetchFromCustomOrigin,
+    parseOriginUrl,
+    toCloudFrontHeaders,
+    toNodeHeaders
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// AWS managed cache policies (TTLs and what goes into the cache key)
+const MANAGED_CACHE_POLICIES = {
+    'CachingOptimized': {
+        minTTL: 1, defaultTTL: 86400, maxTTL: 31536000,
+        headers: [], cookies: 'none', queryStrings: 'none'
+    },
+    'CachingOptimizedForUncompressedObjects': {
+        minTTL: 1, defaultTTL: 86400, maxTTL: 31536000,
+        headers: [], cookies: 'none', queryStrings: 'none'
+    },
+    'CachingDisabled': {
+        minTTL: 0, defaultTTL: 0, maxTTL: 0,
+        headers: [], cookies: 'none', queryStrings: 'none'
+    },
+    'UseOriginCacheControlHeaders': {
+        minTTL: 0, defaultTTL: 0, maxTTL: 31536000,
+        headers: ['host', 'origin', 'x-http-method-override', 'x-http-method', 'x-method-override'],
+        cookies: 'all', queryStrings: 'none'
+    },
+    'UseOriginCacheControlHeaders-QueryStrings': {
+        minTTL: 0, defaultTTL: 0, maxTTL: 31536000,
+        headers: ['host', 'origin', 'x-http-method-override', 'x-http-method', 'x-method-override'],
+        cookies: 'all', queryStrings: 'all'
+    }
+};
+
+// Headers CloudFront forwards whatever the policies say
+const ALWAYS_FORWARDED_HEADERS = ['host', 'content-length', 'transfer-encoding'];
+
+// AWS managed origin request policies (what reaches the origin besides the cache key)
+const MANAGED_ORIGIN_REQUEST_POLICIES = {
+    'AllViewer': {
+        headers: 'allViewer',
+        cookies: 'all',
+        queryStrings: 'all'
+    },
+    'AllViewerExceptHostHeader': {
+        headers: { allExcept: ['host'] },
+        cookies: 'all',
+        queryStrings: 'all'
+    },
+    'AllViewerAndCloudFrontHeaders-2022-06': {
+        headers: 'allViewerAndCloudFront',
+        cookies: 'all',
+        queryStrings: 'all'
+    },
+    'CORS-S3Origin': {
+        headers: ['origin', 'access-control-request-headers', 'access-control-request-method'],
+        cookies: 'none',
+        queryStrings: 'none'
+    },
+    'CORS-CustomOrigin': {
+        headers: ['origin'],
+        cookies: 'none',
+        queryStrings: 'none'
+    },
+    'UserAgentRefererHeaders': {
+        headers: ['user-agent', 'referer'],
+        cookies: 'none',
+        queryStrings: 'all'
+    }
+};
+
+function resolvePolicy(policy, baseDir, managed, defaults, kind) {
+    if (!policy) return null;
+    if (typeof policy === 'string') {
+        if (managed[policy]) return { name: policy, ...managed[policy] };
+
+        const file = path.resolve(baseDir, policy);
+        if (!fs.existsSync(file)) throw new Error(`Unknown ${kind} "${policy}"`);
+        const raw = fs.readFileSync(file, 'utf8');
+        return resolvePolicy(/\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw), baseDir, managed, defaults, kind);
+    }
+    return { name: 'Custom', ...defaults, ...policy };
+}
+
+/**
+ * Resolve an origin request policy given as a managed policy name, a path to
+ * a JSON/YAML file, or an inline { headers, cookies, queryStrings } object.
+ *
+ * - headers: 'none' | 'allViewer' | 'allViewerAndCloudFront' | [names] | { allExcept: [names] }
+ * - cookies / queryStrings: 'none' | 'all' | [names] | { allExcept: [names] }
+ */
+function resolveOriginRequestPolicy(policy, baseDir = '.') {
+    return resolvePolicy(policy, baseDir, MANAGED_ORIGIN_REQUEST_POLICIES,
+        { headers: 'none', cookies: 'none', queryStrings: 'none' }, 'origin request policy');
+}
+
+/**
+ * Resolve a cache policy (managed name, file or inline object) into the
+ * { minTTL, defaultTTL, maxTTL, headers, cookies, queryStrings } shape used
+ * by EdgeCache. Cache policies can only list headers.
+ */
+function resolveCachePolicy(policy, baseDir = '.') {
+    return resolvePolicy(policy, baseDir, MANAGED_CACHE_POLICIES,
+        { minTTL: 0, defaultTTL: 86400, maxTTL: 31536000, headers: [], cookies: 'none', queryStrings: 'none' }, 'cache policy');
+}
+
+const lowerList = (names) => names.map(n => n.toLowerCase());
+
+/**
+ * Whether a policy forwards the header `name` (lowercase). CloudFront-*
+ * headers are generated by CloudFront, so "all viewer headers" doesn't
+ * include them: they have to be listed, or the policy must add them all.
+ */
+function forwardsHeader(policy, name) {
+    if (!policy) return false;
+    const { headers } = policy;
+    const isCloudFront = name.startsWith('cloudfront-');
+
+    if (headers === 'allViewerAndCloudFront') return true;
+    if (headers === 'allViewer') return !isCloudFront;
+    if (Array.isArray(headers)) return lowerList(headers).includes(name);
+    if (headers?.allExcept) return !isCloudFront && !lowerList(headers.allExcept).includes(name);
+    return false;
+}
+
+/**
+ * Whether a cookie / query string list ('all', 'none', [names] or
+ * { allExcept: [names] }) includes `name`. Cookie and query string names are
+ * case-sensitive.
+ */
+function matchesList(spec, name) {
+    if (spec === 'all') return true;
+    if (Array.isArray(spec)) return spec.includes(name);
+    if (spec?.allExcept) return !spec.allExcept.includes(name);
+    return false;
+}
+
+/**
+ * What CloudFront sends on to origin-request functions and the origin: the
+ * union of the cache key and the origin request policy. Everything else the
+ * viewer sent is dropped (a User-Agent that isn't forwarded becomes
+ * "Amazon CloudFront"). Without any policy the request passes unchanged.
+ *
+ * Returns { request, dropped: { headers, cookies, queryStrings } }.
+ */
+function applyOriginRequestPolicy(request, { cachePolicy, originRequestPolicy }) {
+    const dropped = { headers: [], cookies: [], queryStrings: [] };
+    if (!cachePolicy && !originRequestPolicy) return { request, dropped };
+
+    const policies = [cachePolicy, originRequestPolicy].filter(Boolean);
+    const forwards = (field, name) => policies.some(p => matchesList(p[field], name));
+
+    const headers = {};
+    for (const [name, values] of Object.entries(request.headers || {})) {
+        if (name === 'cookie') continue;
+        if (ALWAYS_FORWARDED_HEADERS.includes(name) || policies.some(p => forwardsHeader(p, name))) {
+            headers[name] = values;
+        } else {
+            dropped.headers.push(name);
+        }
+    }
+
+    const cookies = [];
+    for (const entry of request.headers?.cookie || []) {
+        for (const pair of entry.value.split(';').map(c => c.trim()).filter(Boolean)) {
+            const name = pair.split('=')[0];
+            if (forwards('cookies', name)) cookies.push(pair);
+            else dropped.cookies.push(name);
+        }
+    }
+    if (cookies.length) headers.cookie = [{ key: request.headers.cookie[0].key || 'Cookie', value: cookies.join('; ') }];
+
+    if (!headers['user-agent']) {
+        headers['user-agent'] = [{ key: 'User-Agent', value: 'Amazon CloudFront' }];
+    }
+
+    const decode = (v) => {
+        try { return decodeURIComponent(v); } catch (e) { return v; }
+    };
+    const params = (request.querystring || '').split('&').filter(Boolean).filter(pair => {
+        const name = decode(pair.split('=')[0]);
+        if (forwards('queryStrings', name)) return true;
+        dropped.queryStrings.push(name);
+        return false;
+    });
+
+    return {
+        request: { ...request, headers, querystring: params.join('&') },
+        dropped
+    };
+}
+
+module.exports = {
+    MANAGED_CACHE_POLICIES,
+    MANAGED_ORIGIN_REQUEST_POLICIES,
+    applyOriginRequestPolicy,
+    forwardsHeader,
+    matchesList,
+    resolveCachePolicy,
+    resolveOriginRequestPolicy
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { builtinModules, createRequire } = require('module');
+const { createAwsSdkStub } = require('./awsSdkStub');
+const { createFunctionConsole } = require('./trace');
+const { evaluateModule, isModuleFile } = require('./esm');
+
+/**
+ * Node.js modules a Lambda@Edge function may require. The Lambda runtime has
+ * every built-in, but an edge function has no file system, processes or raw
+ * sockets worth relying on, so those need an explicit `allowModules` entry.
+ */
+const ALLOWED_BUILTINS = [
+    'assert', 'assert/strict', 'async_hooks', 'buffer', 'crypto', 'dns', 'dns/promises',
+    'events', 'http', 'http2', 'https', 'path', 'path/posix', 'perf_hooks', 'punycode',
+    'querystring', 'stream', 'stream/promises', 'stream/web', 'string_decoder', 'timers',
+    'timers/promises', 'url', 'util', 'util/types', 'zlib'
+];
+
+// The AWS SDK for JavaScript v3 ships with the Lambda Node.js runtimes
+const AWS_SDK = /^@aws-sdk\//;
+
+const LOCAL_EXTENSIONS = ['', '.js', '.cjs', '.json'];
+
+function notFound(id, from) {
+    const err = new Error(`Cannot find module '${id}' from ${from}`);
+    err.code = 'MODULE_NOT_FOUND';
+    return err;
+}
+
+// What Node's require says of an ES module package
+function requireOfModule(file, from) {
+    const err = new Error(`require() of ES Module ${file} from ${from} not supported`);
+    err.code = 'ERR_REQUIRE_ESM';
+    return err;
+}
+
+// Packages run as published; only the function's own files are baked
+function isPackageFile(file) {
+    return file.split(path.sep).includes('node_modules');
+}
+
+// The file a relative require names: exact, with an extension, or a directory index
+function resolveLocal(target, id, from) {
+    const candidates = [
+        ...LOCAL_EXTENSIONS.map(ext => `${target}${ext}`),
+        ...LOCAL_EXTENSIONS.slice(1).map(ext => path.join(target, `index${ext}`))
+    ];
+    const file = candidates.find(f => fs.existsSync(f) && fs.statSync(f).isFile());
+    if (!file) throw notFound(id, from);
+    return file;
+}
+
+/**
+ * Load a Lambda@Edge function (`code`, the possibly baked source of
+ * `filePath`) into a fresh vm context. Inside it:
+ * - built-ins outside ALLOWED_BUILTINS throw "Forbidden" unless listed in
+ *   `allowModules`,
+ * - `@aws-sdk/*` packages are stubs (see awsSdkStub.js) unless listed in
+ *   `allowModules`, in which case the function's own copy is loaded,
+ * - relative requires are evaluated in the same context (each file once,
+ *   passed through `transform(code, file)`, e.g. to bake it),
+ * - other packages come from node_modules next to the function and are
+ *   evaluated in the same context, so their own requires meet the same
+ *   allow-list (native addons aside, which only load outside it).
+ *
+ * An ES module or TypeScript function is passed precompiled as `module` (see
+ * `compileModule` in esm.js), which then replaces `code`; its imports go
+ * through the same require.
+ *
+ * Returns { exports, handler, context }, `handler` being the export named
+ * `handlerName`.
+ */
+function loadFunction(filePath, code, { env = {}, allowModules = [], transform = (source) => source, module = null, handlerName = 'handler' } = {}) {
+    const allowed = new Set(allowModules.map(m => m.replace(/^node:/, '')));
+    const hostRequire = createRequire(filePath);
+    const localModules = new Map();
+    const sdkStubs = new Map();
+    const fnConsole = createFunctionConsole();
+
+    const mainModule = { exports: {} };
+    const context = {
+        Buffer,
+        console: fnConsole,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        setImmediate,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        process: {
+            env: { ...env },
+            nextTick: process.nextTick,
+            version: process.version
+        }
+    };
+    // CommonJS scope; an ES module has none of it
+    if (!module) {
+        Object.assign(context, {
+            module: mainModule,
+            exports: mainModule.exports,
+            __dirname: path.dirname(filePath),
+            __filename: filePath
+        });
+    }
+
+    const loadLocal = (file) => {
+        if (localModules.has(file)) return localModules.get(file).exports;
+        const mod = { exports: {} };
+        localModules.set(file, mod);
+
+        const source = fs.readFileSync(file, 'utf8');
+        if (file.endsWith('.json')) {
+            mod.exports = JSON.parse(source);
+            return mod.exports;
+        }
+        const wrapper = new vm.Script(
+            `(function (exports, require, module, __filename, __dirname) {${isPackageFile(file) ? source : transform(source, file)}\n})`,
+            { filename: file }
+        ).runInContext(context);
+        wrapper.call(mod.exports, mod.exports, requireFrom(file), mod, file, path.dirname(file));
+        return mod.exports;
+    };
+
+    const requireFrom = (from) => (id) => {
+        if (id.startsWith('./') || id.startsWith('../') || path.isAbsolute(id)) {
+            return loadLocal(resolveLocal(path.resolve(path.dirname(from), id), id, from));
+        }
+
+        const name = id.replace(/^node:/, '');
+        if (builtinModules.includes(name)) {
+            if (!ALLOWED_BUILTINS.includes(name) && !allowed.has(name)) {
+                throw new Error(`Forbidden: ${id} (not available to Lambda@Edge functions; allow it with --allow-module ${name})`);
+            }
+            return require(name);
+        }
+
+        if (AWS_SDK.test(id) && !allowed.has(id)) {
+            if (!sdkStubs.has(id)) sdkStubs.set(id, createAwsSdkStub(id, fnConsole));
+            return sdkStubs.get(id);
+        }
+
+        let file;
+        try {
+            file = hostRequire.resolve(id, { paths: [path.dirname(from)] });
+        } catch (e) {
+            throw e.code === 'MODULE_NOT_FOUND' ? notFound(id, from) : e;
+        }
+        if (file.endsWith('.node')) return hostRequire(file);
+        if (isModuleFile(file)) throw requireOfModule(file, from);
+        return loadLocal(file);
+    };
+
+    context.require = requireFrom(filePath);
+    context.global = context;
+    vm.createContext(context);
+    if (module) return { ...evaluateModule(filePath, module, context, handlerName), context };
+
+    new vm.Script(code, { filename: filePath }).runInContext(context);
+    return { exports: mainModule.exports, handler: mainModule.exports[handlerName], context };
+}
+
+module.exports = { ALLOWED_BUILTINS, loadFunction };
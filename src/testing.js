@@ -0,0 +1,139 @@
+'use strict';
+
+const path = require('path');
+const { EdgeRunner } = require('./edgeRunner');
+const { Distribution } = require('./distribution');
+const { createRequestHandler } = require('./index');
+const { CapturedResponse, createViewerRequest, parseOriginUrl } = require('./origin');
+const fixtures = require('./fixtures');
+const { parseAssociations } = require('./hooks');
+
+/**
+ * Run the full pipeline in-process, without binding a port. Options:
+ * - edge:      a Lambda@Edge module or directory (like `--edge`)
+ * - hooks:     { <event-type>: <file>[.<export>] } associations (like
+ *              `--hook`), alone or on top of `edge`
+ * - directory: static origin directory; or `origin`: custom origin URL
+ * - behaviors: cache behaviors as in a distribution config (their `origin`
+ *              may be omitted), with `defaultBehavior` for the `*` one
+ * - config:    a full distribution config object instead
+ * - anything else (cache, cachePolicy, geo, strictHeaders, strictEvents,
+ *   timeout, coldStart...) as for the server
+ *
+ * Responses are { status, statusText, headers, body, text, json(), trace }
+ * where headers are keyed by lowercase name and `trace` lists the functions
+ * that ran, each with the changes it made.
+ */
+function createEdgeTestClient(options = {}) {
+    const { edge, hooks, directory, behaviors, defaultBehavior, config, baseDir = process.cwd(), ...serverOptions } = options;
+    const runnerOptions = {
+        watch: false,
+        envPath: options.envPath,
+        bakePath: options.bakePath,
+        stage: options.stage,
+        kvsPath: options.kvsPath,
+        timeout: options.timeout,
+        memorySize: options.memorySize,
+        strictHeaders: options.strictHeaders,
+        strictEvents: options.strictEvents,
+        allowModules: options.allowModules,
+        coldStart: options.coldStart,
+        coldStartRate: options.coldStartRate,
+        containers: options.containers,
+        containerIdleTimeout: options.containerIdleTimeout
+    };
+
+    let distribution = null;
+    let edgeRunner = null;
+    if (config || behaviors || defaultBehavior) {
+        const origins = directory ? { site: { directory } } : options.origin ? { site: { url: options.origin } } : {};
+        distribution = new Distribution(config || {
+            origins,
+            behaviors: behaviors || [],
+            defaultBehavior: defaultBehavior || {}
+        }, { ...runnerOptions, baseDir, geo: options.geo });
+    } else if (edge || hooks) {
+        edgeRunner = new EdgeRunner(edge ? path.resolve(baseDir, edge) : null, {
+            ...runnerOptions,
+            functions: hooks ? parseAssociations(hooks, baseDir, 'hooks') : null
+        });
+    }
+
+    const handleRequest = createRequestHandler({
+        ...serverOptions,
+        directory: directory ? path.resolve(baseDir, directory) : undefined,
+        origin: !distribution && options.origin ? parseOriginUrl(options.origin) : null,
+        edgeRunner,
+        distribution,
+        // Nothing to negotiate in-process
+        noCompression: true
+    });
+
+    const request = async (req = {}) => {
+        const viewerRequest = createViewerRequest(req);
+        const res = new CapturedResponse();
+        const finished = new Promise((resolve, reject) => {
+            res.on('finish', resolve);
+            res.on('error', reject);
+        });
+        await handleRequest(viewerRequest, res);
+        await finished;
+
+        const { status, statusDescription, headers, body } = res.toResult();
+        const lowercased = {};
+        for (const [k, v] of Object.entries(headers)) lowercased[k.toLowerCase()] = v;
+        return {
+            status,
+            statusText: statusDescription,
+            headers: lowercased,
+            body,
+            text: body.toString('utf8'),
+            json: () => JSON.parse(body.toString('utf8')),
+            trace: viewerRequest.trace
+        };
+    };
+
+    return {
+        request,
+        get: (url, { headers } = {}) => request({ method: 'GET', url, headers }),
+        head: (url, { headers } = {}) => request({ method: 'HEAD', url, headers }),
+        post: (url, body, { headers } = {}) => request({ method: 'POST', url, headers, body }),
+        close: () => handleRequest.close()
+    };
+}
+
+const printHeaders = (headers) => JSON.stringify(headers, null, 2);
+
+/**
+ * Custom matchers for responses from the test client:
+ *   expect.extend(require('cloudfrontize-lambda-at-edge/testing').matchers);
+ */
+const matchers = {
+    toHaveBeenRedirectedTo(response, location, status) {
+        const actual = response.headers?.location;
+        const isRedirect = response.status >= 300 && response.status < 400;
+        const pass = isRedirect && actual === location && (status === undefined || response.status === status);
+        const expected = `${status || '3xx'} redirect to ${location}`;
+        return {
+            pass,
+            message: () => (pass
+                ? `expected response not to be a ${expected}`
+                : `expected a ${expected}, got ${response.status}${actual ? ` to ${actual}` : ' with no Location'}`)
+        };
+    },
+
+    toHaveHeader(response, name, value) {
+        const actual = response.headers?.[name.toLowerCase()];
+        const matches = (v) => (value instanceof RegExp ? value.test(v) : v === value);
+        const pass = actual !== undefined && (value === undefined || [].concat(actual).some(v => matches(String(v))));
+        const expected = value === undefined ? `header "${name}"` : `header "${name}: ${value}"`;
+        return {
+            pass,
+            message: () => (pass
+                ? `expected response not to have ${expected}`
+                : `expected response to have ${expected}, got headers ${printHeaders(response.headers)}`)
+        };
+    }
+};
+
+module.exports = { createEdgeTestClient, matchers, ...fixtures };
@@ -0,0 +1,138 @@
+'use strict';
+
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// The trace entry of the invocation in progress (see traceInvocation)
+const currentInvocation = new AsyncLocalStorage();
+
+const headerValue = (values) => (Array.isArray(values) ? values.map(v => v?.value).join(', ') : undefined);
+
+/**
+ * What a function changed: compare the request/response record it received
+ * with the one it returned. Headers are compared one by one; other fields
+ * (uri, querystring, status, origin, body...) as a whole.
+ *
+ * Returns [{ path, op: 'added' | 'removed' | 'changed', from, to }], e.g.
+ * { path: 'headers.x-frame-options', op: 'added', to: 'DENY' }.
+ */
+function diffRecords(before = {}, after = {}) {
+    const changes = [];
+    const push = (path, from, to) => {
+        if (from === to) return;
+        const op = from === undefined ? 'added' : to === undefined ? 'removed' : 'changed';
+        changes.push({ path, op, from, to });
+    };
+
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.delete('headers');
+    for (const field of fields) {
+        const from = before?.[field];
+        const to = after?.[field];
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        push(field, typeof from === 'object' && from !== null ? JSON.stringify(from) : from,
+            typeof to === 'object' && to !== null ? JSON.stringify(to) : to);
+    }
+
+    const names = new Set([...Object.keys(before?.headers || {}), ...Object.keys(after?.headers || {})]);
+    for (const name of names) {
+        push(`headers.${name}`, headerValue(before?.headers?.[name]), headerValue(after?.headers?.[name]));
+    }
+    return changes;
+}
+
+/**
+ * The `console` given to function sandboxes. It prints as usual and, while a
+ * traced invocation runs (see traceInvocation), also records each line as
+ * { level, message } for that invocation, even when requests overlap.
+ */
+function createFunctionConsole() {
+    const fnConsole = {};
+    for (const level of CONSOLE_METHODS) {
+        fnConsole[level] = (...args) => {
+            currentInvocation.getStore()?.logs.push({
+                level,
+                message: args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ')
+            });
+            console[level](...args);
+        };
+    }
+    return fnConsole;
+}
+
+// Run `fn` as the invocation traced by `entry`: what the function console
+// prints meanwhile goes to `entry.logs`
+const traceInvocation = (entry, fn) => currentInvocation.run(entry, fn);
+
+// The trace entry of the invocation running now, if it is traced
+const tracedInvocation = () => currentInvocation.getStore() || null;
+
+// Long values (bodies, origins) are cut to keep the tree readable
+const MAX_VALUE = 80;
+const show = (value) => {
+    const text = typeof value === 'string' && value !== '' ? value : JSON.stringify(value);
+    return text.length > MAX_VALUE ? `${text.slice(0, MAX_VALUE - 1)}…` : text;
+};
+const CHANGE_MARKS = { added: '+', removed: '-', changed: '~' };
+
+function describeChange({ path: field, op, from, to }) {
+    if (op === 'added') return `+ ${field}: ${show(to)}`;
+    if (op === 'removed') return `- ${field}: ${show(from)}`;
+    return `${CHANGE_MARKS[op]} ${field}: ${show(from)} → ${show(to)}`;
+}
+
+/**
+ * Render a request's trace as a tree, one branch per function with what it
+ * changed, e.g.
+ *
+ *   GET /a → 200 (12.4 ms, cache miss)
+ *   ├─ viewer-request  auth.js  1.2 ms
+ *   │  ~ uri: /a → /b
+ *   └─ viewer-response  headers.js  0.3 ms
+ *      + headers.x-frame-options: DENY
+ *
+ * `summary` is { method, url, status, cache, behavior, durationMs, functions } where
+ * `functions` are the `req.trace` entries.
+ */
+function formatTrace(summary) {
+    const cache = summary.cache ? `, cache ${summary.cache}` : '';
+    const behavior = summary.behavior ? `, behavior ${summary.behavior}` : '';
+    const lines = [`${summary.method} ${summary.url} → ${summary.status} (${summary.durationMs.toFixed(1)} ms${cache}${behavior})`];
+
+    if (!summary.functions.length) lines.push('└─ (no functions ran)');
+    summary.functions.forEach((entry, i) => {
+        const last = i === summary.functions.length - 1;
+        const indent = last ? '   ' : '│  ';
+        const container = entry.container
+            ? `  container #${entry.container.id}${entry.container.coldStart ? `, cold start (init ${entry.container.initDurationMs.toFixed(1)} ms)` : ''}`
+            : '';
+        lines.push(`${last ? '└─' : '├─'} ${entry.eventType}  ${path.relative(process.cwd(), entry.file) || entry.file}  ${entry.durationMs.toFixed(1)} ms${container}`);
+
+        if (entry.error) {
+            lines.push(`${indent}✖ ${entry.error.errorType}: ${entry.error.message}`);
+            (entry.error.errors || []).forEach(e => lines.push(`${indent}  • ${e}`));
+        } else if (entry.generated) {
+            lines.push(`${indent}⤷ generated a ${entry.output.status} response; the origin and later request functions were skipped`);
+        } else if (!entry.changes.length) {
+            lines.push(`${indent}(no changes)`);
+        } else {
+            entry.changes.forEach(change => lines.push(`${indent}${describeChange(change)}`));
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * The JSON-lines form of a trace: the summary with each function's changes,
+ * without the full records it received and returned.
+ */
+function toTraceLine(summary) {
+    const functions = summary.functions.map(({ input, output, ...entry }) => (
+        entry.generated ? { ...entry, status: output.status } : entry
+    ));
+    return `${JSON.stringify({ ...summary, functions })}\n`;
+}
+
+module.exports = { createFunctionConsole, diffRecords, formatTrace, toTraceLine, traceInvocation, tracedInvocation };
@@ -0,0 +1,226 @@
+'use strict';
+
+// Fields CloudFront accepts back from a function, per kind of result
+const REQUEST_FIELDS = ['body', 'clientIp', 'headers', 'method', 'origin', 'querystring', 'uri'];
+const RESPONSE_FIELDS = ['body', 'bodyEncoding', 'headers', 'status', 'statusDescription'];
+
+// Request fields a function can read but not change
+const READ_ONLY_FIELDS = ['clientIp', 'method'];
+
+// Headers CloudFront never exposes to functions; adding one fails validation
+const DISALLOWED_HEADERS = [
+    'connection', 'expect', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'proxy-connection', 'trailer', 'upgrade', 'x-accel-buffering', 'x-accel-charset',
+    'x-accel-limit-rate', 'x-accel-redirect', 'x-amzn-auth', 'x-amzn-cf-billing',
+    'x-amzn-cf-id', 'x-amzn-cf-xff', 'x-amzn-errortype', 'x-amzn-fle-profile',
+    'x-amzn-header-count', 'x-amzn-header-order', 'x-amzn-lambda-integration-tag',
+    'x-amzn-requestid', 'x-cache', 'x-forwarded-proto', 'x-real-ip'
+];
+const DISALLOWED_PREFIXES = ['x-amz-cf-', 'x-edge-'];
+
+// Headers functions can read but not change, per event type
+const READ_ONLY_HEADERS = {
+    'viewer-request': ['content-length', 'host', 'transfer-encoding', 'via'],
+    'origin-request': [
+        'accept-encoding', 'content-length', 'if-modified-since', 'if-none-match',
+        'if-range', 'if-unmodified-since', 'transfer-encoding', 'via'
+    ],
+    'origin-response': ['transfer-encoding', 'via'],
+    'viewer-response': ['content-encoding', 'content-length', 'transfer-encoding', 'warning', 'via']
+};
+
+// Maximum size of a generated response (headers + body) or replaced body
+const SIZE_LIMITS = {
+    'viewer-request': 40 * 1024,
+    'origin-request': 1024 * 1024,
+    'origin-response': 1024 * 1024
+};
+
+// RFC 9110 token (header names) and field-value characters: what Node's
+// http module accepts on the way out, so an invalid result is a 502 rather
+// than a crash while sending it
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const FIELD_VALUE = /^[\t\x20-\x7e\x80-\xff]*$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keys with an undefined value are dropped when CloudFront serializes the result
+const definedKeys = (obj) => Object.keys(obj).filter(k => obj[k] !== undefined);
+
+function validateHeaders(headers, errors) {
+    if (!isObject(headers)) {
+        errors.push('"headers" must be an object of { name: [{ key, value }] }');
+        return;
+    }
+    for (const [name, values] of Object.entries(headers)) {
+        if (!TOKEN.test(name)) {
+            errors.push(`header name ${JSON.stringify(name)} is not a valid HTTP header name`);
+        } else if (name !== name.toLowerCase()) {
+            errors.push(`header name "${name}" must be lowercase`);
+        }
+        if (!Array.isArray(values)) {
+            errors.push(`header "${name}" must be an array of { key, value } objects`);
+            continue;
+        }
+        values.forEach((entry, i) => {
+            if (!isObject(entry) || typeof entry.value !== 'string') {
+                errors.push(`header "${name}"[${i}].value must be a string`);
+            } else if (!FIELD_VALUE.test(entry.value)) {
+                errors.push(`header "${name}"[${i}].value contains characters not allowed in a header (CR, LF, NUL or other control characters)`);
+            }
+            if (isObject(entry) && entry.key !== undefined) {
+                if (typeof entry.key !== 'string') errors.push(`header "${name}"[${i}].key must be a string`);
+                else if (!TOKEN.test(entry.key)) errors.push(`header "${name}"[${i}].key ${JSON.stringify(entry.key)} is not a valid HTTP header name`);
+            }
+        });
+    }
+}
+
+function headersSize(headers) {
+    let size = 0;
+    for (const [name, values] of Object.entries(headers || {})) {
+        for (const entry of Array.isArray(values) ? values : []) {
+            size += (entry?.key || name).length + String(entry?.value ?? '').length;
+        }
+    }
+    return size;
+}
+
+function bodySize(body, bodyEncoding) {
+    if (typeof body !== 'string') return 0;
+    return Buffer.byteLength(body, bodyEncoding === 'base64' ? 'base64' : 'utf8');
+}
+
+function validateResponse(result, eventType, errors, { generated }) {
+    for (const field of definedKeys(result)) {
+        if (!RESPONSE_FIELDS.includes(field)) errors.push(`unknown response field "${field}"`);
+    }
+
+    if (typeof result.status !== 'string' || !/^[1-5]\d\d$/.test(result.status)) {
+        errors.push(`"status" must be a string HTTP status code (got ${JSON.stringify(result.status)})`);
+    }
+    if (result.statusDescription !== undefined && typeof result.statusDescription !== 'string') {
+        errors.push('"statusDescription" must be a string');
+    } else if (result.statusDescription !== undefined && !FIELD_VALUE.test(result.statusDescription)) {
+        errors.push('"statusDescription" contains characters not allowed in a status line (CR, LF, NUL or other control characters)');
+    }
+    if (result.headers !== undefined) validateHeaders(result.headers, errors);
+
+    if (result.body !== undefined && typeof result.body !== 'string') {
+        errors.push('"body" must be a string');
+    }
+    if (result.bodyEncoding !== undefined && !['text', 'base64'].includes(result.bodyEncoding)) {
+        errors.push('"bodyEncoding" must be "text" or "base64"');
+    }
+
+    const limit = SIZE_LIMITS[eventType];
+    if (limit) {
+        const size = bodySize(result.body, result.bodyEncoding) + (generated ? headersSize(result.headers) : 0);
+        if (size > limit) {
+            errors.push(`${generated ? 'generated response' : 'response body'} is ${size} bytes, over the ${limit / 1024}KB ${eventType} limit`);
+        }
+    }
+}
+
+function validateRequest(result, original, eventType, errors) {
+    for (const field of definedKeys(result)) {
+        if (!REQUEST_FIELDS.includes(field)) errors.push(`unknown request field "${field}"`);
+    }
+
+    if (typeof result.uri !== 'string' || !result.uri.startsWith('/')) {
+        errors.push(`"uri" must be a string starting with "/" (got ${JSON.stringify(result.uri)})`);
+    }
+    if (result.querystring !== undefined && typeof result.querystring !== 'string') {
+        errors.push('"querystring" must be a string');
+    }
+    if (result.headers !== undefined) validateHeaders(result.headers, errors);
+
+    for (const field of READ_ONLY_FIELDS) {
+        if (original && result[field] !== undefined && result[field] !== original[field]) {
+            errors.push(`"${field}" is read-only`);
+        }
+    }
+
+    if (result.origin !== undefined && eventType !== 'origin-request') {
+        errors.push(`"origin" can only be set by origin-request functions`);
+    } else if (result.origin !== undefined && !isObject(result.origin?.custom) && !isObject(result.origin?.s3)) {
+        errors.push('"origin" must contain a "custom" or "s3" object');
+    }
+
+    if (result.body !== undefined && result.body?.action === 'replace') {
+        if (typeof result.body.data !== 'string') errors.push('"body.data" must be a string');
+        if (!['text', 'base64'].includes(result.body.encoding)) errors.push('"body.encoding" must be "text" or "base64"');
+    }
+}
+
+function isDisallowedHeader(name) {
+    const lower = name.toLowerCase();
+    return DISALLOWED_HEADERS.includes(lower) || DISALLOWED_PREFIXES.some(p => lower.startsWith(p));
+}
+
+/**
+ * Compare the headers a function received with the ones it returned.
+ * Returns { violations, notices }: violations are changes CloudFront rejects,
+ * notices are harmless oddities only worth a warning.
+ */
+function headerChanges(original, final, eventType, { generated }) {
+    const valueOf = (headers, name) => {
+        const values = headers?.[name];
+        return Array.isArray(values) ? values.map(v => v?.value).join(',') : null;
+    };
+    const names = new Set([...Object.keys(original || {}), ...Object.keys(final || {})].map(n => n.toLowerCase()));
+    const violations = [];
+    const notices = [];
+
+    for (const name of names) {
+        if (valueOf(original, name) === valueOf(final, name)) continue;
+
+        if (isDisallowedHeader(name)) {
+            if (final?.[name]) violations.push(`${eventType} added disallowed header "${name}"`);
+        } else if (!generated && READ_ONLY_HEADERS[eventType].includes(name)) {
+            violations.push(`${eventType} modified read-only header "${name}"`);
+        } else if (name === 'host' && eventType.endsWith('-response')) {
+            notices.push(`${eventType} set request header "host", which has no effect on a response`);
+        }
+    }
+    return { violations, notices };
+}
+
+/**
+ * Check a function result against CloudFront's structural rules for its
+ * event type. `original` is the request (request events) or response
+ * (response events) the function received.
+ *
+ * Returns { errors, warnings }: any error makes CloudFront reject the result
+ * with a 502. Read-only and disallowed header changes are errors with
+ * `strictHeaders`, and only warnings otherwise.
+ */
+function validateResult(result, { eventType, original, strictHeaders = false }) {
+    const errors = [];
+    const warnings = [];
+
+    if (!isObject(result)) {
+        errors.push(`expected an object, got ${result === null ? 'null' : typeof result}`);
+        return { errors, warnings };
+    }
+
+    const isRequestEvent = eventType.endsWith('-request');
+    const generated = isRequestEvent && result.status !== undefined && result.uri === undefined;
+
+    if (isRequestEvent && !generated) {
+        validateRequest(result, original, eventType, errors);
+    } else {
+        validateResponse(result, eventType, errors, { generated });
+    }
+
+    if (isObject(result.headers)) {
+        // A generated response starts from scratch rather than from the request
+        const { violations, notices } = headerChanges(generated ? {} : original?.headers, result.headers, eventType, { generated });
+        (strictHeaders ? errors : warnings).push(...violations);
+        warnings.push(...notices);
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = { isDisallowedHeader, validateResult };
@@ -0,0 +1,194 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { forwardsHeader } = require('./policies');
+const { ViewerRequestError } = require('./errors');
+
+// Per-request geo override: a header, or a query string parameter removed before
+// any function sees it (e.g. ?cfz-geo=FR or ?cfz-geo=country%3DDE%2Ccity%3DBerlin)
+const GEO_OVERRIDE_HEADER = 'x-cloudfrontize-geo';
+const GEO_OVERRIDE_PARAM = 'cfz-geo';
+
+// Defaults for a handful of countries when only a country code is given
+const COUNTRIES = {
+    US: { countryName: 'United States', region: 'WA', regionName: 'Washington', city: 'Seattle', postalCode: '98101', timeZone: 'America/Los_Angeles', latitude: '47.61', longitude: '-122.33', metroCode: '819' },
+    CA: { countryName: 'Canada', region: 'ON', regionName: 'Ontario', city: 'Toronto', postalCode: 'M5H', timeZone: 'America/Toronto', latitude: '43.65', longitude: '-79.38' },
+    BR: { countryName: 'Brazil', region: 'SP', regionName: 'Sao Paulo', city: 'Sao Paulo', postalCode: '01000', timeZone: 'America/Sao_Paulo', latitude: '-23.55', longitude: '-46.63' },
+    GB: { countryName: 'United Kingdom', region: 'ENG', regionName: 'England', city: 'London', postalCode: 'EC1A', timeZone: 'Europe/London', latitude: '51.51', longitude: '-0.13' },
+    DE: { countryName: 'Germany', region: 'BE', regionName: 'Berlin', city: 'Berlin', postalCode: '10115', timeZone: 'Europe/Berlin', latitude: '52.52', longitude: '13.40' },
+    FR: { countryName: 'France', region: 'IDF', regionName: 'Ile-de-France', city: 'Paris', postalCode: '75001', timeZone: 'Europe/Paris', latitude: '48.86', longitude: '2.35' },
+    ES: { countryName: 'Spain', region: 'MD', regionName: 'Madrid', city: 'Madrid', postalCode: '28001', timeZone: 'Europe/Madrid', latitude: '40.42', longitude: '-3.70' },
+    IN: { countryName: 'India', region: 'MH', regionName: 'Maharashtra', city: 'Mumbai', postalCode: '400001', timeZone: 'Asia/Kolkata', latitude: '19.08', longitude: '72.88' },
+    JP: { countryName: 'Japan', region: '13', regionName: 'Tokyo', city: 'Tokyo', postalCode: '100-0001', timeZone: 'Asia/Tokyo', latitude: '35.68', longitude: '139.69' },
+    AU: { countryName: 'Australia', region: 'NSW', regionName: 'New South Wales', city: 'Sydney', postalCode: '2000', timeZone: 'Australia/Sydney', latitude: '-33.87', longitude: '151.21' }
+};
+
+const DEFAULT_GEO = { country: 'US', ...COUNTRIES.US, asn: '16509' };
+
+// "country=DE,city=Hamburg" as { country: 'DE', city: 'Hamburg' }
+function parsePairs(value) {
+    const profile = {};
+    for (const pair of value.split(',')) {
+        const [k, ...v] = pair.split('=');
+        if (k.trim()) profile[k.trim()] = v.join('=').trim();
+    }
+    return profile;
+}
+
+/**
+ * Parse a geo profile: an object, a path to a JSON/YAML file, a list of
+ * `key=value` pairs ("country=DE,city=Hamburg"), or just a country code.
+ * Missing fields come from the country's defaults, or from `fallback` when
+ * no country is given.
+ */
+function parseGeoProfile(value, baseDir = '.', fallback = DEFAULT_GEO) {
+    if (!value) return { ...fallback };
+
+    let profile = value;
+    if (typeof value === 'string') {
+        const file = path.resolve(baseDir, value);
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+            const raw = fs.readFileSync(file, 'utf8');
+            profile = /\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw);
+        } else if (value.includes('=')) {
+            profile = parsePairs(value);
+        } else {
+            profile = { country: value.trim() };
+        }
+    }
+
+    if (!profile.country) return { ...fallback, ...profile };
+
+    const country = String(profile.country).toUpperCase();
+    const base = country === DEFAULT_GEO.country ? DEFAULT_GEO : { country, asn: DEFAULT_GEO.asn, ...(COUNTRIES[country] || {}) };
+    return { ...base, ...profile, country };
+}
+
+/**
+ * Parse a per-request override from the viewer: a country code or `key=value`
+ * pairs only. Unlike a configured profile it never names a file, since anyone
+ * sending requests controls it. Throws a ViewerRequestError otherwise.
+ */
+function parseGeoOverride(value, fallback) {
+    const text = String(value).trim();
+    if (text.includes('=')) return parseGeoProfile(parsePairs(text), '.', fallback);
+    if (/^[A-Za-z]{2}$/.test(text)) return parseGeoProfile({ country: text }, '.', fallback);
+    throw new ViewerRequestError(`Invalid geo override "${text}": expected a country code or key=value pairs`);
+}
+
+/**
+ * Device detection in the spirit of CloudFront's User-Agent classification.
+ */
+function detectDevice(userAgent = '') {
+    const ua = String(userAgent);
+    const isIOS = /iPhone|iPad|iPod/.test(ua);
+    const isAndroid = /Android/.test(ua);
+    const isSmartTV = /SmartTV|SMART-TV|Smart TV|AppleTV|GoogleTV|HbbTV|Roku|BRAVIA|NetCast|Tizen.*TV|Web0S|WebOS.*TV/i.test(ua);
+    const isTablet = !isSmartTV && (/iPad|Tablet|Kindle|Silk/.test(ua) || (isAndroid && !/Mobile/.test(ua)));
+    const isMobile = !isSmartTV && !isTablet && /Mobi|iPhone|iPod|Android|Windows Phone|BlackBerry|Opera Mini/.test(ua);
+    const isDesktop = !isMobile && !isTablet && !isSmartTV;
+    return { isAndroid, isDesktop, isIOS, isMobile, isSmartTV, isTablet };
+}
+
+/**
+ * Every header CloudFront can add about the viewer, keyed by lowercase name.
+ */
+function buildCloudFrontHeaders(req, geo) {
+    const device = detectDevice(req.headers['user-agent']);
+    const ip = (req.socket?.remoteAddress || '127.0.0.1').replace(/^::ffff:/, '');
+    const port = req.socket?.remotePort || 0;
+    const rawNames = [];
+    for (let i = 0; i < (req.rawHeaders || []).length; i += 2) {
+        if (req.rawHeaders[i].toLowerCase() !== GEO_OVERRIDE_HEADER) rawNames.push(req.rawHeaders[i]);
+    }
+
+    const headers = {
+        'cloudfront-forwarded-proto': geo.proto || (req.socket?.encrypted ? 'https' : 'http'),
+        'cloudfront-is-android-viewer': String(device.isAndroid),
+        'cloudfront-is-desktop-viewer': String(device.isDesktop),
+        'cloudfront-is-ios-viewer': String(device.isIOS),
+        'cloudfront-is-mobile-viewer': String(device.isMobile),
+        'cloudfront-is-smarttv-viewer': String(device.isSmartTV),
+        'cloudfront-is-tablet-viewer': String(device.isTablet),
+        'cloudfront-viewer-address': ip.includes(':') ? `[${ip}]:${port}` : `${ip}:${port}`,
+        'cloudfront-viewer-asn': geo.asn,
+        'cloudfront-viewer-city': geo.city,
+        'cloudfront-viewer-country': geo.country,
+        'cloudfront-viewer-country-name': geo.countryName,
+        'cloudfront-viewer-country-region': geo.region,
+        'cloudfront-viewer-country-region-name': geo.regionName,
+        'cloudfront-viewer-header-count': String(rawNames.length),
+        'cloudfront-viewer-header-order': rawNames.join(':'),
+        'cloudfront-viewer-http-version': req.httpVersion || '1.1',
+        'cloudfront-viewer-latitude': geo.latitude,
+        'cloudfront-viewer-longitude': geo.longitude,
+        'cloudfront-viewer-metro-code': geo.metroCode,
+        'cloudfront-viewer-postal-code': geo.postalCode,
+        'cloudfront-viewer-time-zone': geo.timeZone
+    };
+
+    // Some fields only exist for some locations (e.g. metro codes are US-only)
+    for (const k of Object.keys(headers)) {
+        if (headers[k] === undefined || headers[k] === null) delete headers[k];
+        else headers[k] = String(headers[k]);
+    }
+    return headers;
+}
+
+/**
+ * Consume the per-request geo override (header or query parameter) so that
+ * neither functions nor the origin see it. Only that parameter is cut from
+ * the query string; the rest stays as the viewer encoded it. Returns the
+ * override, or null.
+ */
+function takeGeoOverride(req) {
+    let override = req.headers[GEO_OVERRIDE_HEADER] || null;
+    delete req.headers[GEO_OVERRIDE_HEADER];
+
+    const idx = req.url.indexOf('?');
+    if (idx >= 0) {
+        const kept = [];
+        for (const param of req.url.slice(idx + 1).split('&')) {
+            const [name, ...value] = param.split('=');
+            if (name !== GEO_OVERRIDE_PARAM) {
+                kept.push(param);
+                continue;
+            }
+            try {
+                override = decodeURIComponent(value.join('=').replace(/\+/g, ' '));
+            } catch (e) {
+                throw new ViewerRequestError(`Invalid ${GEO_OVERRIDE_PARAM} parameter: ${e.message}`);
+            }
+        }
+        req.url = req.url.slice(0, idx) + (kept.length ? `?${kept.join('&')}` : '');
+    }
+    return override;
+}
+
+/**
+ * Add the CloudFront-* headers the behavior's policies (origin request and/or
+ * cache policy) forward to `req.headers`, replacing any the viewer sent
+ * itself. Headers no policy forwards are left alone so they can still be
+ * sent by hand while testing.
+ */
+function applyCloudFrontHeaders(req, { policies, geo }) {
+    const override = takeGeoOverride(req);
+    const active = (policies || []).filter(Boolean);
+    if (!active.length) return;
+
+    const base = geo || parseGeoProfile(null);
+    const generated = buildCloudFrontHeaders(req, override ? parseGeoOverride(override, base) : base);
+    for (const [name, value] of Object.entries(generated)) {
+        if (active.some(p => forwardsHeader(p, name))) req.headers[name] = value;
+    }
+}
+
+module.exports = {
+    applyCloudFrontHeaders,
+    buildCloudFrontHeaders,
+    detectDevice,
+    parseGeoOverride,
+    parseGeoProfile
+};